@@ -2,171 +2,1263 @@
  * SoraWeb - Cloudflare Worker Version (Pure JS, SSE Progress)
  *
  * 环境变量说明:
- *  - SORA_API_KEY: (必填) 你的 Sora API Key
- *  - ACCESS_CODE: (可选) 前端访问密码
+ *  - SORA_API_KEY: (必填, 配置 SORA_BACKENDS 时可省略) 你的 Sora API Key, 多个 Key 用逗号分隔轮换使用
+ *  - ACCESS_CODE: (可选) 前端访问密码 (单一密码, 不限额)
+ *  - ACCESS_USERS: (可选) 多用户访问码, JSON 数组, 每个用户独立的模型权限、额度和并发上限:
+ *      [{ "name": "alice", "code": "xxx", "models": ["sora-video-*"], "concurrency": 2, "group": "staff",
+ *         "limits": { "daily": { "videoSeconds": 300, "images": 50 }, "monthly": { "videoSeconds": 3000 } } }]
+ *    group 为用户组 (默认 default), 用于按组配置提示词黑名单
+ *  - SORA_USAGE: (可选) KV 绑定, 保存用量计数 (未绑定时使用内存存储)
+ *  - SESSION_SECRET: (建议) 网页端登录会话 Cookie 的签名密钥; 未配置时由全部访问码派生, 修改任一访问码会使所有会话失效
+ *  - SESSION_TTL_HOURS: (可选) 登录会话有效期, 默认 168 (7 天)
+ *  - PROMPT_ENHANCE_MODEL: (可选) 提示词润色 (/api/enhance-prompt) 使用的对话模型, 走同一个上游后端池; 未配置时不提供润色
+ *  - PROMPT_PRESETS: (可选) 团队共享的提示词预设, JSON 数组 [{ name, text, category }], text 中可用 {subject} 等变量
+ *  - UPLOAD_MAX_FILE_MB / UPLOAD_MAX_TOTAL_MB: (可选) 参考文件单个 / 总大小上限 (默认 20 / 50)
+ *  - UPLOAD_MAX_FILES_VIDEO / UPLOAD_MAX_FILES_IMAGE: (可选) 视频 / 图像模式的参考文件数上限 (默认 1 / 4)
+ *  - UPLOAD_ALLOWED_TYPES / UPLOAD_DENIED_TYPES: (可选) 允许 / 禁止的参考文件类型, 逗号分隔, 支持 image/*;
+ *    配置了允许列表时只接受其中的类型, 禁止列表优先
+ *  - MODERATION_BLOCKLIST: (可选) 提示词黑名单, JSON 对象, "*" 对所有用户生效, 其余键为用户组;
+ *    条目写成 /正则/flags 时按正则匹配, 否则按关键词 (不区分大小写): { "*": ["关键词", "/bad\\s*word/i"], "trial": [...] }
+ *  - MODERATION_URL: (可选) 外部审核接口, 请求与响应兼容 OpenAI /v1/moderations (提示词与图片参考一并提交);
+ *    MODERATION_API_KEY: Bearer Token; MODERATION_TIMEOUT_MS: 超时 (默认 5000);
+ *    MODERATION_FAIL_OPEN: 为 true 时审核接口不可用也放行 (默认拒绝, 返回 MODERATION_UNAVAILABLE)
+ *  - MODEL_PARAMS: (可选) 按模型限制可用的高级参数 (params), JSON 对象, 取第一个匹配的规则:
+ *      { "sora-video-*": ["seed", "negative_prompt"], "sora-image*": ["seed", "style", "n"] }
  *  - SORA_BASE_URL: (可选) Sora API Base URL (默认 http://localhost:8000)
+ *  - SORA_BACKENDS: (可选) 多上游配置, JSON 数组, 配置后代替 SORA_API_KEY / SORA_BASE_URL:
+ *      [{ "name": "a", "baseUrl": "https://...", "apiKey": "sk-...", "weight": 2, "models": ["sora-video-*"] }]
+ *    401/429/5xx 或连接失败时该后端进入冷却, 流开始前自动切换到下一个; 实际使用的后端见 X-Sora-Backend 响应头
+ *  - SORA_JOBS: (可选) KV 绑定, 保存后台任务状态 (未绑定时使用内存存储, 仅适合本地调试)
+ *  - MEDIA_ALLOWED_HOSTS: (可选) /api/media 允许代理的媒体主机, 逗号分隔, 支持 *.example.com
+ *                         (SORA_BASE_URL 及各后端的主机始终允许)
+ *  - SORA_MEDIA: (可选) R2 绑定, 生成结果会转存到这里并通过 /api/objects/... 提供稳定地址
+ *                (本地调试可设置 MEDIA_STORE=memory 使用内存存储)
+ *    转存同样只请求 MEDIA_ALLOWED_HOSTS 中的主机; MEDIA_PERSIST_MAX_MB: (可选) 单个媒体的转存上限, 默认 100
+ *  - MEDIA_RETENTION_DAYS: (可选) 转存媒体的保留天数, 默认 30, 0 表示永久保留;
+ *                          需配置 Cron Trigger 定时清理
+ *  - WEBHOOK_SECRET: (可选) 回调签名密钥, 配置后 /api/generate 与 /api/jobs 支持 callback_url;
+ *    回调带 X-Sora-Signature: t=<时间戳>,v1=<HMAC-SHA256(密钥, "<时间戳>.<请求体>") 十六进制>
+ *  - WEBHOOK_URL: (可选) 默认回调地址, 请求未指定 callback_url 时使用
+ *  - WEBHOOK_ALLOWED_HOSTS: (可选) 允许的回调主机, 逗号分隔, 支持 *.example.com (WEBHOOK_URL 的主机始终允许)
+ *  - SORA_WEBHOOKS: (可选) KV 绑定, 保存回调投递记录 (GET /api/webhooks/deliveries)
+ *  - SORA_HISTORY: (可选) KV 绑定, 按用户保存历史记录 (/api/history), 换设备或清除浏览器数据后仍可查看
+ *  - QUEUE_MAX_CONCURRENCY / QUEUE_USER_CONCURRENCY: (可选) 全局 / 每个用户同时请求上游的生成数,
+ *    超出的请求按提交顺序排队 (都为 0 或未配置时不排队); QUEUE_MAX_LENGTH: 排队上限 (默认 50)
+ *  - SORA_QUEUE: (可选) Durable Object 绑定 (类名 GenerationQueue), 多个实例共享同一个队列;
+ *    未绑定时队列只在单个 isolate 内有效, 适合本地调试
+ *  - RESULT_CACHE_TTL_SECONDS: (可选) 相同请求 (模型、提示词、参考文件) 复用结果的时长, 默认 3600, 0 表示不缓存;
+ *    请求带 force: true 时跳过缓存
+ *  - SORA_CACHE: (可选) KV 绑定, 保存结果缓存与进行中的任务 (未绑定时使用内存存储)
+ *
+ * OpenAI 兼容接口: /v1/chat/completions (支持 stream), /v1/models
+ *  调用方使用 Authorization: Bearer <访问码> 鉴权, 与网页端共用额度和上游
  */
 
+  const DEFAULT_BASE_URL = 'http://localhost:8000';
+  const MEDIA_MAX_REDIRECTS = 3;
+  const MEDIA_PERSIST_DEFAULT_MAX_MB = 100;
+
+  const BACKEND_AUTH_COOLDOWN_MS = 10 * 60 * 1000;
+  const BACKEND_RATE_LIMIT_COOLDOWN_MS = 60 * 1000;
+  const BACKEND_ERROR_COOLDOWN_MS = 30 * 1000;
+
+  const ACTIVE_TTL_SECONDS = 15 * 60;
+
+  const SESSION_COOKIE = 'sora_session';
+  const SESSION_DEFAULT_TTL_HOURS = 7 * 24;
+
+  // SSE 事件协议版本 (X-Event-Protocol 响应头)
+  // v2: 事件带 id, 新增 status / log 事件与 keepalive 注释
+  // v3: 新增 queued 事件 (全局队列中的位置与预计等待秒数)
+  // v4: 新增 cache 事件 (hit: 复用缓存的结果, inflight: 接入进行中的相同请求), 复用的 result 带 cached: true
+  // v5: error 事件带 code (CONTENT_POLICY / RATE_LIMIT / UPSTREAM_TIMEOUT / UPSTREAM_ERROR 等)
+  const EVENT_PROTOCOL_VERSION = 5;
+  const SSE_KEEPALIVE_MS = 15 * 1000;
+  const SSE_RETRY_MS = 3000;
+
+  const JOB_TTL_SECONDS = 7 * 24 * 3600;
+  const JOB_PROGRESS_WRITE_INTERVAL_MS = 2000;
+  const JOB_POLL_INTERVAL_MS = 1500;
+  const JOB_EVENTS_MAX_MS = 5 * 60 * 1000;
+  const JOB_STALE_MS = 10 * 60 * 1000;
+  const JOB_EVENTS_LIMIT = 200;
+  const JOB_CANCEL_CHECK_INTERVAL_MS = 3000;
+
+  const BATCH_MAX_ITEMS = 50;
+  const BATCH_MAX_VARIANTS = 8;
+  const BATCH_DEFAULT_PARALLEL = 2;
+  const BATCH_MAX_PARALLEL = 4;
+  const BATCH_ADMIT_RETRY_MS = 5000;
+
+  const MODEL_CATALOG_TTL_MS = 5 * 60 * 1000;
+  // 后端都不可用时, 默认目录只短暂缓存, 避免每个请求都等待超时
+  const MODEL_CATALOG_FALLBACK_TTL_MS = 30 * 1000;
+  const MODEL_CATALOG_FETCH_TIMEOUT_MS = 5 * 1000;
+
+  const MODERATION_DEFAULT_TIMEOUT_MS = 5000;
+
+  // 全局生成队列: 排队中每秒轮询一次, 执行中定时续租; 租约过期 (实例被回收) 的位置自动释放
+  const QUEUE_POLL_INTERVAL_MS = 1000;
+  const QUEUE_HEARTBEAT_MS = 10 * 1000;
+  const QUEUE_LEASE_MS = 30 * 1000;
+  const QUEUE_DEFAULT_RUN_MS = 2 * 60 * 1000;
+  const QUEUE_DEFAULT_MAX_LENGTH = 50;
+
+  const RESULT_CACHE_DEFAULT_TTL_SECONDS = 3600;
+
+  const PROMPT_MAX_CHARS = 4000;
+  const PROMPT_PRESETS_MAX = 200;
+
+  const HISTORY_TS_MAX = 9999999999999;
+  const HISTORY_MAX_TAGS = 20;
+  const HISTORY_IMPORT_MAX = 100;
+  const STORYBOARD_MAX_SHOTS = 12;
+
+  const WEBHOOK_MAX_ATTEMPTS = 5;
+  const WEBHOOK_RETRY_BASE_MS = 1000;
+  const WEBHOOK_TIMEOUT_MS = 10 * 1000;
+  // 整个投递 (含重试与退避) 的时限, 须在 ctx.waitUntil 的约 30 秒宽限期内结束, 否则后续重试会无记录地丢失
+  const WEBHOOK_DELIVERY_BUDGET_MS = 25 * 1000;
+  const WEBHOOK_MIN_ATTEMPT_MS = 2000;
+  const WEBHOOK_RECORD_TTL_SECONDS = 7 * 24 * 3600;
+
 export default {
     async fetch(request, env, ctx) {
       const url = new URL(request.url);
   
-      // 仅提供 SSE 接口和前端页面
       // 1. SSE 进度接口
       if (request.method === 'POST' && url.pathname === '/api/generate') {
-        return await handleGenerateRequest(request, env);
+        return await handleGenerateRequest(request, env, ctx);
+      }
+
+      // 2. 任务接口: 创建 / 查询 / 订阅进度 / 取消, 以及批量提交
+      if (request.method === 'POST' && url.pathname === '/api/jobs') {
+        return await handleCreateJob(request, env, ctx);
+      }
+      const jobMatch = url.pathname.match(/^\/api\/jobs\/([\w-]+)(\/events)?$/);
+      if (request.method === 'GET' && jobMatch) {
+        return jobMatch[2]
+          ? await handleJobEvents(request, env, jobMatch[1])
+          : await handleGetJob(request, env, jobMatch[1]);
+      }
+      if (request.method === 'DELETE' && jobMatch && !jobMatch[2]) {
+        return await handleCancelJob(request, env, jobMatch[1]);
+      }
+      if (request.method === 'POST' && url.pathname === '/api/batch') {
+        return await handleCreateBatch(request, env, ctx);
+      }
+      const batchMatch = url.pathname.match(/^\/api\/batch\/([\w-]+)$/);
+      if (batchMatch) {
+        return await handleBatch(request, env, batchMatch[1]);
+      }
+
+      // 3. OpenAI 兼容网关与模型目录
+      if (request.method === 'POST' && url.pathname === '/v1/chat/completions') {
+        return await handleChatCompletions(request, env);
+      }
+      if (request.method === 'GET' && url.pathname === '/v1/models') {
+        return await handleListModels(request, env);
+      }
+      if (request.method === 'GET' && url.pathname === '/api/models') {
+        return await handleModelCatalog(request, env);
+      }
+
+      // 4. 媒体代理 (Range / 下载文件名)
+      if ((request.method === 'GET' || request.method === 'HEAD') && url.pathname === '/api/media') {
+        return await handleMediaRequest(request, env, url);
+      }
+
+      // 5. 已转存的媒体: 读取 / 删除
+      const objectMatch = url.pathname.match(/^\/api\/objects\/(media\/[\w\-/.]+)$/);
+      if (objectMatch && !objectMatch[1].includes('..')) {
+        if (request.method === 'GET' || request.method === 'HEAD') {
+          return await handleGetObject(request, env, url, objectMatch[1]);
+        }
+        if (request.method === 'DELETE') {
+          return await handleDeleteObject(request, env, objectMatch[1]);
+        }
       }
   
-      // 2. 前端页面
+      // 6. 历史记录
+      const historyMatch = url.pathname.match(/^\/api\/history(?:\/([\w-]+))?$/);
+      if (historyMatch) {
+        return await handleHistory(request, env, url, historyMatch[1]);
+      }
+
+      // 7. 回调投递记录
+      const deliveryMatch = url.pathname.match(/^\/api\/webhooks\/deliveries(?:\/([\w-]+))?$/);
+      if (request.method === 'GET' && deliveryMatch) {
+        return await handleWebhookDeliveries(request, env, url, deliveryMatch[1]);
+      }
+
+      // 8. 登录会话
+      if (request.method === 'POST' && url.pathname === '/api/login') {
+        return await handleLogin(request, env);
+      }
+      if (request.method === 'POST' && url.pathname === '/api/logout') {
+        return handleLogout(request);
+      }
+      if (request.method === 'GET' && url.pathname === '/api/session') {
+        return await handleSession(request, env);
+      }
+
+      // 9. 提示词润色与团队预设
+      if (request.method === 'POST' && url.pathname === '/api/enhance-prompt') {
+        return await handleEnhancePrompt(request, env);
+      }
+      if (request.method === 'GET' && url.pathname === '/api/presets') {
+        return await handlePresets(request, env);
+      }
+
+      // 10. 前端页面
       return new Response(HTML_CONTENT, {
         headers: {
           'Content-Type': 'text/html;charset=UTF-8',
         },
       });
     },
+
+    // Cron Trigger: 按 MEDIA_RETENTION_DAYS 清理过期媒体
+    async scheduled(event, env, ctx) {
+      ctx.waitUntil(purgeExpiredMedia(env));
+    },
   };
-  
-  /** 从 HTML / 文本中解析视频 URL */
-  function extractVideoUrlFromContent(fullContent) {
-    if (!fullContent) return '';
-  
-    let clean = fullContent.trim();
-  
-    // 去掉 ```html 包裹
-    if (clean.startsWith('```')) {
-      const firstNewLine = clean.indexOf('\n');
-      if (firstNewLine !== -1) {
-        clean = clean.slice(firstNewLine + 1);
-      }
-      if (clean.endsWith('```')) {
-        clean = clean.slice(0, -3);
+
+  /** JSON 响应 */
+  function jsonResponse(data, status = 200, headers = {}) {
+    return new Response(JSON.stringify(data), {
+      status,
+      headers: { 'Content-Type': 'application/json', ...headers },
+    });
+  }
+
+  /**
+   * 解析访问用户
+   * - ACCESS_USERS: JSON 数组 [{ name, code, models, limits, concurrency, group }]
+   * - ACCESS_CODE: 兼容旧配置, 视为一个不限额的 default 用户
+   * - 都未配置时不校验访问密码, 所有请求视为 anonymous 用户
+   */
+  function getUsers(env) {
+    let list = [];
+    if (env.ACCESS_USERS) {
+      try {
+        list =
+          typeof env.ACCESS_USERS === 'string' ? JSON.parse(env.ACCESS_USERS) : env.ACCESS_USERS;
+      } catch (e) {
+        console.error('ACCESS_USERS 不是合法 JSON: ' + e.message);
       }
     }
-  
-    // 优先从 <video src="..."> 中取
-    let match = clean.match(/<video[^>]*\s+src=['"]([^'"]+)['"][^>]*>/i);
-    if (match) {
-      return match[1];
+    list = (Array.isArray(list) ? list : []).filter((u) => u && u.code);
+    if (env.ACCESS_CODE) list.push({ name: 'default', code: env.ACCESS_CODE });
+
+    return list.map((u, i) => normalizeUser(u, `user-${i + 1}`));
+  }
+
+  function normalizeUser(u, fallbackName) {
+    const limits = u.limits || {};
+    return {
+      name: String(u.name || fallbackName),
+      code: u.code ? String(u.code) : '',
+      models: Array.isArray(u.models) ? u.models.map(String) : [],
+      limits: {
+        daily: limits.daily || null,
+        monthly: limits.monthly || null,
+      },
+      concurrency: Math.max(0, Number(u.concurrency) || 0),
+      group: String(u.group || 'default'),
+    };
+  }
+
+  const ANONYMOUS_USER = normalizeUser({ name: 'anonymous' });
+
+  /**
+   * 校验访问身份, 返回 { user, session } 或 { error: Response }
+   * - 网页端使用 /api/login 签发的会话 Cookie
+   * - 脚本调用使用 Authorization: Bearer <访问码>, 也兼容 x-access-code 头;
+   *   显式带了访问码时只校验访问码, 不再回退到 Cookie
+   * - 不接受 ?code= 查询参数: 地址会进入浏览器历史、代理日志和 Referer, 媒体元素已改用会话 Cookie
+   */
+  async function authenticate(request, env) {
+    const users = getUsers(env);
+    if (!users.length) return { user: ANONYMOUS_USER };
+
+    const bearer = (request.headers.get('Authorization') || '').match(/^Bearer\s+(.+)$/i);
+    const code = request.headers.get('x-access-code') || (bearer && bearer[1].trim());
+    const session = code ? null : await readSession(request, env, users);
+    const user = code ? findUserByCode(users, code) : session && session.user;
+    if (!user) {
+      return { error: jsonResponse({ error: '访问密码错误或未授权', code: 'UNAUTHORIZED' }, 401) };
     }
-  
-    // 次选：任意 http(s) 链接
-    const urlMatch = clean.match(/https?:\/\/[^\s"'<>]+/);
-    if (urlMatch) {
-      return urlMatch[0];
+    return { user, session };
+  }
+
+  /** 常量时间比较字符串, 耗时与内容无关, 防止按响应时间逐位猜测访问码 */
+  function timingSafeEqual(a, b) {
+    const x = new TextEncoder().encode(String(a));
+    const y = new TextEncoder().encode(String(b));
+    let diff = x.length ^ y.length;
+    for (let i = 0; i < Math.max(x.length, y.length); i++) diff |= (x[i] | 0) ^ (y[i] | 0);
+    return diff === 0;
+  }
+
+  /** 按访问码查找用户, 总是比较全部用户 */
+  function findUserByCode(users, code) {
+    let found = null;
+    for (const user of users) {
+      if (timingSafeEqual(user.code, code) && !found) found = user;
     }
-  
-    return '';
+    return found;
   }
-  
+
+  function getSessionSecret(env, users) {
+    return env.SESSION_SECRET || `sora-session:${users.map((u) => u.code).join('\n')}`;
+  }
+
+  const base64UrlEncode = (text) =>
+    btoa(String.fromCharCode(...new TextEncoder().encode(text)))
+      .replace(/\+/g, '-')
+      .replace(/\//g, '_')
+      .replace(/=+$/, '');
+
+  const base64UrlDecode = (text) =>
+    new TextDecoder().decode(base64ToBytes(text.replace(/-/g, '+').replace(/_/g, '/')));
+
   /**
-   * /api/generate
-   * - 接收前端请求
-   * - 调用 Sora SSE
-   * - 把进度和最终 URL 以 SSE 推给前端
+   * 签发会话: <base64url(JSON { u: 用户名, exp, k: 访问码摘要 })>.<HMAC-SHA256 十六进制>
+   * k 使修改用户的访问码后旧会话立即失效
    */
-  async function handleGenerateRequest(request, env) {
-    // 1. 检查 API Key
-    if (!env.SORA_API_KEY) {
-      return new Response(JSON.stringify({ error: '服务端未配置 SORA_API_KEY' }), {
-        status: 500,
-        headers: { 'Content-Type': 'application/json' },
-      });
-    }
-  
-    // 2. 检查访问密码
-    if (env.ACCESS_CODE) {
-      const authHeader = request.headers.get('x-access-code');
-      if (!authHeader || authHeader !== env.ACCESS_CODE) {
-        return new Response(
-          JSON.stringify({ error: '访问密码错误或未授权', code: 'UNAUTHORIZED' }),
-          {
-            status: 401,
-            headers: { 'Content-Type': 'application/json' },
-          }
-        );
-      }
+  async function createSession(env, users, user) {
+    const ttlHours =
+      Number(env.SESSION_TTL_HOURS) > 0 ? Number(env.SESSION_TTL_HOURS) : SESSION_DEFAULT_TTL_HOURS;
+    const expiresAt = Date.now() + ttlHours * 3600 * 1000;
+    const payload = base64UrlEncode(
+      JSON.stringify({ u: user.name, exp: expiresAt, k: (await sha256Hex(user.code)).slice(0, 16) })
+    );
+    const token = `${payload}.${await hmacHex(getSessionSecret(env, users), payload)}`;
+    return { token, expiresAt, maxAge: Math.floor(ttlHours * 3600) };
+  }
+
+  /** 读取并校验会话 Cookie, 有效时返回 { user, expiresAt }, 否则返回 null */
+  async function readSession(request, env, users) {
+    const cookie = (request.headers.get('Cookie') || '')
+      .split(';')
+      .map((part) => part.trim())
+      .find((part) => part.startsWith(SESSION_COOKIE + '='));
+    const [payload, signature] = cookie ? cookie.slice(SESSION_COOKIE.length + 1).split('.') : [];
+    if (!payload || !signature) return null;
+    const expected = await hmacHex(getSessionSecret(env, users), payload);
+    if (!timingSafeEqual(signature, expected)) return null;
+
+    let data;
+    try {
+      data = JSON.parse(base64UrlDecode(payload));
+    } catch (e) {
+      return null;
     }
-  
+    if (!data || !(data.exp > Date.now())) return null;
+    const user = users.find((u) => u.name === data.u);
+    if (!user || (await sha256Hex(user.code)).slice(0, 16) !== data.k) return null;
+    return { user, expiresAt: data.exp };
+  }
+
+  function sessionCookie(request, value, maxAge) {
+    const secure = new URL(request.url).protocol === 'https:' ? '; Secure' : '';
+    return `${SESSION_COOKIE}=${value}; Path=/; HttpOnly; SameSite=Lax; Max-Age=${maxAge}${secure}`;
+  }
+
+  /**
+   * POST /api/login { code }
+   * - 校验访问码, 成功后签发 HttpOnly 会话 Cookie; 未配置访问码时无需登录
+   */
+  async function handleLogin(request, env) {
+    const users = getUsers(env);
+    if (!users.length) return jsonResponse({ user: ANONYMOUS_USER.name, required: false });
+
     let body;
     try {
       body = await request.json();
     } catch (e) {
-      return new Response(JSON.stringify({ error: '请求体不是合法 JSON' }), {
-        status: 400,
-        headers: { 'Content-Type': 'application/json' },
+      return jsonResponse({ error: '请求体不是合法 JSON' }, 400);
+    }
+    const code = body && typeof body.code === 'string' ? body.code.trim() : '';
+    const user = code && findUserByCode(users, code);
+    if (!user) {
+      return jsonResponse({ error: '访问密码错误', code: 'INVALID_CODE' }, 401);
+    }
+
+    const session = await createSession(env, users, user);
+    return jsonResponse({ user: user.name, required: true, expiresAt: session.expiresAt }, 200, {
+      'Set-Cookie': sessionCookie(request, session.token, session.maxAge),
+    });
+  }
+
+  /** POST /api/logout: 清除会话 Cookie */
+  function handleLogout(request) {
+    return jsonResponse({ ok: true }, 200, { 'Set-Cookie': sessionCookie(request, '', 0) });
+  }
+
+  /**
+   * GET /api/session
+   * - 返回当前登录状态 { authenticated, required, user, expiresAt }, 页面加载时据此决定是否弹出登录框
+   */
+  async function handleSession(request, env) {
+    const users = getUsers(env);
+    if (!users.length) {
+      return jsonResponse({
+        authenticated: true,
+        required: false,
+        user: ANONYMOUS_USER.name,
+        expiresAt: null,
       });
     }
-  
-    const { model, prompt, files } = body || {};
-  
-    // 3. 构建 API URL
-    const baseUrl = env.SORA_BASE_URL || 'http://localhost:8000';
-    const cleanBaseUrl = baseUrl.replace(/\/$/, '');
-    const apiUrl = `${cleanBaseUrl}/v1/chat/completions`;
-  
-    // 4. 构建 messages.content
-    const content = [];
-  
-    if (files && Array.isArray(files) && files.length > 0) {
-      files.forEach((file) => {
-        if (file.mimeType.startsWith('image/')) {
-          content.push({
-            type: 'image_url',
-            image_url: {
-              url: `data:${file.mimeType};base64,${file.data}`,
-            },
-          });
-        } else if (file.mimeType.startsWith('video/')) {
-          content.push({
-            type: 'video_url',
-            video_url: {
-              url: `data:${file.mimeType};base64,${file.data}`,
+    const auth = await authenticate(request, env);
+    return jsonResponse({
+      authenticated: !auth.error,
+      required: true,
+      user: auth.error ? null : auth.user.name,
+      expiresAt: auth.session ? auth.session.expiresAt : null,
+    });
+  }
+
+  /** 模型 id 是否匹配规则列表, 规则支持 * 通配符 */
+  function matchesModelPattern(patterns, model) {
+    return patterns.some((pattern) => {
+      const re = new RegExp(
+        '^' + pattern.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*') + '$'
+      );
+      return re.test(model || '');
+    });
+  }
+
+  /** 从模型 id 解析类型和时长, 如 sora-video-portrait-15s -> { kind: 'video', seconds: 15 } */
+  function parseModelId(model) {
+    const id = String(model || '');
+    const seconds = id.match(/-(\d+)s$/);
+    return {
+      kind: id.includes('video') ? 'video' : 'image',
+      seconds: seconds ? Number(seconds[1]) : 0,
+    };
+  }
+
+  /** 一次生成消耗的额度; 图像按校验后的 params.n (生成数量, 默认 1) 计 */
+  function generationCost(model, params) {
+    const { kind, seconds } = parseModelId(model);
+    if (kind === 'video') return { videoSeconds: seconds, images: 0 };
+    return { videoSeconds: 0, images: (params && params.n) || 1 };
+  }
+
+  const USAGE_PERIODS = {
+    daily: {
+      label: '今日',
+      key: (d) => d.toISOString().slice(0, 10),
+      resetAt: (d) => Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate() + 1),
+      ttl: 2 * 24 * 3600,
+    },
+    monthly: {
+      label: '本月',
+      key: (d) => d.toISOString().slice(0, 7),
+      resetAt: (d) => Date.UTC(d.getUTCFullYear(), d.getUTCMonth() + 1, 1),
+      ttl: 32 * 24 * 3600,
+    },
+  };
+
+  const USAGE_METRICS = {
+    videoSeconds: { label: '视频时长', unit: 's' },
+    images: { label: '图片数量', unit: '张' },
+  };
+
+  /**
+   * 用量存储, 底层为 SORA_USAGE KV (或内存替身)
+   * KV 没有原子自增, 并发极高时计数可能有少量偏差
+   */
+  function createUsageStore(env) {
+    const kv = getKV(env, 'SORA_USAGE');
+    const usageKey = (user, period) =>
+      `usage:${user}:${period}:${USAGE_PERIODS[period].key(new Date())}`;
+
+    return {
+      get: async (user, period) => (await kv.get(usageKey(user, period), 'json')) || {},
+      add: async (user, period, delta, sign = 1) => {
+        const key = usageKey(user, period);
+        const current = (await kv.get(key, 'json')) || {};
+        const next = {};
+        for (const metric of Object.keys(USAGE_METRICS)) {
+          next[metric] = Math.max(0, (current[metric] || 0) + sign * (delta[metric] || 0));
+        }
+        await kv.put(key, JSON.stringify(next), { expirationTtl: USAGE_PERIODS[period].ttl });
+      },
+      // 进行中的任务数; 设置 TTL, 防止异常退出后计数一直占用
+      getActive: async (user) => Number(await kv.get(`active:${user}`)) || 0,
+      changeActive: async (user, delta) => {
+        const current = Number(await kv.get(`active:${user}`)) || 0;
+        await kv.put(`active:${user}`, String(Math.max(0, current + delta)), {
+          expirationTtl: ACTIVE_TTL_SECONDS,
+        });
+      },
+    };
+  }
+
+  /** 模型权限检查, 无权使用时返回 { error: Response } (403) */
+  function checkModelAccess(user, model) {
+    if (user.models.length && !matchesModelPattern(user.models, model)) {
+      return {
+        error: jsonResponse(
+          { error: `当前账号无权使用模型 ${model}`, code: 'MODEL_NOT_ALLOWED', model },
+          403
+        ),
+      };
+    }
+    return {};
+  }
+
+  /**
+   * 生成前的准入检查: 模型权限、额度、并发
+   * - params 为校验后的高级参数, 图像的 n 计入本次需要的额度, 超出剩余额度时拒绝
+   * - 通过时预扣额度并占用一个并发位, 返回 { release(succeeded) }, 失败时退还额度
+   * - 不通过返回 { error: Response } (403 / 429, 带结构化字段供前端展示)
+   */
+  async function admitGeneration(env, user, model, params) {
+    const access = checkModelAccess(user, model);
+    if (access.error) return access;
+
+    const periods = Object.keys(USAGE_PERIODS).filter((p) => user.limits[p]);
+    if (!periods.length && !user.concurrency) {
+      return { release: async () => {} };
+    }
+
+    const usage = createUsageStore(env);
+    const cost = generationCost(model, params);
+    const now = new Date();
+
+    for (const period of periods) {
+      const limit = user.limits[period];
+      const used = await usage.get(user.name, period);
+      for (const [metric, meta] of Object.entries(USAGE_METRICS)) {
+        if (limit[metric] == null || !cost[metric]) continue;
+        const usedValue = used[metric] || 0;
+        if (usedValue + cost[metric] > limit[metric]) {
+          const resetAt = USAGE_PERIODS[period].resetAt(now);
+          return {
+            error: jsonResponse(
+              {
+                error: `${USAGE_PERIODS[period].label}${meta.label}额度不足: 已用 ${usedValue}${meta.unit} / 上限 ${limit[metric]}${meta.unit}, 本次需要 ${cost[metric]}${meta.unit}`,
+                code: 'QUOTA_EXCEEDED',
+                period,
+                metric,
+                limit: limit[metric],
+                used: usedValue,
+                requested: cost[metric],
+                resetAt,
+              },
+              429,
+              { 'Retry-After': String(Math.ceil((resetAt - now.getTime()) / 1000)) }
+            ),
+          };
+        }
+      }
+    }
+
+    if (user.concurrency) {
+      const active = await usage.getActive(user.name);
+      if (active >= user.concurrency) {
+        return {
+          error: jsonResponse(
+            {
+              error: `同时进行的任务已达上限 (${user.concurrency} 个), 请等待当前任务完成`,
+              code: 'CONCURRENCY_LIMIT',
+              limit: user.concurrency,
+              active,
             },
-          });
+            429,
+            { 'Retry-After': '30' }
+          ),
+        };
+      }
+    }
+
+    await usage.changeActive(user.name, 1);
+    for (const period of periods) await usage.add(user.name, period, cost);
+
+    let released = false;
+    return {
+      release: async (succeeded) => {
+        if (released) return;
+        released = true;
+        try {
+          await usage.changeActive(user.name, -1);
+          if (!succeeded) {
+            for (const period of periods) await usage.add(user.name, period, cost, -1);
+          }
+        } catch (e) {
+          console.error('释放额度失败: ' + e.message);
         }
-      });
+      },
+    };
+  }
+
+  /**
+   * 队列状态 (排队 FIFO + 执行中的位置), 内存实现与 Durable Object 共用
+   * - 上限随每次调用传入 (limits: { global, perUser, maxLength }), 以 Worker 的环境变量为准
+   * - 按提交顺序放行; 某用户已达个人上限时跳过其排队项, 不阻塞其他用户
+   * - 预计等待 = 前方批次数 x 近期平均执行时长
+   */
+  class QueueCoordinator {
+    constructor() {
+      this.waiting = [];
+      this.running = new Map();
+      this.avgRunMs = QUEUE_DEFAULT_RUN_MS;
     }
-  
-    if (prompt) {
-      content.push({
-        type: 'text',
-        text: prompt,
-      });
+
+    handle(op, { id, user, limits }) {
+      const now = Date.now();
+      this.expire(now);
+      if (op === 'enqueue') {
+        if (!this.running.has(id) && !this.waiting.some((t) => t.id === id)) {
+          if (this.waiting.length >= limits.maxLength) return { state: 'full' };
+          this.waiting.push({ id, user, leaseUntil: now + QUEUE_LEASE_MS });
+        }
+      } else if (op === 'release') {
+        const entry = this.running.get(id);
+        if (entry) {
+          this.running.delete(id);
+          this.avgRunMs = Math.round(this.avgRunMs * 0.8 + (now - entry.startedAt) * 0.2);
+        }
+        this.waiting = this.waiting.filter((t) => t.id !== id);
+      }
+      this.promote(limits, now);
+      return this.status(id, limits, now);
     }
-  
-    let finalContent = content;
-    if (content.length === 1 && content[0].type === 'text') {
-      finalContent = content[0].text;
+
+    // 轮询即续租
+    status(id, limits, now) {
+      const running = this.running.get(id);
+      if (running) {
+        running.leaseUntil = now + QUEUE_LEASE_MS;
+        return { state: 'running' };
+      }
+      const index = this.waiting.findIndex((t) => t.id === id);
+      if (index < 0) return { state: 'gone' };
+      this.waiting[index].leaseUntil = now + QUEUE_LEASE_MS;
+      const slots = limits.global || limits.perUser || 1;
+      const position = index + 1;
+      return {
+        state: 'queued',
+        position,
+        eta: Math.ceil((Math.ceil(position / slots) * this.avgRunMs) / 1000),
+      };
     }
-  
-    const payload = {
-      model,
-      messages: [
-        {
-          role: 'user',
-          content: finalContent,
+
+    expire(now) {
+      this.waiting = this.waiting.filter((t) => t.leaseUntil > now);
+      for (const [id, entry] of this.running) {
+        if (entry.leaseUntil <= now) this.running.delete(id);
+      }
+    }
+
+    promote(limits, now) {
+      const perUser = new Map();
+      for (const entry of this.running.values()) {
+        perUser.set(entry.user, (perUser.get(entry.user) || 0) + 1);
+      }
+      for (let i = 0; i < this.waiting.length; ) {
+        if (limits.global && this.running.size >= limits.global) break;
+        const ticket = this.waiting[i];
+        const active = perUser.get(ticket.user) || 0;
+        if (limits.perUser && active >= limits.perUser) {
+          i++;
+          continue;
+        }
+        this.waiting.splice(i, 1);
+        this.running.set(ticket.id, {
+          ...ticket,
+          startedAt: now,
+          leaseUntil: now + QUEUE_LEASE_MS,
+        });
+        perUser.set(ticket.user, active + 1);
+      }
+    }
+  }
+
+  /**
+   * Durable Object: 多个 Worker 实例共享的队列 (绑定名 SORA_QUEUE, 按名称 global 取同一个实例)
+   * 状态只在内存中: 排队和执行中的请求持续轮询 / 续租, 实例因此保持活跃; 若仍被回收, 排队中的请求会以排队中断结束
+   */
+  export class GenerationQueue {
+    constructor() {
+      this.coordinator = new QueueCoordinator();
+    }
+
+    async fetch(request) {
+      const op = new URL(request.url).pathname.slice(1);
+      return jsonResponse(this.coordinator.handle(op, await request.json()));
+    }
+  }
+
+  const memoryQueue = new QueueCoordinator();
+
+  /** 队列的协调层: SORA_QUEUE (Durable Object) 绑定, 未绑定时使用本 isolate 内的内存实现 */
+  function getGenerationQueue(env) {
+    if (env.SORA_QUEUE) {
+      const stub = env.SORA_QUEUE.get(env.SORA_QUEUE.idFromName('global'));
+      return {
+        call: async (op, args) => {
+          const res = await stub.fetch(`https://queue/${op}`, {
+            method: 'POST',
+            body: JSON.stringify(args),
+          });
+          return res.json();
         },
-      ],
-      stream: true, // 要求 Sora 用 SSE 流返回
+      };
+    }
+    return { call: async (op, args) => memoryQueue.handle(op, args) };
+  }
+
+  function getQueueLimits(env) {
+    return {
+      global: Math.max(0, Number(env.QUEUE_MAX_CONCURRENCY) || 0),
+      perUser: Math.max(0, Number(env.QUEUE_USER_CONCURRENCY) || 0),
+      maxLength:
+        Number(env.QUEUE_MAX_LENGTH) > 0 ? Number(env.QUEUE_MAX_LENGTH) : QUEUE_DEFAULT_MAX_LENGTH,
     };
-  
-    let soraRes;
+  }
+
+  /**
+   * 进入全局队列, 返回排队凭证 { status, wait, release }, 队列已满时返回 { error: Response } (429)
+   * - wait({ signal, onQueued }): 轮到执行时返回 true, 中止或排队凭证过期时返回 false;
+   *   排队中位置或预计等待变化时调用 onQueued({ position, eta })
+   * - release(): 释放执行位 (或放弃排队), 可重复调用
+   * 两个并发上限都未配置时不排队, 凭证直接可用
+   */
+  async function enterQueue(env, user, id) {
+    const limits = getQueueLimits(env);
+    if (!limits.global && !limits.perUser) {
+      return { status: { state: 'running' }, wait: async () => true, release: async () => {} };
+    }
+
+    const queue = getGenerationQueue(env);
+    let status;
     try {
-      soraRes = await fetch(apiUrl, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          Authorization: `Bearer ${env.SORA_API_KEY}`,
-        },
-        body: JSON.stringify(payload),
-      });
+      status = await queue.call('enqueue', { id, user: user.name, limits });
     } catch (e) {
-      return new Response(JSON.stringify({ error: '请求 Sora 失败: ' + e.message }), {
-        status: 502,
-        headers: { 'Content-Type': 'application/json' },
-      });
+      console.error('进入队列失败: ' + e.message);
+      return {
+        error: jsonResponse(
+          { error: '生成队列暂不可用, 请稍后再试', code: 'QUEUE_UNAVAILABLE' },
+          503
+        ),
+      };
     }
-  
+    if (status.state === 'full') {
+      return {
+        error: jsonResponse(
+          {
+            error: `排队人数已达上限 (${limits.maxLength}), 请稍后再试`,
+            code: 'QUEUE_FULL',
+            limit: limits.maxLength,
+          },
+          429,
+          { 'Retry-After': '30' }
+        ),
+      };
+    }
+
+    let heartbeat = null;
+    let released = false;
+    return {
+      status,
+      wait: async ({ signal, onQueued } = {}) => {
+        let current = status;
+        let reported = '';
+        while (current.state === 'queued') {
+          const key = `${current.position}:${current.eta}`;
+          if (onQueued && key !== reported) {
+            reported = key;
+            await onQueued({ position: current.position, eta: current.eta });
+          }
+          await new Promise((resolve) => {
+            const timer = setTimeout(resolve, QUEUE_POLL_INTERVAL_MS);
+            if (signal) {
+              signal.addEventListener(
+                'abort',
+                () => {
+                  clearTimeout(timer);
+                  resolve();
+                },
+                { once: true }
+              );
+            }
+          });
+          if (signal && signal.aborted) return false;
+          current = await queue.call('poll', { id, limits });
+        }
+        if (current.state !== 'running') return false;
+        heartbeat = setInterval(() => {
+          queue.call('poll', { id, limits }).catch(() => {});
+        }, QUEUE_HEARTBEAT_MS);
+        return true;
+      },
+      release: async () => {
+        if (released) return;
+        released = true;
+        clearInterval(heartbeat);
+        try {
+          await queue.call('release', { id, limits });
+        } catch (e) {
+          console.error('释放队列位置失败: ' + e.message);
+        }
+      },
+    };
+  }
+
+  const IMAGE_URL_RE = /\.(png|jpe?g|webp|gif)(?:[?#]|$)/i;
+  const VIDEO_URL_RE = /\.(mp4|webm|mov)(?:[?#]|$)/i;
+
+  /** 按扩展名猜测媒体类型, 无法判断时返回 null */
+  function guessAssetKind(url) {
+    if (VIDEO_URL_RE.test(url)) return 'video';
+    if (IMAGE_URL_RE.test(url)) return 'image';
+    return null;
+  }
+
+  /** 读取 HTML 标签上的属性值 */
+  function readTagAttr(attrs, name) {
+    const m = attrs.match(new RegExp(`\\s${name}\\s*=\\s*(?:"([^"]*)"|'([^']*)'|([^\\s>]+))`, 'i'));
+    return m ? (m[1] ?? m[2] ?? m[3]).replace(/&amp;/g, '&') : '';
+  }
+
+  /**
+   * 从 Sora 返回的内容中解析结果媒体
+   * - 支持 <video src / poster>、<source>、<img>、markdown ![](...), 都没有时取全部 http(s) 链接
+   * - 返回 [{ url, kind: video | image | thumbnail, mime? }], 按出现顺序去重
+   * - 无法判断类型的 kind 为 null, 由调用方按模型补全 (见 persistResult)
+   */
+  function extractResultAssets(fullContent) {
+    if (!fullContent) return [];
+
+    let clean = fullContent.trim();
+
+    // 去掉 ```html 包裹
+    if (clean.startsWith('```')) {
+      const firstNewLine = clean.indexOf('\n');
+      if (firstNewLine !== -1) {
+        clean = clean.slice(firstNewLine + 1);
+      }
+      if (clean.endsWith('```')) {
+        clean = clean.slice(0, -3);
+      }
+    }
+
+    const assets = [];
+    const add = (url, kind, mime) => {
+      if (!/^https?:\/\//i.test(url) || assets.some((a) => a.url === url)) return;
+      const asset = { url, kind: kind || guessAssetKind(url) };
+      if (mime) asset.mime = mime;
+      assets.push(asset);
+    };
+
+    for (const [, tag, attrs] of clean.matchAll(/<(video|source|img)\b([^>]*)>/gi)) {
+      const src = readTagAttr(attrs, 'src');
+      const type = readTagAttr(attrs, 'type').toLowerCase();
+      if (tag.toLowerCase() === 'img') {
+        add(src, 'image', type);
+        continue;
+      }
+      add(src, type.startsWith('image/') ? 'image' : 'video', type);
+      const poster = readTagAttr(attrs, 'poster');
+      if (poster) add(poster, 'thumbnail');
+    }
+
+    for (const [, url] of clean.matchAll(/!\[[^\]]*\]\(\s*<?([^)\s>]+)>?(?:\s+["'][^)]*["'])?\s*\)/g)) {
+      add(url, guessAssetKind(url) || 'image');
+    }
+
+    // 次选：任意 http(s) 链接
+    if (!assets.length) {
+      for (const [url] of clean.matchAll(/https?:\/\/[^\s"'<>()\[\]]+/g)) add(url);
+    }
+
+    return assets;
+  }
+
+  /** 结果的主媒体 (第一个非缩略图), 兼容只认单个 url 的调用方 */
+  const primaryAsset = (assets) => assets.find((a) => a.kind !== 'thumbnail') || assets[0] || null;
+
+  /**
+   * 高级参数 (请求中的 params 对象) 的定义: 类型、取值范围和适用的模型类型
+   * system 作为第一条 system 消息发送, 其它参数作为请求体字段原样透传给上游
+   */
+  const GENERATION_PARAMS = {
+    seed: {
+      type: 'integer',
+      min: 0,
+      max: 4294967295,
+      kinds: ['video', 'image'],
+      label: '随机种子',
+    },
+    negative_prompt: {
+      type: 'string',
+      maxLength: 1000,
+      kinds: ['video', 'image'],
+      label: '反向提示词',
+    },
+    style: {
+      type: 'enum',
+      values: ['natural', 'cinematic', 'anime', 'photographic', 'illustration', '3d'],
+      kinds: ['video', 'image'],
+      label: '风格',
+    },
+    n: { type: 'integer', min: 1, max: 4, kinds: ['image'], label: '生成数量' },
+    system: {
+      type: 'string',
+      maxLength: 2000,
+      kinds: ['video', 'image'],
+      label: '系统指令',
+    },
+  };
+
+  let modelParamRulesCache = null;
+
+  /**
+   * MODEL_PARAMS 规则: 既可以是 JSON 字符串, 也可以是对象 (如 wrangler 的 JSON vars)
+   * 每个 isolate 只解析一次, 配置变化时重新解析
+   */
+  function getModelParamRules(env) {
+    const raw = env.MODEL_PARAMS;
+    if (modelParamRulesCache && modelParamRulesCache.raw === raw) return modelParamRulesCache.rules;
+    let rules = {};
+    if (raw) {
+      try {
+        rules = typeof raw === 'string' ? JSON.parse(raw) : raw;
+      } catch (e) {
+        console.error('MODEL_PARAMS 不是合法 JSON: ' + e.message);
+      }
+    }
+    if (!rules || typeof rules !== 'object' || Array.isArray(rules)) rules = {};
+    modelParamRulesCache = { raw, rules };
+    return rules;
+  }
+
+  /**
+   * 模型允许的高级参数名: 先按模型类型, 再按 MODEL_PARAMS 中第一个匹配的模型规则收窄
+   * MODEL_PARAMS: JSON 对象 { "<模型, 支持通配符>": ["seed", ...] }, 没有匹配的规则时不额外限制
+   */
+  function getModelParamNames(env, model) {
+    const kind = parseModelId(model).kind;
+    const names = Object.keys(GENERATION_PARAMS).filter((name) =>
+      GENERATION_PARAMS[name].kinds.includes(kind)
+    );
+    const rules = getModelParamRules(env);
+    const rule = Object.keys(rules).find((pattern) => matchesModelPattern([pattern], model));
+    if (!rule || !Array.isArray(rules[rule])) return names;
+    return names.filter((name) => rules[rule].includes(name));
+  }
+
+  /** 模型可用的高级参数定义, 供前端生成表单 (见 /api/models) */
+  function getModelParamSchema(env, model) {
+    return Object.fromEntries(
+      getModelParamNames(env, model).map((name) => {
+        const { kinds, ...schema } = GENERATION_PARAMS[name];
+        return [name, schema];
+      })
+    );
+  }
+
+  /** 校验单个参数值, 返回 { value } (空值为 undefined, 表示不设置) 或 { error } */
+  function checkParamValue(name, value) {
+    const def = GENERATION_PARAMS[name];
+    if (value == null || value === '') return { value: undefined };
+    if (def.type === 'integer') {
+      if (!Number.isInteger(value) || value < def.min || value > def.max) {
+        return { error: `${name} 必须是 ${def.min} - ${def.max} 的整数` };
+      }
+      return { value };
+    }
+    if (def.type === 'enum') {
+      if (!def.values.includes(value)) {
+        return { error: `${name} 只能是 ${def.values.join(' / ')}` };
+      }
+      return { value };
+    }
+    if (typeof value !== 'string' || value.trim().length > def.maxLength) {
+      return { error: `${name} 必须是不超过 ${def.maxLength} 字的文本` };
+    }
+    return { value: value.trim() || undefined };
+  }
+
+  /**
+   * 校验请求中的 params (JSON 对象, multipart 中为 JSON 字符串), 未知或模型不支持的参数直接拒绝
+   * 成功返回 { params } (按名称排序, 没有参数时为 null), 失败返回 { error: Response } (400)
+   */
+  function validateParams(env, model, raw) {
+    const invalid = (error, code, field) => ({
+      error: jsonResponse({ error, code, field }, 400),
+    });
+    if (raw == null || raw === '') return { params: null };
+
+    let input = raw;
+    if (typeof raw === 'string') {
+      try {
+        input = JSON.parse(raw);
+      } catch (e) {
+        input = null;
+      }
+    }
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+      return invalid('params 必须是 JSON 对象', 'INVALID_PARAM', 'params');
+    }
+
+    const allowed = getModelParamNames(env, model);
+    const params = {};
+    for (const name of Object.keys(input).sort()) {
+      if (!GENERATION_PARAMS[name]) {
+        return invalid(
+          `未知参数: ${name} (支持 ${Object.keys(GENERATION_PARAMS).join(', ')})`,
+          'UNKNOWN_PARAM',
+          `params.${name}`
+        );
+      }
+      if (!allowed.includes(name)) {
+        return invalid(
+          `模型 ${model} 不支持参数 ${name}`,
+          'PARAM_NOT_SUPPORTED',
+          `params.${name}`
+        );
+      }
+      const checked = checkParamValue(name, input[name]);
+      if (checked.error) return invalid(checked.error, 'INVALID_PARAM', `params.${name}`);
+      if (checked.value !== undefined) params[name] = checked.value;
+    }
+    return { params: Object.keys(params).length ? params : null };
+  }
+
+  /** 加入已校验的高级参数: system 放在消息最前面, 其它作为请求体字段 */
+  function applyGenerationParams(payload, params) {
+    if (!params) return payload;
+    const { system, ...fields } = params;
+    const messages = system
+      ? [{ role: 'system', content: system }, ...payload.messages]
+      : payload.messages;
+    return { ...payload, ...fields, messages, stream: true };
+  }
+
+  /**
+   * 构建发送给 Sora 的 chat.completions 请求体
+   */
+  function buildSoraPayload(body) {
+    const { model, prompt, files, params } = body || {};
+
+    const content = [];
+
+    if (files && Array.isArray(files) && files.length > 0) {
+      files.forEach((file) => {
+        // URL 引用 (Remix / Extend 的历史结果) 原样传给上游, 上传的文件以 data URI 内联
+        const url = file.url || `data:${file.mimeType};base64,${file.data}`;
+        if (file.mimeType.startsWith('image/')) {
+          content.push({
+            type: 'image_url',
+            image_url: {
+              url,
+            },
+          });
+        } else if (file.mimeType.startsWith('video/')) {
+          content.push({
+            type: 'video_url',
+            video_url: {
+              url,
+            },
+          });
+        }
+      });
+    }
+
+    if (prompt) {
+      content.push({
+        type: 'text',
+        text: prompt,
+      });
+    }
+
+    let finalContent = content;
+    if (content.length === 1 && content[0].type === 'text') {
+      finalContent = content[0].text;
+    }
+
+    return applyGenerationParams(
+      {
+        model,
+        messages: [
+          {
+            role: 'user',
+            content: finalContent,
+          },
+        ],
+        stream: true, // 要求 Sora 用 SSE 流返回
+      },
+      params
+    );
+  }
+
+  /**
+   * 解析上游后端列表
+   * - SORA_BACKENDS: JSON 数组 [{ name, baseUrl, apiKey, weight, models }]
+   *   models 为可选的模型过滤, 支持通配符, 如 ["sora-video-*"]
+   * - 未配置时回退到 SORA_BASE_URL + SORA_API_KEY (多个 Key 可用逗号分隔)
+   */
+  function getBackends(env) {
+    let list = [];
+    if (env.SORA_BACKENDS) {
+      try {
+        list =
+          typeof env.SORA_BACKENDS === 'string' ? JSON.parse(env.SORA_BACKENDS) : env.SORA_BACKENDS;
+      } catch (e) {
+        console.error('SORA_BACKENDS 不是合法 JSON: ' + e.message);
+      }
+    } else if (env.SORA_API_KEY) {
+      const keys = String(env.SORA_API_KEY)
+        .split(',')
+        .map((k) => k.trim())
+        .filter(Boolean);
+      list = keys.map((apiKey, i) => ({
+        name: keys.length > 1 ? `default-${i + 1}` : 'default',
+        apiKey,
+      }));
+    }
+
+    return (Array.isArray(list) ? list : [])
+      .filter((b) => b && b.apiKey)
+      .map((b, i) => ({
+        name: String(b.name || `backend-${i + 1}`),
+        baseUrl: String(b.baseUrl || env.SORA_BASE_URL || DEFAULT_BASE_URL).replace(/\/$/, ''),
+        apiKey: String(b.apiKey),
+        weight: Math.max(1, Number(b.weight) || 1),
+        models: Array.isArray(b.models) ? b.models.map(String) : [],
+      }));
+  }
+
+  function backendSupportsModel(backend, model) {
+    return !backend.models.length || matchesModelPattern(backend.models, model);
+  }
+
+  /** 后端运行状态 (冷却截止时间、平滑加权轮询的当前权重), 按 isolate 保存 */
+  const backendState = new Map();
+
+  function stateOf(backend) {
+    if (!backendState.has(backend.name)) {
+      backendState.set(backend.name, { cooldownUntil: 0, currentWeight: 0 });
+    }
+    return backendState.get(backend.name);
+  }
+
+  function coolDownBackend(backend, ms, reason) {
+    stateOf(backend).cooldownUntil = Date.now() + ms;
+    console.warn(`[sora] 后端 ${backend.name} 暂停使用 ${Math.round(ms / 1000)}s: ${reason}`);
+  }
+
+  /**
+   * 生成本次请求的后端尝试顺序
+   * - 首选通过平滑加权轮询选出, 其余按权重降序作为故障转移候选
+   * - 冷却中的后端跳过; 全部冷却时按最早恢复的顺序尝试
+   */
+  function orderBackends(backends, model) {
+    const now = Date.now();
+    const matched = backends.filter((b) => backendSupportsModel(b, model));
+    const ready = matched.filter((b) => stateOf(b).cooldownUntil <= now);
+
+    if (!ready.length) {
+      return matched.sort((a, b) => stateOf(a).cooldownUntil - stateOf(b).cooldownUntil);
+    }
+
+    const total = ready.reduce((sum, b) => sum + b.weight, 0);
+    let first = ready[0];
+    for (const b of ready) {
+      stateOf(b).currentWeight += b.weight;
+      if (stateOf(b).currentWeight > stateOf(first).currentWeight) first = b;
+    }
+    stateOf(first).currentWeight -= total;
+
+    const rest = ready.filter((b) => b !== first).sort((a, b) => b.weight - a.weight);
+    return [first, ...rest];
+  }
+
+  function cooldownMsFor(status, retryAfter) {
+    if (status === 401 || status === 403) return BACKEND_AUTH_COOLDOWN_MS;
+    if (status === 429) {
+      const seconds = Number(retryAfter);
+      return seconds > 0 ? seconds * 1000 : BACKEND_RATE_LIMIT_COOLDOWN_MS;
+    }
+    return BACKEND_ERROR_COOLDOWN_MS;
+  }
+
+  /**
+   * 上游拒绝 / 失败原因的分类, 按 HTTP 状态或错误文字判断, 客户端据此给出对应的提示:
+   * CONTENT_POLICY (内容被拒), RATE_LIMIT (限流或额度不足), UPSTREAM_TIMEOUT (超时), 其余为 UPSTREAM_ERROR
+   */
+  const UPSTREAM_ERROR_PATTERNS = [
+    [
+      'CONTENT_POLICY',
+      /content[ _-]?polic|usage polic|safety|moderation|violat|guideline|inappropriate|prohibited|nsfw/i,
+    ],
+    ['CONTENT_POLICY', /审核|违规|违反|敏感内容/],
+    ['RATE_LIMIT', /rate[ _-]?limit|too many requests|quota|throttl|频繁|限流|配额/i],
+    ['UPSTREAM_TIMEOUT', /time[ _-]?out|timed out|deadline exceeded|超时/i],
+  ];
+
+  function classifyUpstreamError(message, status) {
+    if (status === 429) return 'RATE_LIMIT';
+    if (status === 408 || status === 504 || status === 524) return 'UPSTREAM_TIMEOUT';
+    const text = String(message || '');
+    const match = UPSTREAM_ERROR_PATTERNS.find(([, pattern]) => pattern.test(text));
+    return match ? match[0] : 'UPSTREAM_ERROR';
+  }
+
+  /**
+   * 上游失败返回给客户端的 HTTP 状态 (OpenAI SDK 等按状态决定是否重试):
+   * 限流 429, 超时 504, 上游不可用 503, 认证或配置错误 502, 内容被拒 400
+   */
+  function upstreamStatusFor(status, code) {
+    if (status === 429) return 429;
+    if (code === 'UPSTREAM_TIMEOUT') return 504;
+    if (status >= 500) return 503;
+    if (code === 'CONTENT_POLICY') return 400;
+    return 502;
+  }
+
+  const upstreamErrorEvent = (message, status) => ({
+    type: 'error',
+    message,
+    code: classifyUpstreamError(message, status),
+  });
+
+  /**
+   * 请求单个后端
+   * - 成功时已读到第一个数据块 (流已开始), 返回 { res }
+   * - 失败返回 { status, error, code, retryAfter, retryable, cooldownMs }
+   *   status 见 upstreamStatusFor, code 见 classifyUpstreamError
+   */
+  async function requestBackend(backend, payload, signal) {
+    let soraRes;
+    try {
+      soraRes = await fetch(`${backend.baseUrl}/v1/chat/completions`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          Authorization: `Bearer ${backend.apiKey}`,
+        },
+        body: JSON.stringify(payload),
+        signal,
+      });
+    } catch (e) {
+      if (signal && signal.aborted) return { status: 499, error: '已取消', cancelled: true };
+      const code = classifyUpstreamError(e.message);
+      return {
+        status: code === 'UPSTREAM_TIMEOUT' ? 504 : 503,
+        error: '请求 Sora 失败: ' + e.message,
+        code,
+        retryable: true,
+        cooldownMs: BACKEND_ERROR_COOLDOWN_MS,
+      };
+    }
+
     if (!soraRes.ok) {
       const errorText = await soraRes.text();
       let errMsg = errorText;
@@ -174,104 +1266,3470 @@ export default {
         const errJson = JSON.parse(errorText);
         errMsg = errJson.error?.message || errorText;
       } catch (e) {}
-      return new Response(JSON.stringify({ error: errMsg }), {
-        status: 500,
-        headers: { 'Content-Type': 'application/json' },
-      });
+      const status = soraRes.status;
+      const code = classifyUpstreamError(errMsg, status);
+      return {
+        status: upstreamStatusFor(status, code),
+        error: errMsg,
+        code,
+        retryAfter: status === 429 ? soraRes.headers.get('Retry-After') : null,
+        retryable: status === 401 || status === 403 || status === 429 || status >= 500,
+        cooldownMs: cooldownMsFor(status, soraRes.headers.get('Retry-After')),
+      };
     }
-  
-    // 5. 创建 SSE 流，边读 Sora 返回，边转发给前端
-    const { readable, writable } = new TransformStream();
-    const writer = writable.getWriter();
-    const encoder = new TextEncoder();
+
+    // 读到第一个数据块才算流已开始, 在此之前出错仍可切换到下一个后端
+    const reader = soraRes.body.getReader();
+    let first;
+    try {
+      first = await reader.read();
+    } catch (e) {
+      first = { done: true };
+    }
+    if (signal && signal.aborted) {
+      reader.cancel().catch(() => {});
+      return { status: 499, error: '已取消', cancelled: true };
+    }
+    if (first.done) {
+      return {
+        status: 502,
+        error: 'Sora 返回了空的响应流',
+        code: 'UPSTREAM_ERROR',
+        retryable: true,
+        cooldownMs: BACKEND_ERROR_COOLDOWN_MS,
+      };
+    }
+
+    const body = new ReadableStream({
+      start(controller) {
+        controller.enqueue(first.value);
+      },
+      async pull(controller) {
+        const { done, value } = await reader.read();
+        if (done) controller.close();
+        else controller.enqueue(value);
+      },
+      cancel(reason) {
+        return reader.cancel(reason);
+      },
+    });
+
+    return { res: new Response(body, { status: soraRes.status, headers: soraRes.headers }) };
+  }
+
+  /**
+   * 调用 Sora chat.completions, 按后端池轮换并在流开始前自动故障转移
+   * - 成功返回 { res, backend }
+   * - 失败返回 { status, error, code, retryAfter, backend }, signal 中止时 cancelled 为 true
+   */
+  async function requestSora(env, payload, signal) {
+    const backends = orderBackends(getBackends(env), payload.model);
+    if (!backends.length) {
+      return {
+        status: 503,
+        error: `没有可用的上游后端支持模型 ${payload.model}`,
+        code: 'UPSTREAM_ERROR',
+      };
+    }
+
+    let lastFailure = null;
+    for (const backend of backends) {
+      const result = await requestBackend(backend, payload, signal);
+      if (result.cancelled) return { ...result, backend: backend.name };
+      if (result.res) {
+        stateOf(backend).cooldownUntil = 0;
+        return { res: result.res, backend: backend.name };
+      }
+      lastFailure = {
+        status: result.status,
+        error: result.error,
+        code: result.code,
+        retryAfter: result.retryAfter || null,
+        backend: backend.name,
+      };
+      if (!result.retryable) break;
+      coolDownBackend(backend, result.cooldownMs, result.error);
+    }
+
+    return lastFailure;
+  }
+
+  /** 生成请求的访问日志 */
+  function logGeneration(route, user, model, backend, status, startedAt) {
+    console.log(
+      `[sora] ${route} user=${user.name} model=${model} backend=${backend || '-'} ` +
+        `status=${status} ${Date.now() - startedAt}ms`
+    );
+  }
+
+  /**
+   * 增量解析 SSE 文本
+   * - 兼容 \n / \r\n / \r 换行, 支持多行 data 与注释行
+   * - push(chunk) 返回本次凑齐的事件 [{ id, event, data }]
+   */
+  function createSSEParser() {
+    let buffer = '';
+
+    return {
+      push(chunk) {
+        buffer += chunk;
+        // 末尾的 \r 可能和下一块的 \n 组成 \r\n, 先留着
+        const keepCR = buffer.endsWith('\r');
+        const text = (keepCR ? buffer.slice(0, -1) : buffer).replace(/\r\n?/g, '\n');
+        const frames = text.split('\n\n');
+        buffer = frames.pop() + (keepCR ? '\r' : '');
+        return frames.map(parseSSEFrame).filter(Boolean);
+      },
+      flush() {
+        const frame = parseSSEFrame(buffer.replace(/\r\n?/g, '\n'));
+        buffer = '';
+        return frame ? [frame] : [];
+      },
+    };
+  }
+
+  function parseSSEFrame(frame) {
+    const data = [];
+    let id = null;
+    let event = null;
+    for (const line of frame.split('\n')) {
+      if (!line || line.startsWith(':')) continue;
+      const colon = line.indexOf(':');
+      const field = colon === -1 ? line : line.slice(0, colon);
+      let value = colon === -1 ? '' : line.slice(colon + 1);
+      if (value.startsWith(' ')) value = value.slice(1);
+      if (field === 'data') data.push(value);
+      else if (field === 'id') id = value;
+      else if (field === 'event') event = value;
+    }
+    return data.length ? { id, event, data: data.join('\n') } : null;
+  }
+
+  /** 从上游的 reasoning 文本判断阶段 */
+  function detectPhase(text) {
+    if (/queue|pending|waiting|排队/i.test(text)) return 'queued';
+    if (/running|progress|generating|生成中/i.test(text)) return 'running';
+    return null;
+  }
+
+  const isTerminalEvent = (evt) =>
+    evt.type === 'result' || evt.type === 'error' || evt.type === 'cancelled';
+
+  /**
+   * 读取 Sora 的 SSE 流, 转换为本站事件 (协议版本见 EVENT_PROTOCOL_VERSION):
+   * - status: 阶段变化 { phase: queued | running | finalizing }
+   * - log: 上游 reasoning 原文 { text }
+   * - progress: { percent }
+   * - 结束后推送一次 result / error (带 code, 见 classifyUpstreamError); signal 中止时取消上游读取, 并推送 cancelled
+   * - 上游拒绝时通常不返回媒体, 只有流中的 error 对象或一段说明文字, 原样作为错误信息
+   */
+  async function consumeSoraStream(soraRes, onEvent, signal) {
     const decoder = new TextDecoder();
-  
-    (async () => {
-      let buffer = '';
-      let fullContent = '';
-  
+    const parser = createSSEParser();
+    let fullContent = '';
+    let streamError = null;
+    let phase = null;
+    let finished = false;
+    const reader = soraRes.body.getReader();
+    const onAbort = () => reader.cancel().catch(() => {});
+    if (signal) signal.addEventListener('abort', onAbort);
+
+    const setPhase = async (next) => {
+      if (!next || next === phase) return;
+      phase = next;
+      await onEvent({ type: 'status', phase });
+    };
+
+    const handleFrame = async (frame) => {
+      if (frame.data === '[DONE]') {
+        // Sora 结束
+        finished = true;
+        return;
+      }
+
+      let json;
       try {
-        const reader = soraRes.body.getReader();
-  
-        while (true) {
-          const { done, value } = await reader.read();
-          if (done) break;
-  
-          buffer += decoder.decode(value, { stream: true });
-  
-          const parts = buffer.split('\n\n');
-          buffer = parts.pop(); // 剩下半截
-  
-          for (const part of parts) {
-            const line = part.trim();
-            if (!line.startsWith('data:')) continue;
-  
-            const dataStr = line.slice(5).trim();
-            if (!dataStr) continue;
-  
-            if (dataStr === '[DONE]') {
-              // Sora 结束
-              break;
-            }
-  
-            let json;
+        json = JSON.parse(frame.data);
+      } catch (e) {
+        return;
+      }
+
+      if (json?.error) {
+        streamError =
+          typeof json.error === 'string'
+            ? json.error
+            : json.error.message || JSON.stringify(json.error);
+        return;
+      }
+
+      const delta = json?.choices?.[0]?.delta || {};
+
+      // 进度: "**Video Generation Progress**: 9% (running)"
+      if (delta.reasoning_content) {
+        const text = delta.reasoning_content;
+        await onEvent({ type: 'log', text });
+        await setPhase(detectPhase(text));
+        const m = text.match(/Progress\*\*: *(\d+)%/i);
+        if (m) {
+          await onEvent({ type: 'progress', percent: Number(m[1]) });
+        }
+      }
+
+      // 累积最终 HTML 内容
+      if (delta.content) {
+        await setPhase('finalizing');
+        fullContent += delta.content;
+      }
+    };
+
+    try {
+      while (!finished) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        for (const frame of parser.push(decoder.decode(value, { stream: true }))) {
+          await handleFrame(frame);
+          if (finished) break;
+        }
+      }
+      if (!finished) {
+        for (const frame of parser.flush()) await handleFrame(frame);
+      } else {
+        reader.cancel().catch(() => {});
+      }
+
+      if (signal && signal.aborted) {
+        await onEvent({ type: 'cancelled', message: '已取消' });
+        return;
+      }
+
+      // 全部读取完毕，解析结果媒体
+      await setPhase('finalizing');
+      const assets = extractResultAssets(fullContent);
+      if (!assets.length) {
+        const text = fullContent.replace(/<[^>]*>|```\w*/g, ' ').replace(/\s+/g, ' ').trim();
+        const message =
+          streamError ||
+          (text ? `上游未返回媒体: ${text.slice(0, 300)}` : '未能从返回内容中解析出媒体 URL');
+        await onEvent(upstreamErrorEvent(message));
+      } else {
+        // 直接返回真实媒体地址（不再通过 /proxy）, url 为主媒体, assets 为全部结果
+        await onEvent({ type: 'result', url: primaryAsset(assets).url, assets });
+      }
+    } catch (e) {
+      if (signal && signal.aborted) {
+        await onEvent({ type: 'cancelled', message: '已取消' });
+      } else {
+        await onEvent(upstreamErrorEvent(e.message || 'SSE 处理异常'));
+      }
+    } finally {
+      if (signal) signal.removeEventListener('abort', onAbort);
+    }
+  }
+
+  /**
+   * 创建推给前端的 SSE 流
+   * - 每个事件带 id: (未指定时自增), 客户端可用 Last-Event-ID 续传
+   * - 定时发送 ": keepalive" 注释, 防止空闲连接被代理断开; 写入失败视为客户端断开, 调用 onDisconnect
+   */
+  function createSSEStream(headers = {}, { onDisconnect } = {}) {
+    const { readable, writable } = new TransformStream();
+    const writer = writable.getWriter();
+    const encoder = new TextEncoder();
+    let nextId = 1;
+    let closed = false;
+
+    const write = async (text) => {
+      if (closed) return;
+      try {
+        await writer.write(encoder.encode(text));
+      } catch (e) {
+        closed = true;
+        clearInterval(keepalive);
+        if (onDisconnect) onDisconnect();
+        throw e;
+      }
+    };
+    const keepalive = setInterval(() => write(': keepalive\n\n').catch(() => {}), SSE_KEEPALIVE_MS);
+
+    write(`retry: ${SSE_RETRY_MS}\n\n`).catch(() => {});
+
+    return {
+      send: (evt, id) => {
+        const eventId = id == null ? nextId++ : id;
+        return write(`id: ${eventId}\ndata: ${JSON.stringify(evt)}\n\n`);
+      },
+      close: () => {
+        clearInterval(keepalive);
+        if (closed) return;
+        closed = true;
+        writer.close().catch(() => {});
+      },
+      response: new Response(readable, {
+        headers: {
+          'Content-Type': 'text/event-stream; charset=utf-8',
+          'Cache-Control': 'no-cache',
+          'X-Event-Protocol': String(EVENT_PROTOCOL_VERSION),
+          ...headers,
+        },
+      }),
+    };
+  }
+
+  /** 上传限制, 可通过环境变量覆盖 */
+  function getUploadLimits(env) {
+    const mb = (value, fallback) => (Number(value) > 0 ? Number(value) : fallback) * 1024 * 1024;
+    const types = (value) =>
+      (value || '')
+        .split(',')
+        .map((t) => t.trim().toLowerCase())
+        .filter(Boolean);
+    return {
+      maxFileBytes: mb(env.UPLOAD_MAX_FILE_MB, 20),
+      maxTotalBytes: mb(env.UPLOAD_MAX_TOTAL_MB, 50),
+      maxFiles: {
+        video: Number(env.UPLOAD_MAX_FILES_VIDEO) || 1,
+        image: Number(env.UPLOAD_MAX_FILES_IMAGE) || 4,
+      },
+      allowedTypes: types(env.UPLOAD_ALLOWED_TYPES),
+      deniedTypes: types(env.UPLOAD_DENIED_TYPES),
+    };
+  }
+
+  /** 参考文件类型是否符合部署配置的允许 / 禁止列表 (支持 image/* 通配), 禁止列表优先 */
+  function isMediaTypeAllowed(limits, mimeType) {
+    const type = mimeType.toLowerCase();
+    if (matchesModelPattern(limits.deniedTypes, type)) return false;
+    return !limits.allowedTypes.length || matchesModelPattern(limits.allowedTypes, type);
+  }
+
+  /** 根据文件头部的魔数判断真实类型, 无法识别时返回空字符串 */
+  function sniffMimeType(bytes) {
+    const ascii = (start, end) => String.fromCharCode(...bytes.slice(start, end));
+    if (bytes[0] === 0x89 && ascii(1, 4) === 'PNG') return 'image/png';
+    if (bytes[0] === 0xff && bytes[1] === 0xd8 && bytes[2] === 0xff) return 'image/jpeg';
+    if (ascii(0, 4) === 'GIF8') return 'image/gif';
+    if (ascii(0, 4) === 'RIFF' && ascii(8, 12) === 'WEBP') return 'image/webp';
+    if (ascii(4, 8) === 'ftyp') return ascii(8, 10) === 'qt' ? 'video/quicktime' : 'video/mp4';
+    if (bytes[0] === 0x1a && bytes[1] === 0x45 && bytes[2] === 0xdf && bytes[3] === 0xa3) {
+      return 'video/webm';
+    }
+    return '';
+  }
+
+  function base64ByteLength(b64) {
+    const padding = b64.endsWith('==') ? 2 : b64.endsWith('=') ? 1 : 0;
+    return Math.floor((b64.length * 3) / 4) - padding;
+  }
+
+  function base64ToBytes(b64) {
+    const binary = atob(b64);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+    return bytes;
+  }
+
+  function bytesToBase64(bytes) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+      binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+  }
+
+  function uploadError(message, code, status, index) {
+    return jsonResponse({ error: message, code, field: 'files', index }, status);
+  }
+
+  const fileTypeNotAllowed = (label, mimeType, index) =>
+    uploadError(`${label}的类型 ${mimeType} 不允许作为参考内容`, 'FILE_TYPE_NOT_ALLOWED', 400, index);
+
+  /**
+   * 解析按 URL 引用的参考文件 (Remix / Extend 使用历史结果)
+   * - 本站对象存储的地址需要访问密码, 上游无法拉取: 从存储读取, 之后按 base64 内联;
+   *   与删除对象相同, 只能引用自己生成的对象
+   * - 其它地址必须在媒体代理白名单内, 原样传给上游; 类型取声明的 mimeType, 否则按扩展名判断
+   * 返回 { mimeType, size, key } 或 { mimeType, url }, 失败返回 { error, code, status? }
+   */
+  async function resolveReferenceUrl(env, user, origin, raw, declaredMime) {
+    let target;
+    try {
+      target = new URL(raw, origin);
+    } catch (e) {
+      return { error: '不是合法的地址', code: 'INVALID_FILE' };
+    }
+
+    if (target.origin === origin && target.pathname.startsWith('/api/objects/')) {
+      const key = decodeURIComponent(target.pathname.slice('/api/objects/'.length));
+      const bucket = getMediaBucket(env);
+      const head = bucket && (await bucket.head(key));
+      if (!head || isMediaExpired(env, head)) {
+        return { error: '引用的文件不存在或已过期', code: 'REFERENCE_NOT_FOUND' };
+      }
+      const owner = head.customMetadata?.user;
+      if (owner && owner !== user.name) {
+        return { error: '无权引用该文件', code: 'FORBIDDEN', status: 403 };
+      }
+      const mimeType = (head.httpMetadata?.contentType || '').split(';')[0].trim();
+      return { mimeType, size: head.size, key };
+    }
+
+    if (!isAllowedUrl(target, getMediaAllowedHosts(env))) {
+      return { error: '引用的地址不在允许列表中', code: 'REFERENCE_NOT_ALLOWED' };
+    }
+    const kind = guessAssetKind(target.pathname);
+    const mimeType = /^(image|video)\//.test(declaredMime || '')
+      ? declaredMime
+      : kind === 'video'
+        ? 'video/mp4'
+        : kind === 'image'
+          ? 'image/png'
+          : '';
+    return { mimeType, url: target.href };
+  }
+
+  /**
+   * 校验参考文件
+   * - 文件既可以是 JSON 中的 { mimeType, data(base64) }, 也可以是 multipart 上传的 { mimeType, blob }
+   * - 也可以是 URL 引用 { url, mimeType? } (multipart 中为字符串字段), 见 resolveReferenceUrl
+   * - 检查数量 (按生成模式)、单个与总大小, 并用魔数确认确实是图片或视频
+   * 成功返回 { files: [{ mimeType, data } | { mimeType, url }] }, 失败返回 { error: Response } (400 / 403 / 413, 带出错文件的 index)
+   */
+  async function validateUploads(env, user, files, model, origin) {
+    if (files == null) return { files: [] };
+    if (!Array.isArray(files)) {
+      return { error: uploadError('files 必须是数组', 'INVALID_FILE', 400) };
+    }
+
+    const limits = getUploadLimits(env);
+    const mode = parseModelId(model).kind;
+    const maxFiles = limits.maxFiles[mode];
+    if (files.length > maxFiles) {
+      return {
+        error: uploadError(
+          `${mode === 'video' ? '视频' : '图像'}生成最多上传 ${maxFiles} 个参考文件`,
+          'TOO_MANY_FILES',
+          400,
+          maxFiles
+        ),
+      };
+    }
+
+    const checked = [];
+    let totalBytes = 0;
+
+    for (let i = 0; i < files.length; i++) {
+      const file = files[i];
+      const label = `第 ${i + 1} 个文件`;
+      let size;
+      let head;
+      let data = null;
+
+      if (file && typeof file.url === 'string') {
+        const ref = await resolveReferenceUrl(env, user, origin, file.url, file.mimeType);
+        if (ref.error) {
+          return { error: uploadError(`${label}: ${ref.error}`, ref.code, ref.status || 400, i) };
+        }
+        if (!/^(image|video)\//.test(ref.mimeType)) {
+          return {
+            error: uploadError(`${label}不是支持的图片或视频格式`, 'UNSUPPORTED_FILE_TYPE', 400, i),
+          };
+        }
+        if (mode === 'image' && ref.mimeType.startsWith('video/')) {
+          return {
+            error: uploadError('图像生成不支持视频参考', 'UNSUPPORTED_FILE_TYPE', 400, i),
+          };
+        }
+        if (!isMediaTypeAllowed(limits, ref.mimeType)) {
+          return { error: fileTypeNotAllowed(label, ref.mimeType, i) };
+        }
+        // 外部地址由上游拉取, 不计入上传大小
+        totalBytes += ref.size || 0;
+        if (ref.size > limits.maxFileBytes || totalBytes > limits.maxTotalBytes) {
+          return {
+            error: uploadError(`${label}超过参考文件大小上限`, 'FILE_TOO_LARGE', 413, i),
+          };
+        }
+        checked.push({ mimeType: ref.mimeType, data: null, url: ref.url, key: ref.key });
+        continue;
+      } else if (file && file.blob instanceof Blob) {
+        size = file.blob.size;
+        head = new Uint8Array(await file.blob.slice(0, 18).arrayBuffer());
+      } else if (file && typeof file.mimeType === 'string' && typeof file.data === 'string') {
+        data = file.data.replace(/^data:[^,]*,/, '');
+        if (!/^[A-Za-z0-9+/]*={0,2}$/.test(data)) {
+          return { error: uploadError(`${label}不是合法的 base64 数据`, 'INVALID_FILE', 400, i) };
+        }
+        size = base64ByteLength(data);
+        head = base64ToBytes(data.slice(0, 24));
+      } else {
+        return {
+          error: uploadError(`${label}格式错误, 需要 mimeType 和 data 字段`, 'INVALID_FILE', 400, i),
+        };
+      }
+
+      if (!size) {
+        return { error: uploadError(`${label}为空`, 'INVALID_FILE', 400, i) };
+      }
+      if (size > limits.maxFileBytes) {
+        return {
+          error: uploadError(
+            `${label}超过 ${limits.maxFileBytes / 1024 / 1024}MB 的单文件上限`,
+            'FILE_TOO_LARGE',
+            413,
+            i
+          ),
+        };
+      }
+      totalBytes += size;
+      if (totalBytes > limits.maxTotalBytes) {
+        return {
+          error: uploadError(
+            `参考文件总大小超过 ${limits.maxTotalBytes / 1024 / 1024}MB 上限`,
+            'UPLOAD_TOO_LARGE',
+            413,
+            i
+          ),
+        };
+      }
+
+      const mimeType = sniffMimeType(head);
+      if (!mimeType) {
+        return {
+          error: uploadError(`${label}不是支持的图片或视频格式`, 'UNSUPPORTED_FILE_TYPE', 400, i),
+        };
+      }
+      const declared = (file.mimeType || '').split('/')[0];
+      if (declared && declared !== mimeType.split('/')[0]) {
+        return {
+          error: uploadError(
+            `${label}声明为 ${file.mimeType}, 实际内容为 ${mimeType}`,
+            'FILE_TYPE_MISMATCH',
+            400,
+            i
+          ),
+        };
+      }
+      if (mode === 'image' && mimeType.startsWith('video/')) {
+        return {
+          error: uploadError('图像生成不支持视频参考', 'UNSUPPORTED_FILE_TYPE', 400, i),
+        };
+      }
+      if (!isMediaTypeAllowed(limits, mimeType)) {
+        return { error: fileTypeNotAllowed(label, mimeType, i) };
+      }
+
+      checked.push({ mimeType, data, blob: file.blob });
+    }
+
+    // 全部通过后再读取 multipart 文件和存储中引用的对象, 避免为超限文件浪费内存
+    for (const file of checked) {
+      if (file.key) {
+        const object = await getMediaBucket(env).get(file.key);
+        if (!object) {
+          return { error: uploadError('引用的文件不存在或已过期', 'REFERENCE_NOT_FOUND', 400) };
+        }
+        file.data = bytesToBase64(new Uint8Array(await new Response(object.body).arrayBuffer()));
+      } else if (file.data === null && file.blob) {
+        file.data = bytesToBase64(new Uint8Array(await file.blob.arrayBuffer()));
+      }
+    }
+    return {
+      files: checked.map(({ mimeType, data, url }) => (url ? { mimeType, url } : { mimeType, data })),
+    };
+  }
+
+  /** 解析 multipart/form-data: 文本字段放入 body, files 字段为上传的文件或引用的 URL (字符串), 保持顺序 */
+  async function readMultipartBody(request) {
+    const form = await request.formData();
+    const body = {};
+    const files = [];
+    for (const [key, value] of form.entries()) {
+      if (key === 'files') {
+        files.push(
+          typeof value === 'string' ? { url: value } : { mimeType: value.type, blob: value }
+        );
+      } else if (typeof value === 'string') {
+        body[key] = value;
+      }
+    }
+    if (files.length) body.files = files;
+    return body;
+  }
+
+  /** 历史记录之间的来源关系: 以结果为参考重新生成 / 延续视频 */
+  const LINEAGE_RELATIONS = ['remix', 'extend'];
+
+  /**
+   * 解析请求体并做公共校验 (上游配置、访问密码、模型、参考文件、来源、高级参数、回调地址、内容审核、模型权限与额度)
+   * 成功返回 { body, user, admission, callbackUrl }, 失败返回 { error: Response }
+   * 调用方传入 findInflight(user, fingerprint) (按接口查找进行中的相同请求) 时启用结果复用:
+   * 可复用时不预扣额度, 返回 { body, user, callbackUrl, reuse: { cached } | { inflight } }
+   * 各阶段分开实现, 供 /api/batch 按任务分别校验、审核与准入
+   */
+  async function readGenerateBody(request, env, { findInflight } = {}) {
+    const parsed = await readRequestBody(request, env);
+    if (parsed.error) return parsed;
+    const checked = await checkGenerateBody(
+      env,
+      parsed.user,
+      parsed.body,
+      new URL(request.url).origin
+    );
+    if (checked.error) return checked;
+    const moderated = await moderateGenerateBody(env, parsed.user, parsed.body);
+    if (moderated.error) return moderated;
+    return admitGenerateBody(env, parsed.user, parsed.body, checked.callbackUrl, { findInflight });
+  }
+
+  /** 1 - 3: 上游配置、访问密码、请求体; 成功返回 { body, user } */
+  async function readRequestBody(request, env) {
+    // 1. 检查上游配置
+    if (!getBackends(env).length) {
+      return { error: jsonResponse({ error: '服务端未配置 SORA_API_KEY 或 SORA_BACKENDS' }, 500) };
+    }
+
+    // 2. 检查访问密码
+    const auth = await authenticate(request, env);
+    if (auth.error) return auth;
+
+    // 3. 请求体: JSON (文件为 base64) 或 multipart/form-data (文件为二进制)
+    const limits = getUploadLimits(env);
+    const contentLength = Number(request.headers.get('Content-Length')) || 0;
+    // base64 比原文件大约 1/3, 另留 1MB 给其它字段
+    if (contentLength > (limits.maxTotalBytes * 4) / 3 + 1024 * 1024) {
+      return {
+        error: jsonResponse({ error: '请求体过大', code: 'UPLOAD_TOO_LARGE', field: 'files' }, 413),
+      };
+    }
+
+    let body;
+    const contentType = request.headers.get('Content-Type') || '';
+    try {
+      body = contentType.includes('multipart/form-data')
+        ? await readMultipartBody(request)
+        : (await request.json()) || {};
+    } catch (e) {
+      return {
+        error: jsonResponse(
+          {
+            error: contentType.includes('multipart/form-data')
+              ? '请求体不是合法的 multipart/form-data'
+              : '请求体不是合法 JSON',
+          },
+          400
+        ),
+      };
+    }
+    return { body, user: auth.user };
+  }
+
+  /**
+   * 4 - 6: 模型、参考文件、来源、分镜、高级参数、回调地址; 成功返回 { callbackUrl }
+   * body.files / body.params 替换为校验后的值
+   */
+  async function checkGenerateBody(env, user, body, origin) {
+    // 4. 模型必须在模型目录中
+    const catalog = await getModelCatalog(env);
+    if (!catalog.ids.includes(body.model)) {
+      return {
+        error: jsonResponse(
+          { error: `未知的模型: ${body.model || '(空)'}`, code: 'UNKNOWN_MODEL', field: 'model' },
+          400
+        ),
+      };
+    }
+
+    // 5. 参考文件校验
+    const uploads = await validateUploads(env, user, body.files, body.model, origin);
+    if (uploads.error) return uploads;
+    body.files = uploads.files;
+
+    // 5.1 来源记录 (Remix / Extend): parent_id 为历史记录 id, relation 缺省为 remix
+    if (body.parent_id != null && body.parent_id !== '') {
+      if (!/^[\w-]{1,100}$/.test(String(body.parent_id))) {
+        return {
+          error: jsonResponse(
+            { error: 'parent_id 格式错误', code: 'INVALID_PARENT', field: 'parent_id' },
+            400
+          ),
+        };
+      }
+      body.parentId = String(body.parent_id);
+      body.relation = LINEAGE_RELATIONS.includes(body.relation) ? body.relation : 'remix';
+    }
+
+    // 5.2 分镜: storyboard_id 为分镜记录 id, shot 为镜头序号; 镜头结果由前端汇总成一条历史记录
+    if (body.storyboard_id != null && body.storyboard_id !== '') {
+      const shot = Number(body.shot);
+      if (
+        !/^[\w-]{1,100}$/.test(String(body.storyboard_id)) ||
+        !Number.isInteger(shot) ||
+        shot < 0 ||
+        shot >= STORYBOARD_MAX_SHOTS
+      ) {
+        return {
+          error: jsonResponse(
+            {
+              error: `storyboard_id 格式错误, 或 shot 不是 0 - ${STORYBOARD_MAX_SHOTS - 1} 的整数`,
+              code: 'INVALID_STORYBOARD',
+              field: 'storyboard_id',
+            },
+            400
+          ),
+        };
+      }
+      body.storyboard = { id: String(body.storyboard_id), shot };
+    }
+
+    // 5.3 高级参数: 按模型校验, 记入任务与历史, 以便复现结果
+    const checkedParams = validateParams(env, body.model, body.params);
+    if (checkedParams.error) return checkedParams;
+    body.params = checkedParams.params;
+
+    // 6. 回调地址
+    return resolveCallbackUrl(env, body);
+  }
+
+  /**
+   * 6.1 内容审核: 在排队和请求上游之前拦截, 被拒的请求不消耗额度; 通过时返回 {}
+   * - MODERATION_BLOCKLIST: 按用户组的关键词 / 正则黑名单, 命中时指出命中的内容
+   * - MODERATION_URL: 外部审核接口, 提交提示词和图片参考; 接口不可用时按 MODERATION_FAIL_OPEN 放行或拒绝
+   */
+  async function moderateGenerateBody(env, user, body) {
+    const text = moderationText(body);
+    const hit = text && matchBlocklist(env, user.group, text);
+    if (hit) {
+      console.log(`[sora] moderation user=${user.name} group=${user.group} blocked=blocklist`);
+      return {
+        error: jsonResponse(
+          { error: `提示词包含不允许的内容: "${hit}"`, code: 'CONTENT_POLICY', field: 'prompt' },
+          400
+        ),
+      };
+    }
+    if (!env.MODERATION_URL) return {};
+
+    const result = await requestModeration(env, text, body.files || []);
+    if (result.error) {
+      console.error('内容审核接口调用失败: ' + result.error);
+      if (env.MODERATION_FAIL_OPEN === 'true') return {};
+      return {
+        error: jsonResponse(
+          { error: '内容审核服务暂时不可用, 请稍后重试', code: 'MODERATION_UNAVAILABLE' },
+          503
+        ),
+      };
+    }
+    if (result.flagged) {
+      console.log(`[sora] moderation user=${user.name} group=${user.group} blocked=external`);
+      const detail = result.categories.length ? ` (${result.categories.join(', ')})` : '';
+      return {
+        error: jsonResponse(
+          {
+            error: `提示词或参考内容未通过审核${detail}`,
+            code: 'CONTENT_POLICY',
+            categories: result.categories,
+          },
+          400
+        ),
+      };
+    }
+    return {};
+  }
+
+  /** 需要审核的文本: 提示词 (或 /v1/chat/completions 中用户消息的文字) 与系统指令 */
+  function moderationText(body) {
+    const messages = Array.isArray(body.messages) ? body.messages : [];
+    const prompt =
+      typeof body.prompt === 'string'
+        ? body.prompt
+        : messages
+            .filter((m) => m && m.role === 'user')
+            .flatMap((m) =>
+              Array.isArray(m.content)
+                ? m.content.filter((part) => part && part.type === 'text').map((part) => part.text)
+                : [m.content]
+            )
+            .filter((part) => typeof part === 'string')
+            .join('\n');
+    const system = body.params && body.params.system;
+    return [prompt, system].filter(Boolean).join('\n');
+  }
+
+  /**
+   * 按用户组匹配 MODERATION_BLOCKLIST ("*" 与用户所在组的条目), 返回命中的文字或 null
+   * 条目为 /正则/flags 时按正则匹配, 否则按关键词不区分大小写匹配; 数组视为只有 "*"
+   */
+  function matchBlocklist(env, group, text) {
+    let rules = {};
+    try {
+      rules = env.MODERATION_BLOCKLIST ? JSON.parse(env.MODERATION_BLOCKLIST) : {};
+    } catch (e) {
+      console.error('MODERATION_BLOCKLIST 不是合法 JSON: ' + e.message);
+    }
+    if (Array.isArray(rules)) rules = { '*': rules };
+    const entries = [rules['*'], rules[group]].flatMap((list) => (Array.isArray(list) ? list : []));
+    const lower = text.toLowerCase();
+    for (const entry of entries) {
+      if (typeof entry !== 'string' || !entry) continue;
+      const regex = entry.match(/^\/(.+)\/([a-z]*)$/);
+      if (!regex) {
+        if (lower.includes(entry.toLowerCase())) return entry;
+        continue;
+      }
+      try {
+        const match = text.match(new RegExp(regex[1], regex[2].replace('g', '')));
+        if (match) return match[0];
+      } catch (e) {
+        console.error(`MODERATION_BLOCKLIST 中的正则无效: ${entry}`);
+      }
+    }
+    return null;
+  }
+
+  /**
+   * 调用外部审核接口, 请求体与 OpenAI /v1/moderations 相同:
+   * { input: [{ type: 'text', text }, { type: 'image_url', image_url: { url } }] }, 上传的图片以 data URL 提交
+   * 响应取 results[].flagged / categories (也接受顶层的 flagged / categories)
+   * 返回 { flagged, categories: [命中的类别] } 或 { error }
+   */
+  async function requestModeration(env, text, files) {
+    const input = text ? [{ type: 'text', text }] : [];
+    for (const file of files) {
+      if (!file.mimeType.startsWith('image/')) continue;
+      const url = file.url || `data:${file.mimeType};base64,${file.data}`;
+      input.push({ type: 'image_url', image_url: { url } });
+    }
+    if (!input.length) return { flagged: false, categories: [] };
+
+    const timeout =
+      Number(env.MODERATION_TIMEOUT_MS) > 0
+        ? Number(env.MODERATION_TIMEOUT_MS)
+        : MODERATION_DEFAULT_TIMEOUT_MS;
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeout);
+    try {
+      const res = await fetch(env.MODERATION_URL, {
+        method: 'POST',
+        signal: controller.signal,
+        headers: {
+          'Content-Type': 'application/json',
+          ...(env.MODERATION_API_KEY ? { Authorization: `Bearer ${env.MODERATION_API_KEY}` } : {}),
+        },
+        body: JSON.stringify({ input }),
+      });
+      if (!res.ok) {
+        res.body?.cancel().catch(() => {});
+        return { error: `HTTP ${res.status}` };
+      }
+      const data = await res.json();
+      const results = Array.isArray(data?.results) ? data.results : [data || {}];
+      const flagged = results.filter((r) => r && r.flagged === true);
+      const categories = [
+        ...new Set(
+          flagged.flatMap((r) =>
+            r.categories && typeof r.categories === 'object'
+              ? Object.keys(r.categories).filter((name) => r.categories[name] === true)
+              : []
+          )
+        ),
+      ];
+      return { flagged: flagged.length > 0, categories };
+    } catch (e) {
+      return { error: controller.signal.aborted ? '请求超时' : e.message || '连接失败' };
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /** 7 - 8: 相同请求复用与准入, 返回值见 readGenerateBody */
+  async function admitGenerateBody(env, user, body, callbackUrl, { findInflight } = {}) {
+    // 7. 相同请求复用: 命中同一用户的结果缓存, 或接入同一用户进行中的相同请求 (force 时跳过)
+    body.force = body.force === true || body.force === 'true' || body.force === '1';
+    body.fingerprint = findInflight ? await generationFingerprint(body) : null;
+    if (findInflight && !body.force) {
+      const cached = await createResultCache(env).getResult(user.name, body.fingerprint);
+      const inflight = cached ? null : await findInflight(user, body.fingerprint);
+      if (cached || inflight) {
+        const access = checkModelAccess(user, body.model);
+        if (access.error) return access;
+        const reuse = cached ? { cached } : { inflight };
+        return { body, user, callbackUrl, reuse };
+      }
+    }
+
+    // 8. 模型权限、额度与并发
+    const admission = await admitGeneration(env, user, body.model, body.params);
+    if (admission.error) return admission;
+
+    return { body, user, admission, callbackUrl };
+  }
+
+  /** 结果缓存时长 (秒), 0 表示不缓存; KV 的过期时间最少 60 秒 */
+  function getResultCacheTtl(env) {
+    const ttl =
+      env.RESULT_CACHE_TTL_SECONDS == null
+        ? RESULT_CACHE_DEFAULT_TTL_SECONDS
+        : Number(env.RESULT_CACHE_TTL_SECONDS) || 0;
+    return ttl > 0 ? Math.max(60, ttl) : 0;
+  }
+
+  async function sha256Hex(text) {
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+    return [...new Uint8Array(digest)].map((b) => b.toString(16).padStart(2, '0')).join('');
+  }
+
+  /**
+   * 请求指纹: 模型 + 规范化的提示词 (去首尾空白、合并连续空白) + 每个参考文件的内容摘要 (URL 引用取地址)
+   * + 高级参数; 批量任务的变体 (variant > 0) 计入指纹, 同一提示词的多个变体各自生成
+   */
+  async function generationFingerprint(body) {
+    const files = await Promise.all(
+      (body.files || []).map(async (f) =>
+        f.url ? `url:${f.url}` : `sha256:${await sha256Hex(f.data)}`
+      )
+    );
+    const prompt = String(body.prompt || '').trim().replace(/\s+/g, ' ');
+    const variant = body.variant > 0 ? { variant: body.variant } : {};
+    const params = body.params ? { params: body.params } : {};
+    return sha256Hex(JSON.stringify({ model: body.model, prompt, files, ...params, ...variant }));
+  }
+
+  /**
+   * 结果缓存, 底层为 SORA_CACHE KV (或内存替身)
+   * - result:<用户>:<指纹> 已完成的结果, 与 inflight 一样只在同一用户内复用 (结果地址指向该用户的对象),
+   *   保存 RESULT_CACHE_TTL_SECONDS; 命中时确认转存的对象仍然存在 (可能已被删除或过期清理), 否则丢弃
+   * - inflight:<用户>:<指纹> 进行中的任务 id (/api/jobs), 只在同一用户内去重, 任务结束时删除
+   */
+  function createResultCache(env) {
+    const kv = getKV(env, 'SORA_CACHE');
+    const ttl = getResultCacheTtl(env);
+    const resultKey = (user, hash) => `result:${user}:${hash}`;
+    const inflightKey = (user, hash) => `inflight:${user}:${hash}`;
+    return {
+      getResult: async (user, hash) => {
+        if (!ttl) return null;
+        const entry = await kv.get(resultKey(user, hash), 'json');
+        if (!entry || (await storedObjectsExist(env, entry))) return entry;
+        await kv.delete(resultKey(user, hash)).catch(() => {});
+        return null;
+      },
+      putResult: async (user, hash, { url, originalUrl, assets }) => {
+        if (!ttl) return;
+        const entry = { url, originalUrl: originalUrl || null, assets: assets || null };
+        await kv.put(resultKey(user, hash), JSON.stringify(entry), { expirationTtl: ttl });
+      },
+      getInflight: (user, hash) => kv.get(inflightKey(user, hash)),
+      putInflight: (user, hash, id) =>
+        kv.put(inflightKey(user, hash), id, { expirationTtl: JOB_TTL_SECONDS }),
+      deleteInflight: (user, hash) => kv.delete(inflightKey(user, hash)),
+    };
+  }
+
+  /** 结果引用的本站对象 (/api/objects/...) 是否都还在存储中且未过期 */
+  async function storedObjectsExist(env, { url, assets }) {
+    const keys = new Set();
+    for (const raw of [url, ...(assets || []).map((a) => a && a.url)]) {
+      try {
+        const { pathname } = new URL(raw);
+        if (pathname.startsWith('/api/objects/')) {
+          keys.add(decodeURIComponent(pathname.slice('/api/objects/'.length)));
+        }
+      } catch (e) {}
+    }
+    if (!keys.size) return true;
+    const bucket = getMediaBucket(env);
+    if (!bucket) return false;
+    for (const key of keys) {
+      const head = await bucket.head(key);
+      if (!head || isMediaExpired(env, head)) return false;
+    }
+    return true;
+  }
+
+  /** 缓存命中时返回给客户端的结果事件 */
+  const cachedResultEvent = ({ url, originalUrl, assets }) => ({
+    type: 'result',
+    url,
+    originalUrl,
+    assets,
+    cached: true,
+  });
+
+  /**
+   * 本 isolate 内进行中的 /api/generate 流, key 为 用户:指纹
+   * { id, events, listeners, detached, abort }: 事件会转发给接入的客户端; 发起者断开后, 最后一个接入者也断开时才中止上游
+   */
+  const inflightStreams = new Map();
+
+  /** 接入进行中的相同请求: 先补发已有事件, 再转发后续事件, 原请求结束时关闭 */
+  function attachToStream(flight) {
+    const listener = (evt) => {
+      if (!evt) {
+        flight.listeners.delete(listener);
+        sse.close();
+        return;
+      }
+      sse.send(evt).catch(() => {});
+    };
+    const sse = createSSEStream(
+      { 'X-Generation-Id': flight.id, 'X-Sora-Cache': 'inflight' },
+      {
+        onDisconnect: () => {
+          flight.listeners.delete(listener);
+          if (flight.detached && !flight.listeners.size) flight.abort();
+        },
+      }
+    );
+    sse.send({ type: 'cache', status: 'inflight' }).catch(() => {});
+    flight.events.forEach((evt) => sse.send(evt).catch(() => {}));
+    flight.listeners.add(listener);
+    return sse.response;
+  }
+
+  /**
+   * /api/generate
+   * - 接收前端请求
+   * - 调用 Sora SSE
+   * - 把进度和最终 URL 以 SSE 推给前端
+   * - 配置了回调时, 结束 (result / error) 后在后台投递回调, 生成 id 见 X-Generation-Id 响应头
+   * - 成功的结果写入服务端历史记录 (id 同生成 id)
+   * - 超出队列并发上限时先推送 queued 事件 (位置与预计等待), 轮到后再请求上游
+   */
+  async function handleGenerateRequest(request, env, ctx) {
+    const startedAt = Date.now();
+    const findInflight = async (u, fingerprint) =>
+      inflightStreams.get(`${u.name}:${fingerprint}`) || null;
+    const { body, user, admission, callbackUrl, reuse, error } = await readGenerateBody(
+      request,
+      env,
+      { findInflight }
+    );
+    if (error) return error;
+    if (reuse && reuse.inflight) {
+      logGeneration('/api/generate', user, body.model, null, 'inflight', startedAt);
+      return attachToStream(reuse.inflight);
+    }
+
+    const generation = {
+      id: crypto.randomUUID(),
+      model: body.model,
+      prompt: body.prompt,
+      parentId: body.parentId || null,
+      relation: body.relation || null,
+      storyboard: body.storyboard || null,
+      params: body.params || null,
+      createdAt: startedAt,
+    };
+    const notify = (evt) => {
+      if (!callbackUrl) return;
+      const task = deliverWebhook(env, callbackUrl, user, buildWebhookPayload(generation, evt));
+      if (ctx && ctx.waitUntil) ctx.waitUntil(task);
+    };
+
+    // 命中结果缓存: 直接返回缓存的结果, 同样写入历史并回调, 不消耗额度
+    if (reuse) {
+      const evt = cachedResultEvent(reuse.cached);
+      await recordHistory(env, user, generation, evt);
+      notify(evt);
+      const sse = createSSEStream({ 'X-Generation-Id': generation.id, 'X-Sora-Cache': 'hit' });
+      sse.send({ type: 'cache', status: 'hit' }).catch(() => {});
+      sse.send(evt).catch(() => {});
+      sse.close();
+      logGeneration('/api/generate', user, body.model, null, 'cached', startedAt);
+      return sse.response;
+    }
+
+    // 客户端断开 (请求中止或写入失败) 时取消上游请求和读取, 不再为无人接收的任务付费
+    // 有其它客户端接入同一请求时继续执行, 最后一个接入者断开时再中止
+    const controller = new AbortController();
+    const abort = () => controller.abort();
+    const flightKey = `${user.name}:${body.fingerprint}`;
+    const flight = {
+      id: generation.id,
+      events: [],
+      listeners: new Set(),
+      detached: false,
+      abort,
+    };
+    const disconnect = () => {
+      flight.detached = true;
+      if (!flight.listeners.size) abort();
+    };
+    if (request.signal) request.signal.addEventListener('abort', disconnect);
+
+    const ticket = await enterQueue(env, user, generation.id);
+    if (ticket.error) {
+      if (request.signal) request.signal.removeEventListener('abort', disconnect);
+      await admission.release(false);
+      return ticket.error;
+    }
+    inflightStreams.set(flightKey, flight);
+    const finish = async (status, backend) => {
+      if (request.signal) request.signal.removeEventListener('abort', disconnect);
+      if (inflightStreams.get(flightKey) === flight) inflightStreams.delete(flightKey);
+      flight.listeners.forEach((listener) => listener(null));
+      await ticket.release();
+      await admission.release(status === 'succeeded');
+      logGeneration('/api/generate', user, body.model, backend, status, startedAt);
+    };
+    // 发给当前客户端, 同时记录并转发给接入的客户端
+    const publish = (sse, evt) => {
+      flight.events.push(evt);
+      flight.listeners.forEach((listener) => listener(evt));
+      return sse.send(evt);
+    };
+
+    const origin = new URL(request.url).origin;
+    const payload = buildSoraPayload(body);
+
+    // 边读 Sora 返回，边转发给前端
+    const forward = async (sse, upstream) => {
+      let status = 'failed';
+      try {
+        await consumeSoraStream(
+          upstream.res,
+          async (evt) => {
+            if (evt.type === 'result') {
+              if (getMediaBucket(env)) {
+                await publish(sse, { type: 'status', phase: 'persisting' }).catch(() => {});
+              }
+              evt = await persistResult(env, origin, evt, { user: user.name, model: body.model });
+              await recordHistory(env, user, generation, evt);
+              await createResultCache(env).putResult(user.name, body.fingerprint, evt);
+              status = 'succeeded';
+            } else if (evt.type === 'cancelled') {
+              status = 'cancelled';
+            }
+            if (evt.type === 'result' || evt.type === 'error') notify(evt);
             try {
-              json = JSON.parse(dataStr);
+              await publish(sse, evt);
             } catch (e) {
-              continue;
-            }
-  
-            const delta = json?.choices?.[0]?.delta || {};
-  
-            // 进度: "**Video Generation Progress**: 9% (running)"
-            if (delta.reasoning_content) {
-              const text = delta.reasoning_content;
-              const m = text.match(/Progress\*\*: *(\d+)%/i);
-              if (m) {
-                const percent = Number(m[1]);
-                const evt = { type: 'progress', percent };
-                await writer.write(
-                  encoder.encode('data: ' + JSON.stringify(evt) + '\n\n')
-                );
-              }
+              disconnect();
             }
-  
-            // 累积最终 HTML 内容
-            if (delta.content) {
-              fullContent += delta.content;
+          },
+          controller.signal
+        );
+      } finally {
+        sse.close();
+        await finish(status, upstream.backend);
+      }
+    };
+
+    // 需要排队时先建立 SSE 连接推送 queued 事件, 轮到后再请求上游; 此时上游错误也以 error 事件返回
+    if (ticket.status.state === 'queued') {
+      const sse = createSSEStream({ 'X-Generation-Id': generation.id }, { onDisconnect: disconnect });
+      (async () => {
+        const started = await ticket
+          .wait({
+            signal: controller.signal,
+            onQueued: (queue) => publish(sse, { type: 'queued', ...queue }).catch(disconnect),
+          })
+          .catch((e) => {
+            console.error('排队失败: ' + e.message);
+            return false;
+          });
+        const upstream = started
+          ? await requestSora(env, payload, controller.signal)
+          : controller.signal.aborted
+            ? { error: '已取消', cancelled: true }
+            : { error: '排队已中断, 请重新提交', code: 'QUEUE_INTERRUPTED' };
+        if (!upstream.error) return forward(sse, upstream);
+
+        if (!upstream.cancelled) {
+          const evt = { type: 'error', message: upstream.error, code: upstream.code };
+          notify(evt);
+          await publish(sse, evt).catch(() => {});
+        }
+        sse.close();
+        await finish(upstream.cancelled ? 'cancelled' : 'failed', upstream.backend);
+      })();
+      return sse.response;
+    }
+
+    await ticket.wait();
+    const upstream = await requestSora(env, payload, controller.signal);
+    const backendHeader = {
+      'X-Generation-Id': generation.id,
+      ...(upstream.backend ? { 'X-Sora-Backend': upstream.backend } : {}),
+    };
+    if (upstream.error) {
+      const evt = { type: 'error', message: upstream.error, code: upstream.code };
+      if (!upstream.cancelled) notify(evt);
+      // 已接入的客户端收不到这里的 JSON 错误, 单独补发
+      flight.listeners.forEach((listener) => listener(evt));
+      await finish(upstream.cancelled ? 'cancelled' : 'failed', upstream.backend);
+      const retryAfter = upstream.retryAfter ? { 'Retry-After': upstream.retryAfter } : {};
+      return jsonResponse({ error: upstream.error, code: upstream.code }, upstream.status, {
+        ...backendHeader,
+        ...retryAfter,
+      });
+    }
+
+    const sse = createSSEStream(backendHeader, { onDisconnect: disconnect });
+    forward(sse, upstream);
+    return sse.response;
+  }
+
+  /**
+   * /v1/chat/completions (OpenAI 兼容)
+   * - 调用方用自己的访问码作为 Bearer Token, 真实的 SORA_API_KEY 不会外泄
+   * - stream: true 时原样转发上游 SSE 分块 (不转存媒体, 返回的是上游地址)
+   * - 非流式时收集完整的流, 返回包含媒体 URL 的 chat.completion
+   */
+  async function handleChatCompletions(request, env) {
+    const startedAt = Date.now();
+    const { body, user, admission, error } = await readGenerateBody(request, env);
+    if (error) return toOpenAIError(error);
+
+    if (!Array.isArray(body.messages) || !body.messages.length) {
+      await admission.release(false);
+      return openAIError('messages 必须是非空数组', 400, 'invalid_request_error');
+    }
+
+    // 调用方断开时中止上游
+    const controller = new AbortController();
+    if (request.signal) request.signal.addEventListener('abort', () => controller.abort());
+
+    const payload = applyGenerationParams(
+      { model: body.model, messages: body.messages, stream: true },
+      body.params
+    );
+    const upstream = await requestSora(env, payload, controller.signal);
+    const backendHeader = upstream.backend ? { 'X-Sora-Backend': upstream.backend } : {};
+    if (upstream.error) {
+      await admission.release(false);
+      logGeneration('/v1/chat/completions', user, body.model, upstream.backend, 'failed', startedAt);
+      const retryAfter = upstream.retryAfter ? { 'Retry-After': upstream.retryAfter } : {};
+      return openAIError(
+        upstream.error,
+        upstream.status,
+        OPENAI_ERROR_TYPES[upstream.status] || 'api_error',
+        upstream.code,
+        { ...backendHeader, ...retryAfter }
+      );
+    }
+
+    const finish = async (succeeded) => {
+      await admission.release(succeeded);
+      logGeneration(
+        '/v1/chat/completions',
+        user,
+        body.model,
+        upstream.backend,
+        succeeded ? 'succeeded' : 'failed',
+        startedAt
+      );
+    };
+
+    // 流式: 一路转发给调用方, 另一路用于判断结果、释放额度
+    if (body.stream) {
+      const [clientBranch, trackBranch] = upstream.res.body.tee();
+      (async () => {
+        let succeeded = false;
+        await consumeSoraStream(
+          new Response(trackBranch),
+          (evt) => {
+            if (evt.type === 'result') succeeded = true;
+          },
+          controller.signal
+        );
+        await finish(succeeded);
+      })();
+
+      return new Response(clientBranch, {
+        headers: {
+          'Content-Type': 'text/event-stream; charset=utf-8',
+          'Cache-Control': 'no-cache',
+          ...backendHeader,
+        },
+      });
+    }
+
+    let result = null;
+    await consumeSoraStream(
+      upstream.res,
+      async (evt) => {
+        if (evt.type === 'result') {
+          evt = await persistResult(env, new URL(request.url).origin, evt, {
+            user: user.name,
+            model: body.model,
+          });
+        }
+        result = evt;
+      },
+      controller.signal
+    );
+    await finish(result?.type === 'result');
+
+    if (result?.type !== 'result') {
+      return openAIError(
+        result?.message || '生成失败',
+        502,
+        'api_error',
+        result?.code || null,
+        backendHeader
+      );
+    }
+
+    // 多张结果时每行一个地址 (不含缩略图)
+    const content = result.assets
+      .filter((a) => a.kind !== 'thumbnail')
+      .map((a) => a.url)
+      .join('\n');
+
+    return jsonResponse(
+      {
+        id: 'chatcmpl-' + crypto.randomUUID(),
+        object: 'chat.completion',
+        created: Math.floor(startedAt / 1000),
+        model: body.model,
+        choices: [
+          {
+            index: 0,
+            message: { role: 'assistant', content },
+            finish_reason: 'stop',
+          },
+        ],
+        usage: { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 },
+      },
+      200,
+      backendHeader
+    );
+  }
+
+  /** 润色提示词的系统指令, 按生成模式区分 */
+  function enhanceInstruction(mode) {
+    const target = mode === 'image' ? '图像' : '视频';
+    const detail = mode === 'image' ? '构图、光线、材质和风格' : '动作、镜头运动、构图、光线和风格';
+    return (
+      `你是 Sora ${target}生成的提示词编辑。把用户的草稿改写成一段具体、可直接使用的提示词: ` +
+      `明确主体和场景, 补充${detail}。保留草稿中的全部要求和 {变量} 占位符, 不要加入与草稿冲突的内容; ` +
+      '使用与草稿相同的语言; 只输出改写后的提示词, 不要解释、标题或引号。'
+    );
+  }
+
+  /**
+   * POST /api/enhance-prompt { prompt, mode }
+   * - 用 PROMPT_ENHANCE_MODEL 改写提示词草稿, 以 SSE 推送 delta { text } 增量, 最后推送 done { prompt } 或 error
+   * - 不计入生成额度
+   */
+  async function handleEnhancePrompt(request, env) {
+    const startedAt = Date.now();
+    const auth = await authenticate(request, env);
+    if (auth.error) return auth.error;
+
+    const model = env.PROMPT_ENHANCE_MODEL;
+    if (!model) {
+      return jsonResponse(
+        { error: '未配置提示词润色模型 (PROMPT_ENHANCE_MODEL)', code: 'ENHANCE_DISABLED' },
+        503
+      );
+    }
+
+    const body = await request.json().catch(() => null);
+    const draft = body && typeof body.prompt === 'string' ? body.prompt.trim() : '';
+    if (!draft || draft.length > PROMPT_MAX_CHARS) {
+      return jsonResponse(
+        {
+          error: `prompt 不能为空, 且不超过 ${PROMPT_MAX_CHARS} 字`,
+          code: 'INVALID_PROMPT',
+          field: 'prompt',
+        },
+        400
+      );
+    }
+
+    const controller = new AbortController();
+    const payload = {
+      model,
+      stream: true,
+      messages: [
+        { role: 'system', content: enhanceInstruction(body.mode) },
+        { role: 'user', content: draft },
+      ],
+    };
+    const upstream = await requestSora(env, payload, controller.signal);
+    if (upstream.error) {
+      logGeneration('/api/enhance-prompt', auth.user, model, upstream.backend, 'failed', startedAt);
+      return jsonResponse(
+        { error: '提示词润色失败: ' + upstream.error, code: 'ENHANCE_FAILED' },
+        upstream.status >= 500 ? 502 : upstream.status
+      );
+    }
+
+    const stream = createSSEStream(
+      { 'X-Sora-Backend': upstream.backend },
+      { onDisconnect: () => controller.abort() }
+    );
+    (async () => {
+      const reader = upstream.res.body.getReader();
+      const decoder = new TextDecoder();
+      const parser = createSSEParser();
+      let text = '';
+      let status = 'failed';
+      try {
+        let finished = false;
+        while (!finished) {
+          const { done, value } = await reader.read();
+          const frames = done
+            ? parser.flush()
+            : parser.push(decoder.decode(value, { stream: true }));
+          for (const frame of frames) {
+            if (frame.data === '[DONE]') {
+              finished = true;
+              break;
+            }
+            let json;
+            try {
+              json = JSON.parse(frame.data);
+            } catch (e) {
+              continue;
+            }
+            const delta = json?.choices?.[0]?.delta?.content;
+            if (delta) {
+              text += delta;
+              await stream.send({ type: 'delta', text: delta });
             }
           }
+          if (done) break;
         }
-  
-        // 全部读取完毕，解析视频 URL
-        const directUrl = extractVideoUrlFromContent(fullContent);
-        if (!directUrl) {
-          const evt = {
-            type: 'error',
-            message: '未能从返回内容中解析出视频 URL',
-          };
-          await writer.write(encoder.encode('data: ' + JSON.stringify(evt) + '\n\n'));
+        if (text.trim()) {
+          status = 'succeeded';
+          await stream.send({ type: 'done', prompt: text.trim() });
+        } else {
+          await stream.send({ type: 'error', message: '润色结果为空' });
+        }
+      } catch (e) {
+        if (!controller.signal.aborted) {
+          await stream.send({ type: 'error', message: e.message || '润色失败' }).catch(() => {});
+        }
+      } finally {
+        reader.cancel().catch(() => {});
+        stream.close();
+        logGeneration('/api/enhance-prompt', auth.user, model, upstream.backend, status, startedAt);
+      }
+    })();
+
+    return stream.response;
+  }
+
+  /** 解析团队预设 PROMPT_PRESETS, 无效的条目直接忽略 */
+  function getTeamPresets(env) {
+    let list = [];
+    if (env.PROMPT_PRESETS) {
+      try {
+        const raw = env.PROMPT_PRESETS;
+        list = typeof raw === 'string' ? JSON.parse(raw) : raw;
+      } catch (e) {
+        console.error('PROMPT_PRESETS 不是合法 JSON: ' + e.message);
+      }
+    }
+    return (Array.isArray(list) ? list : [])
+      .filter((p) => p && typeof p.text === 'string' && p.text.trim())
+      .slice(0, PROMPT_PRESETS_MAX)
+      .map((p, i) => ({
+        id: `team-${i + 1}`,
+        name: String(p.name || p.text).trim().slice(0, 40),
+        text: p.text.trim().slice(0, PROMPT_MAX_CHARS),
+        category: String(p.category || 'team').trim().slice(0, 20),
+      }));
+  }
+
+  /**
+   * GET /api/presets
+   * - 返回团队预设 { presets, enhance }, enhance 表示服务端是否提供提示词润色
+   */
+  async function handlePresets(request, env) {
+    const auth = await authenticate(request, env);
+    if (auth.error) return auth.error;
+    return jsonResponse({
+      presets: getTeamPresets(env),
+      enhance: Boolean(env.PROMPT_ENHANCE_MODEL),
+    });
+  }
+
+  // 上游模型列表不可用时的默认目录 (原先前端写死的组合)
+  const DEFAULT_MODEL_IDS = [
+    'sora-image',
+    'sora-image-landscape',
+    'sora-image-portrait',
+    ...['', '-landscape', '-portrait'].flatMap((ratio) =>
+      ['10s', '15s'].map((d) => `sora-video${ratio}-${d}`)
+    ),
+  ];
+
+  const ASPECT_RATIOS = { landscape: '16:9', portrait: '9:16', square: '1:1' };
+
+  /**
+   * 从模型 id 解析能力: sora-<video|image>[-<landscape|portrait|square>][-<N>s]
+   * 不符合命名规则 (如聊天模型) 时返回 null
+   */
+  function parseModelCapabilities(id) {
+    const m = String(id).match(/^sora-(video|image)(?:-(landscape|portrait|square))?(?:-(\d+)s)?$/);
+    if (!m) return null;
+    const [, mode, ratio = 'square', seconds] = m;
+    if (mode === 'video' && !seconds) return null;
+    return {
+      id,
+      mode,
+      ratio,
+      aspectRatio: ASPECT_RATIOS[ratio],
+      seconds: mode === 'video' ? Number(seconds) : null,
+      // 与 validateUploads 的规则一致: 视频模型接受图片和视频参考, 图像模型只接受图片
+      inputs: mode === 'video' ? ['image', 'video'] : ['image'],
+    };
+  }
+
+  let modelCatalogCache = null;
+
+  /**
+   * 模型目录: 合并各后端 /v1/models 的结果 (按后端的模型过滤), 在 isolate 内缓存 MODEL_CATALOG_TTL_MS
+   * 每个后端的请求最多等待 MODEL_CATALOG_FETCH_TIMEOUT_MS
+   * 所有后端都不可用时回退到 DEFAULT_MODEL_IDS, 只缓存 MODEL_CATALOG_FALLBACK_TTL_MS
+   * 返回 { ids, models, source: upstream | default, fetchedAt }
+   */
+  async function getModelCatalog(env) {
+    if (modelCatalogCache) {
+      const ttl =
+        modelCatalogCache.source === 'default' ? MODEL_CATALOG_FALLBACK_TTL_MS : MODEL_CATALOG_TTL_MS;
+      if (Date.now() - modelCatalogCache.fetchedAt < ttl) return modelCatalogCache;
+    }
+
+    const ids = new Set();
+    let reachable = false;
+    await Promise.all(
+      getBackends(env).map(async (backend) => {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), MODEL_CATALOG_FETCH_TIMEOUT_MS);
+        try {
+          const res = await fetch(`${backend.baseUrl}/v1/models`, {
+            headers: { Authorization: `Bearer ${backend.apiKey}` },
+            signal: controller.signal,
+          });
+          if (!res.ok) return;
+          const data = await res.json();
+          reachable = true;
+          for (const m of data.data || []) {
+            if (m && m.id && backendSupportsModel(backend, m.id)) ids.add(m.id);
+          }
+        } catch (e) {
+        } finally {
+          clearTimeout(timer);
+        }
+      })
+    );
+
+    if (!reachable) {
+      console.warn('[sora] 无法从上游获取模型列表, 使用默认模型目录');
+      modelCatalogCache = buildModelCatalog(DEFAULT_MODEL_IDS, 'default');
+      return modelCatalogCache;
+    }
+    modelCatalogCache = buildModelCatalog([...ids], 'upstream');
+    return modelCatalogCache;
+  }
+
+  function buildModelCatalog(ids, source) {
+    return {
+      ids,
+      models: ids.map(parseModelCapabilities).filter(Boolean),
+      source,
+      fetchedAt: Date.now(),
+    };
+  }
+
+  /**
+   * GET /api/models
+   * - 前端侧边栏的模型目录, 只包含当前用户有权限的、可解析能力的模型
+   */
+  async function handleModelCatalog(request, env) {
+    const auth = await authenticate(request, env);
+    if (auth.error) return auth.error;
+
+    const catalog = await getModelCatalog(env);
+    const { models } = auth.user;
+    return jsonResponse({
+      models: catalog.models
+        .filter((m) => !models.length || matchesModelPattern(models, m.id))
+        .map((m) => ({ ...m, params: getModelParamSchema(env, m.id) })),
+      source: catalog.source,
+      fetchedAt: catalog.fetchedAt,
+    });
+  }
+
+  /**
+   * /v1/models (OpenAI 兼容)
+   * - 返回模型目录中的全部 id (含聊天等非 Sora 命名的模型), 按当前用户的模型权限过滤
+   */
+  async function handleListModels(request, env) {
+    const auth = await authenticate(request, env);
+    if (auth.error) return toOpenAIError(auth.error);
+
+    const { ids } = await getModelCatalog(env);
+    const { models } = auth.user;
+    return jsonResponse({
+      object: 'list',
+      data: ids
+        .filter((id) => !models.length || matchesModelPattern(models, id))
+        .map((id) => ({ id, object: 'model', created: 0, owned_by: 'sora' })),
+    });
+  }
+
+  const OPENAI_ERROR_TYPES = {
+    400: 'invalid_request_error',
+    401: 'authentication_error',
+    403: 'permission_error',
+    429: 'rate_limit_error',
+  };
+
+  function openAIError(message, status, type, code = null, headers = {}) {
+    return jsonResponse({ error: { message, type, code } }, status, headers);
+  }
+
+  /** 把本站的 { error, code } 错误响应转换为 OpenAI 的错误格式 */
+  async function toOpenAIError(res) {
+    const data = await res.json().catch(() => ({}));
+    const headers = {};
+    const retryAfter = res.headers.get('Retry-After');
+    if (retryAfter) headers['Retry-After'] = retryAfter;
+    return openAIError(
+      data.error || '请求失败',
+      res.status,
+      OPENAI_ERROR_TYPES[res.status] || 'api_error',
+      data.code || null,
+      headers
+    );
+  }
+
+  /**
+   * KV 的内存替身, 接口与 Cloudflare KV 保持一致 (get / put / delete / list)
+   * 未绑定 KV 时使用, 仅在单个 isolate 内有效, 适合本地调试和测试
+   */
+  class MemoryKV {
+    constructor() {
+      this.map = new Map();
+    }
+
+    async get(key, type) {
+      const entry = this.map.get(key);
+      if (!entry) return null;
+      if (entry.expiresAt && entry.expiresAt <= Date.now()) {
+        this.map.delete(key);
+        return null;
+      }
+      const asJson = type === 'json' || type?.type === 'json';
+      return asJson ? JSON.parse(entry.value) : entry.value;
+    }
+
+    async put(key, value, options = {}) {
+      const expiresAt = options.expirationTtl ? Date.now() + options.expirationTtl * 1000 : 0;
+      this.map.set(key, { value: String(value), expiresAt });
+    }
+
+    async delete(key) {
+      this.map.delete(key);
+    }
+
+    async list({ prefix = '', limit = 1000, cursor } = {}) {
+      const now = Date.now();
+      const names = [...this.map.keys()]
+        .filter((k) => k.startsWith(prefix))
+        .filter((k) => !this.map.get(k).expiresAt || this.map.get(k).expiresAt > now)
+        .sort();
+      const start = cursor ? Number(cursor) : 0;
+      const keys = names.slice(start, start + limit).map((name) => ({ name }));
+      const end = start + keys.length;
+      return {
+        keys,
+        list_complete: end >= names.length,
+        cursor: end >= names.length ? undefined : String(end),
+      };
+    }
+  }
+
+  const memoryKVs = {};
+
+  /** 取 KV 绑定, 未配置时回退到内存替身 */
+  function getKV(env, binding) {
+    if (env[binding]) return env[binding];
+    if (!memoryKVs[binding]) memoryKVs[binding] = new MemoryKV();
+    return memoryKVs[binding];
+  }
+
+  /** 任务存储, 底层为 SORA_JOBS KV (或内存替身) */
+  function createJobStore(env) {
+    const kv = getKV(env, 'SORA_JOBS');
+    return {
+      get: (id) => kv.get('job:' + id, 'json'),
+      put: (job) =>
+        kv.put('job:' + job.id, JSON.stringify(job), { expirationTtl: JOB_TTL_SECONDS }),
+      // 取消标记单独存放, 避免与执行中任务的进度写入互相覆盖
+      requestCancel: (id) => kv.put('cancel:' + id, '1', { expirationTtl: JOB_TTL_SECONDS }),
+      isCancelRequested: async (id) => (await kv.get('cancel:' + id)) === '1',
+      // 批次只记录任务 id 列表, 状态从各任务汇总
+      getBatch: (id) => kv.get('batch:' + id, 'json'),
+      putBatch: (batch) =>
+        kv.put('batch:' + batch.id, JSON.stringify(batch), { expirationTtl: JOB_TTL_SECONDS }),
+    };
+  }
+
+  const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+  const isJobFinished = (job) =>
+    job.status === 'succeeded' || job.status === 'failed' || job.status === 'cancelled';
+
+  /** 长时间没有更新的任务视为已中断 (后台执行被平台回收) */
+  function normalizeJob(job) {
+    if (!isJobFinished(job) && Date.now() - job.updatedAt > JOB_STALE_MS) {
+      return { ...job, status: 'failed', error: '任务长时间无响应, 可能已被中断' };
+    }
+    return job;
+  }
+
+  /**
+   * 把事件追加到任务的事件记录, 供 /api/jobs/:id/events 按 Last-Event-ID 续传
+   * 只保留最近 JOB_EVENTS_LIMIT 条, 更早的事件在续传时不再补发
+   * 结束事件 (result / error / cancelled) 清除阶段, 与 completeFromCache 一致
+   */
+  function appendJobEvent(job, evt) {
+    job.seq = (job.seq || 0) + 1;
+    job.events = [...(job.events || []), { id: job.seq, ...evt }].slice(-JOB_EVENTS_LIMIT);
+    if (evt.type === 'status') job.phase = evt.phase;
+    else if (isTerminalEvent(evt)) job.phase = null;
+  }
+
+  /** 任务只对创建者可见 */
+  const canAccessJob = (user, job) => !job.user || job.user === user.name;
+
+  function publicJob(job) {
+    const { id, status, phase, model, prompt, percent, url, originalUrl, assets, error, backend } = job;
+    const errorCode = job.errorCode || null;
+    return {
+      id,
+      status,
+      phase: phase || null,
+      model,
+      prompt,
+      parentId: job.parentId || null,
+      relation: job.relation || null,
+      storyboard: job.storyboard || null,
+      batch: job.batch || null,
+      params: job.params || null,
+      percent,
+      queue: job.queue || null,
+      cached: job.cached === true,
+      url,
+      originalUrl,
+      assets: assets || null,
+      error,
+      errorCode,
+      backend,
+      createdAt: job.createdAt,
+      updatedAt: job.updatedAt,
+    };
+  }
+
+  /** 本 isolate 内执行中任务的 AbortController, 取消时可立即中止 */
+  const runningJobs = new Map();
+
+  /**
+   * 后台执行任务: 调用 Sora 并持续写入任务存储
+   * KV 同一个 key 每秒最多写一次, 因此进度按间隔节流写入
+   * 结束 (成功或失败) 后投递回调, 额度已先行结算
+   */
+  async function runJob(
+    env,
+    job,
+    { payload, user, admission, ticket, fingerprint, origin, callbackUrl }
+  ) {
+    const store = createJobStore(env);
+    const cache = createResultCache(env);
+    // 取消请求可能落在其它 isolate, 定时检查取消标记
+    const controller = new AbortController();
+    // cancelJob 直接写入已取消的记录; 每次写入前先检查取消标记, 避免把它覆盖回执行中
+    const update = async (patch) => {
+      if (job.status === 'cancelled') return;
+      if (await store.isCancelRequested(job.id).catch(() => false)) {
+        controller.abort();
+        job.status = 'cancelled';
+        return;
+      }
+      Object.assign(job, patch, { updatedAt: Date.now() });
+      await store.put(job);
+    };
+
+    runningJobs.set(job.id, controller);
+    const cancelWatcher = setInterval(async () => {
+      if (await store.isCancelRequested(job.id).catch(() => false)) controller.abort();
+    }, JOB_CANCEL_CHECK_INTERVAL_MS);
+
+    try {
+      // 排队中记录位置变化 (queued 事件), 取消或排队中断时结束任务
+      const started = await ticket.wait({
+        signal: controller.signal,
+        onQueued: async (queue) => {
+          appendJobEvent(job, { type: 'queued', ...queue });
+          await update({ queue });
+        },
+      });
+      if (!started) {
+        const cancelled = controller.signal.aborted;
+        appendJobEvent(
+          job,
+          cancelled
+            ? { type: 'cancelled', message: '已取消' }
+            : { type: 'error', message: '排队已中断, 请重新提交', code: 'QUEUE_INTERRUPTED' }
+        );
+        await update(
+          cancelled
+            ? { status: 'cancelled', queue: null }
+            : {
+                status: 'failed',
+                error: '排队已中断, 请重新提交',
+                errorCode: 'QUEUE_INTERRUPTED',
+                queue: null,
+              }
+        );
+        return;
+      }
+      if (job.queue) await update({ queue: null });
+
+      const upstream = await requestSora(env, payload, controller.signal);
+      if (upstream.cancelled) {
+        appendJobEvent(job, { type: 'cancelled', message: '已取消' });
+        await update({ status: 'cancelled', backend: upstream.backend || null });
+        return;
+      }
+      if (upstream.error) {
+        appendJobEvent(job, { type: 'error', message: upstream.error, code: upstream.code });
+        await update({
+          status: 'failed',
+          error: upstream.error,
+          errorCode: upstream.code,
+          backend: upstream.backend || null,
+        });
+        return;
+      }
+      // 阶段事件 (running 等) 统一由 consumeSoraStream 按上游内容推送, 这里只更新任务状态
+      await update({ status: 'running', backend: upstream.backend });
+
+      // 进度、日志与阶段变化先记入事件记录, 按间隔节流写入; 结束事件立即写入
+      let lastWrite = 0;
+      const flush = async () => {
+        if (Date.now() - lastWrite < JOB_PROGRESS_WRITE_INTERVAL_MS) return;
+        lastWrite = Date.now();
+        await update({});
+      };
+      const onEvent = async (evt) => {
+        if (evt.type === 'progress') {
+          if (evt.percent <= job.percent) return;
+          job.percent = evt.percent;
+          appendJobEvent(job, evt);
+          await flush();
+        } else if (evt.type === 'log' || evt.type === 'status') {
+          appendJobEvent(job, evt);
+          await flush();
+        } else if (evt.type === 'result') {
+          if (getMediaBucket(env)) {
+            appendJobEvent(job, { type: 'status', phase: 'persisting' });
+            await update({});
+          }
+          const stored = await persistResult(env, origin, evt, { user: user.name, model: job.model });
+          await recordHistory(env, user, job, stored);
+          await cache.putResult(user.name, fingerprint, stored);
+          const { url, originalUrl, assets } = stored;
+          appendJobEvent(job, { type: 'result', url, originalUrl, assets });
+          await update({ status: 'succeeded', percent: 100, url, originalUrl, assets });
+        } else if (evt.type === 'error') {
+          appendJobEvent(job, evt);
+          await update({ status: 'failed', error: evt.message, errorCode: evt.code || null });
+        } else if (evt.type === 'cancelled') {
+          appendJobEvent(job, evt);
+          await update({ status: 'cancelled' });
+        }
+      };
+      await consumeSoraStream(upstream.res, onEvent, controller.signal);
+    } catch (e) {
+      const message = e.message || '任务执行异常';
+      appendJobEvent(job, { type: 'error', message, code: 'INTERNAL_ERROR' });
+      await update({ status: 'failed', error: message, errorCode: 'INTERNAL_ERROR' }).catch(
+        () => {}
+      );
+    } finally {
+      clearInterval(cancelWatcher);
+      runningJobs.delete(job.id);
+      await cache.deleteInflight(user.name, fingerprint).catch(() => {});
+      await ticket.release();
+      await admission.release(job.status === 'succeeded');
+      logGeneration('/api/jobs', user, job.model, job.backend, job.status, job.createdAt);
+    }
+
+    // 取消的任务不回调
+    if (callbackUrl && (job.status === 'succeeded' || job.status === 'failed')) {
+      await deliverWebhook(env, callbackUrl, user, buildWebhookPayload(job, terminalJobEvent(job)));
+    }
+  }
+
+  function createJobRecord(user, body) {
+    const now = Date.now();
+    return {
+      id: crypto.randomUUID(),
+      user: user.name,
+      status: 'queued',
+      phase: 'queued',
+      model: body.model,
+      prompt: body.prompt || '',
+      parentId: body.parentId || null,
+      relation: body.relation || null,
+      storyboard: body.storyboard || null,
+      batch: null,
+      params: body.params || null,
+      percent: 0,
+      queue: null,
+      url: null,
+      originalUrl: null,
+      assets: null,
+      cached: false,
+      error: null,
+      backend: null,
+      createdAt: now,
+      updatedAt: now,
+    };
+  }
+
+  /** 以缓存的结果直接完成任务并写入历史, 返回 result 事件 */
+  async function completeFromCache(env, job, user, cached) {
+    const evt = cachedResultEvent(cached);
+    const { url, originalUrl, assets } = evt;
+    Object.assign(job, { status: 'succeeded', phase: null, percent: 100, cached: true });
+    Object.assign(job, { url, originalUrl, assets, updatedAt: Date.now() });
+    appendJobEvent(job, { type: 'cache', status: 'hit' });
+    appendJobEvent(job, evt);
+    await createJobStore(env).put(job);
+    await recordHistory(env, user, job, evt);
+    return evt;
+  }
+
+  /**
+   * POST /api/jobs
+   * - 创建任务并立即返回任务 id
+   * - 通过 ctx.waitUntil 在后台继续消费 Sora 的流, 刷新页面也不会丢失结果
+   */
+  async function handleCreateJob(request, env, ctx) {
+    const store = createJobStore(env);
+    const cache = createResultCache(env);
+    const findInflight = async (u, fingerprint) => {
+      const id = await cache.getInflight(u.name, fingerprint);
+      const job = id && (await store.get(id));
+      return job && canAccessJob(u, job) && !isJobFinished(normalizeJob(job)) ? job : null;
+    };
+    const { body, user, admission, callbackUrl, reuse, error } = await readGenerateBody(
+      request,
+      env,
+      { findInflight }
+    );
+    if (error) return error;
+    // 同一用户的相同请求正在进行: 返回已有任务, 客户端订阅它的事件
+    if (reuse && reuse.inflight) {
+      return jsonResponse({ ...publicJob(reuse.inflight), cache: 'inflight' }, 202, {
+        'X-Sora-Cache': 'inflight',
+      });
+    }
+
+    const job = createJobRecord(user, body);
+
+    // 命中结果缓存: 直接创建已完成的任务, 同样写入历史并回调, 不消耗额度
+    if (reuse) {
+      const evt = await completeFromCache(env, job, user, reuse.cached);
+      if (callbackUrl && ctx && ctx.waitUntil) {
+        ctx.waitUntil(deliverWebhook(env, callbackUrl, user, buildWebhookPayload(job, evt)));
+      }
+      logGeneration('/api/jobs', user, body.model, null, 'cached', job.createdAt);
+      return jsonResponse({ ...publicJob(job), cache: 'hit' }, 202, { 'X-Sora-Cache': 'hit' });
+    }
+
+    const ticket = await enterQueue(env, user, job.id);
+    if (ticket.error) {
+      await admission.release(false);
+      return ticket.error;
+    }
+
+    appendJobEvent(job, { type: 'status', phase: 'queued' });
+    await store.put(job);
+    await cache.putInflight(user.name, body.fingerprint, job.id);
+
+    const task = runJob(env, job, {
+      payload: buildSoraPayload(body),
+      user,
+      admission,
+      ticket,
+      fingerprint: body.fingerprint,
+      origin: new URL(request.url).origin,
+      callbackUrl,
+    });
+    if (ctx && ctx.waitUntil) ctx.waitUntil(task);
+
+    return jsonResponse(publicJob(job), 202);
+  }
+
+  /** GET /api/jobs/:id */
+  async function handleGetJob(request, env, id) {
+    const auth = await authenticate(request, env);
+    if (auth.error) return auth.error;
+
+    const job = await createJobStore(env).get(id);
+    if (!job || !canAccessJob(auth.user, job)) {
+      return jsonResponse({ error: '任务不存在或已过期', code: 'JOB_NOT_FOUND' }, 404);
+    }
+    return jsonResponse(
+      publicJob(normalizeJob(job)),
+      200,
+      job.backend ? { 'X-Sora-Backend': job.backend } : {}
+    );
+  }
+
+  /**
+   * DELETE /api/jobs/:id
+   * - 写入取消标记并中止上游请求, 额度会退还
+   */
+  async function handleCancelJob(request, env, id) {
+    const auth = await authenticate(request, env);
+    if (auth.error) return auth.error;
+
+    const store = createJobStore(env);
+    const job = await store.get(id);
+    if (!job || !canAccessJob(auth.user, job)) {
+      return jsonResponse({ error: '任务不存在或已过期', code: 'JOB_NOT_FOUND' }, 404);
+    }
+    if (isJobFinished(job)) {
+      return jsonResponse({ error: '任务已结束', code: 'JOB_FINISHED', job: publicJob(job) }, 409);
+    }
+    return jsonResponse(publicJob(await cancelJob(store, job)));
+  }
+
+  /** 写入取消标记, 本 isolate 内执行中的任务立即中止, 返回已取消的任务 */
+  async function cancelJob(store, job) {
+    await store.requestCancel(job.id);
+    if (runningJobs.has(job.id)) runningJobs.get(job.id).abort();
+
+    const cancelled = { ...job, status: 'cancelled', updatedAt: Date.now() };
+    appendJobEvent(cancelled, { type: 'cancelled', message: '已取消' });
+    await store.put(cancelled);
+    return cancelled;
+  }
+
+  /** 任务已结束但事件记录里没有对应的结束事件时 (如超时中断), 按任务状态补一个 */
+  function terminalJobEvent(job) {
+    if (job.status === 'succeeded') {
+      return { type: 'result', url: job.url, originalUrl: job.originalUrl, assets: job.assets };
+    }
+    if (job.status === 'failed') {
+      return { type: 'error', message: job.error || '生成失败', code: job.errorCode || null };
+    }
+    return { type: 'cancelled', message: '已取消' };
+  }
+
+  /**
+   * GET /api/jobs/:id/events
+   * - 轮询任务存储, 以与 /api/generate 相同的 SSE 格式推送事件, 事件 id 即任务事件序号
+   * - 重新连接时带上 Last-Event-ID (请求头或 ?lastEventId=), 只补发之后的事件
+   * - 单次连接有最长时间, 到时关闭, 由前端重新连接
+   */
+  async function handleJobEvents(request, env, id) {
+    const auth = await authenticate(request, env);
+    if (auth.error) return auth.error;
+
+    const store = createJobStore(env);
+    const job = await store.get(id);
+    if (!job || !canAccessJob(auth.user, job)) {
+      return jsonResponse({ error: '任务不存在或已过期', code: 'JOB_NOT_FOUND' }, 404);
+    }
+
+    const url = new URL(request.url);
+    const lastEventId =
+      Number(request.headers.get('Last-Event-ID') || url.searchParams.get('lastEventId')) || 0;
+
+    const sse = createSSEStream();
+    (async () => {
+      const deadline = Date.now() + JOB_EVENTS_MAX_MS;
+      let current = job;
+      let sentId = lastEventId;
+
+      try {
+        while (true) {
+          current = normalizeJob(current);
+          let terminal = false;
+          for (const { id: eventId, ...evt } of current.events || []) {
+            if (eventId <= sentId) continue;
+            sentId = eventId;
+            await sse.send(evt, eventId);
+            if (isTerminalEvent(evt)) terminal = true;
+          }
+          if (terminal) break;
+          if (isJobFinished(current)) {
+            await sse.send(terminalJobEvent(current), sentId + 1);
+            break;
+          }
+          if (Date.now() >= deadline) break;
+
+          await sleep(JOB_POLL_INTERVAL_MS);
+          current = (await store.get(id)) || current;
+        }
+      } catch (e) {
+        // 客户端断开, 写入失败, 直接结束
+      } finally {
+        sse.close();
+      }
+    })();
+
+    return sse.response;
+  }
+
+  /** 解析 CSV (RFC 4180): 逗号分隔, 双引号包裹的字段可含逗号、换行和成对的双引号 */
+  function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+    for (let i = 0; i < text.length; i++) {
+      const c = text[i];
+      if (quoted) {
+        if (c === '"' && text[i + 1] === '"') {
+          cell += '"';
+          i++;
+        } else if (c === '"') {
+          quoted = false;
+        } else {
+          cell += c;
+        }
+      } else if (c === '"') {
+        quoted = true;
+      } else if (c === ',') {
+        row.push(cell);
+        cell = '';
+      } else if (c === '\n' || c === '\r') {
+        if (c === '\r' && text[i + 1] === '\n') i++;
+        row.push(cell);
+        rows.push(row);
+        row = [];
+        cell = '';
+      } else {
+        cell += c;
+      }
+    }
+    if (cell || row.length) rows.push([...row, cell]);
+    return rows;
+  }
+
+  /**
+   * 提示词列表: lines 每行一个; csv 取表头为 prompt 的列 (没有时取第一列);
+   * jsonl 每行一个 JSON 字符串或 { "prompt": ... }。返回 { prompts } 或 { error }
+   */
+  function parsePromptList(text, format = 'lines') {
+    if (format === 'csv') {
+      const rows = parseCsv(String(text)).filter((row) => row.some((cell) => cell.trim()));
+      const header = rows.length ? rows[0].map((cell) => cell.trim().toLowerCase()) : [];
+      const column = header.indexOf('prompt');
+      const data = column >= 0 ? rows.slice(1) : rows;
+      return { prompts: data.map((row) => row[Math.max(column, 0)]) };
+    }
+    const lines = String(text).split(/\r?\n/);
+    if (format !== 'jsonl') return { prompts: lines };
+
+    const prompts = [];
+    for (const [i, line] of lines.entries()) {
+      if (!line.trim()) continue;
+      let value;
+      try {
+        value = JSON.parse(line);
+      } catch (e) {
+        return { error: `第 ${i + 1} 行不是合法 JSON` };
+      }
+      prompts.push(typeof value === 'string' ? value : value && value.prompt);
+    }
+    return { prompts };
+  }
+
+  /** 数组字段: JSON 请求体中为数组, multipart 中为 JSON 数组或逗号分隔的字符串 */
+  function listField(value) {
+    if (value == null || value === '') return [];
+    if (Array.isArray(value)) return value;
+    const text = String(value).trim();
+    if (text.startsWith('[')) {
+      try {
+        const parsed = JSON.parse(text);
+        if (Array.isArray(parsed)) return parsed;
+      } catch (e) {}
+      return null;
+    }
+    return text.split(',').map((v) => v.trim()).filter(Boolean);
+  }
+
+  /**
+   * 展开批量请求为任务列表 [{ prompt, model, variant }], 失败返回 { error: Response } (400 INVALID_BATCH)
+   * - 提示词: prompt, prompts (数组), 或 list (文本, 格式见 list_format: lines / csv / jsonl)
+   * - 模型: model; 或 ratios / durations 组合 (mode 缺省取 model 的模式), 每个组合对应目录中的一个模型
+   * - variants: 每个提示词与模型生成的份数 (1 - BATCH_MAX_VARIANTS)
+   * - 也可直接传 items: [{ prompt, model, variant }] (如重试失败的任务), 此时忽略以上字段
+   */
+  async function expandBatchItems(env, body) {
+    const invalid = (error, field) => ({
+      error: jsonResponse({ error, code: 'INVALID_BATCH', field }, 400),
+    });
+
+    let items;
+    if (body.items != null) {
+      const raw = listField(body.items);
+      if (!raw) return invalid('items 必须是数组', 'items');
+      items = raw.map((item) => ({
+        prompt: String((item && item.prompt) || '').trim(),
+        model: String((item && item.model) || ''),
+        variant: Number.isInteger(item && item.variant) && item.variant > 0 ? item.variant : 0,
+      }));
+    } else {
+      let prompts = [body.prompt];
+      if (body.list != null && body.list !== '') {
+        if (!['lines', 'csv', 'jsonl'].includes(body.list_format || 'lines')) {
+          return invalid('list_format 只能是 lines、csv 或 jsonl', 'list_format');
+        }
+        const parsed = parsePromptList(body.list, body.list_format);
+        if (parsed.error) return invalid(parsed.error, 'list');
+        prompts = parsed.prompts;
+      } else if (body.prompts != null) {
+        prompts = listField(body.prompts);
+        if (!prompts) return invalid('prompts 必须是数组', 'prompts');
+      }
+      prompts = prompts.map((p) => (typeof p === 'string' ? p.trim() : '')).filter(Boolean);
+
+      const ratios = listField(body.ratios);
+      const durations = listField(body.durations);
+      if (!ratios || !durations) return invalid('ratios / durations 必须是数组', 'ratios');
+      let models = [body.model];
+      if (ratios.length || durations.length) {
+        const catalog = await getModelCatalog(env);
+        const base = catalog.models.find((m) => m.id === body.model);
+        const mode = body.mode || (base ? base.mode : durations.length ? 'video' : 'image');
+        const ratioList = ratios.length ? ratios : [base ? base.ratio : 'square'];
+        const secondList =
+          mode !== 'video' ? [null] : durations.length ? durations : [base && base.seconds];
+        models = [];
+        for (const ratio of ratioList) {
+          for (const seconds of secondList) {
+            const model = catalog.models.find(
+              (m) =>
+                m.mode === mode &&
+                m.ratio === ratio &&
+                (mode !== 'video' || m.seconds === Number(seconds))
+            );
+            if (!model) {
+              const label = mode === 'video' ? `${ratio} / ${seconds}s 的视频` : `${ratio} 的图像`;
+              return invalid(`模型目录中没有 ${label}模型`, 'ratios');
+            }
+            models.push(model.id);
+          }
+        }
+      }
+
+      const variants = body.variants == null || body.variants === '' ? 1 : Number(body.variants);
+      if (!Number.isInteger(variants) || variants < 1 || variants > BATCH_MAX_VARIANTS) {
+        return invalid(`variants 必须是 1 - ${BATCH_MAX_VARIANTS} 的整数`, 'variants');
+      }
+      items = prompts.flatMap((prompt) =>
+        models.flatMap((model) =>
+          Array.from({ length: variants }, (_, variant) => ({ prompt, model, variant }))
+        )
+      );
+    }
+
+    if (!items.length || items.some((item) => !item.prompt)) {
+      return invalid('没有可提交的提示词', 'prompts');
+    }
+    if (items.length > BATCH_MAX_ITEMS) {
+      return invalid(`一次最多提交 ${BATCH_MAX_ITEMS} 个任务 (当前 ${items.length} 个)`, 'items');
+    }
+    return { items };
+  }
+
+  /**
+   * 执行批次中的一个任务: 到达执行位后才做准入和排队, 等待期间被取消则跳过
+   * 并发数达到个人上限时稍后重试准入, 其它准入失败 (额度不足等) 记为任务失败
+   */
+  async function runBatchItem(env, { job, body, callbackUrl }, { user, origin }) {
+    const store = createJobStore(env);
+    const fail = async (message, code) => {
+      appendJobEvent(job, { type: 'error', message, code });
+      Object.assign(job, {
+        status: 'failed',
+        error: message,
+        errorCode: code,
+        updatedAt: Date.now(),
+      });
+      await store.put(job);
+    };
+
+    try {
+      let prepared;
+      while (true) {
+        if (await store.isCancelRequested(job.id)) return;
+        prepared = await admitGenerateBody(env, user, body, callbackUrl, {
+          findInflight: async () => null,
+        });
+        if (!prepared.error) break;
+        const err = await prepared.error.json();
+        if (err.code !== 'CONCURRENCY_LIMIT') return await fail(err.error, err.code);
+        await sleep(BATCH_ADMIT_RETRY_MS);
+      }
+
+      if (prepared.reuse) {
+        const evt = await completeFromCache(env, job, user, prepared.reuse.cached);
+        if (callbackUrl) {
+          await deliverWebhook(env, callbackUrl, user, buildWebhookPayload(job, evt));
+        }
+        logGeneration('/api/batch', user, job.model, null, 'cached', job.createdAt);
+        return;
+      }
+
+      const ticket = await enterQueue(env, user, job.id);
+      if (ticket.error) {
+        await prepared.admission.release(false);
+        const err = await ticket.error.json();
+        return await fail(err.error, err.code);
+      }
+      await createResultCache(env).putInflight(user.name, body.fingerprint, job.id);
+      await runJob(env, job, {
+        payload: buildSoraPayload(body),
+        user,
+        admission: prepared.admission,
+        ticket,
+        fingerprint: body.fingerprint,
+        origin,
+        callbackUrl,
+      });
+    } catch (e) {
+      await fail(e.message || '任务执行异常').catch(() => {});
+    }
+  }
+
+  /**
+   * 后台执行批次: 最多 parallel 个任务同时进行, 按提交顺序依次开始
+   * 等待中的任务定时刷新更新时间, 避免被当作已中断 (见 normalizeJob)
+   */
+  async function runBatch(env, entries, { user, origin, parallel }) {
+    const store = createJobStore(env);
+    const waiting = new Set(entries);
+    const heartbeat = setInterval(async () => {
+      for (const entry of waiting) {
+        if (await store.isCancelRequested(entry.job.id).catch(() => true)) {
+          waiting.delete(entry);
+          continue;
+        }
+        entry.job.updatedAt = Date.now();
+        await store.put(entry.job).catch(() => {});
+      }
+    }, JOB_STALE_MS / 2);
+
+    let next = 0;
+    const lane = async () => {
+      while (next < entries.length) {
+        const entry = entries[next++];
+        waiting.delete(entry);
+        await runBatchItem(env, entry, { user, origin });
+      }
+    };
+    try {
+      await Promise.all(Array.from({ length: Math.min(parallel, entries.length) }, lane));
+    } finally {
+      clearInterval(heartbeat);
+    }
+  }
+
+  /**
+   * POST /api/batch
+   * - 请求体与 /api/jobs 相同 (JSON 或 multipart), 提示词、模型组合与变体数见 expandBatchItems
+   * - 参考文件、来源和回调地址对所有任务共用, 每个任务单独计入额度并写入历史 (batch: { id, index, variant })
+   * - 立即返回 { id, parallel, jobs }; 后台最多同时执行 parallel 个 (默认 BATCH_DEFAULT_PARALLEL, 最多 BATCH_MAX_PARALLEL)
+   * - batch_id 为自己已有的批次时, 新任务追加到该批次 (网页端重试失败的任务)
+   */
+  async function handleCreateBatch(request, env, ctx) {
+    const parsed = await readRequestBody(request, env);
+    if (parsed.error) return parsed.error;
+    const { body, user } = parsed;
+
+    const expanded = await expandBatchItems(env, body);
+    if (expanded.error) return expanded.error;
+
+    const parallel =
+      body.parallel == null || body.parallel === ''
+        ? BATCH_DEFAULT_PARALLEL
+        : Number(body.parallel);
+    if (!Number.isInteger(parallel) || parallel < 1 || parallel > BATCH_MAX_PARALLEL) {
+      return jsonResponse(
+        {
+          error: `parallel 必须是 1 - ${BATCH_MAX_PARALLEL} 的整数`,
+          code: 'INVALID_BATCH',
+          field: 'parallel',
+        },
+        400
+      );
+    }
+
+    const store = createJobStore(env);
+    let batch = null;
+    if (body.batch_id != null && body.batch_id !== '') {
+      if (!/^[\w-]{1,100}$/.test(String(body.batch_id))) {
+        return jsonResponse(
+          { error: 'batch_id 格式错误', code: 'INVALID_BATCH', field: 'batch_id' },
+          400
+        );
+      }
+      batch = await store.getBatch(String(body.batch_id));
+      if (batch && batch.user !== user.name) {
+        return jsonResponse({ error: '批次不存在或已过期', code: 'BATCH_NOT_FOUND' }, 404);
+      }
+      // 已过期的批次按原 id 重新创建, 历史记录中仍归为同一组
+      batch = batch || { id: String(body.batch_id), user: user.name, jobs: [] };
+    }
+    batch = batch || { id: crypto.randomUUID(), user: user.name, jobs: [] };
+    batch.createdAt = batch.createdAt || Date.now();
+
+    // 每个模型校验一次 (模型、参考文件、回调地址与权限), 任何一个不通过则整批不提交
+    const origin = new URL(request.url).origin;
+    const bases = new Map();
+    for (const model of new Set(expanded.items.map((item) => item.model))) {
+      const base = { ...body, model };
+      const checked = await checkGenerateBody(env, user, base, origin);
+      if (checked.error) return checked.error;
+      const access = checkModelAccess(user, model);
+      if (access.error) return access.error;
+      bases.set(model, { base, callbackUrl: checked.callbackUrl });
+    }
+    // 每个提示词审核一次 (参考文件对所有任务相同), 任何一个不通过则整批不提交
+    const { base } = bases.values().next().value;
+    for (const prompt of new Set(expanded.items.map((item) => item.prompt))) {
+      const moderated = await moderateGenerateBody(env, user, { ...base, prompt });
+      if (moderated.error) return moderated.error;
+    }
+
+    const entries = expanded.items.map(({ prompt, model, variant }, i) => {
+      const { base, callbackUrl } = bases.get(model);
+      const itemBody = { ...base, prompt, variant };
+      const job = createJobRecord(user, itemBody);
+      job.batch = { id: batch.id, index: batch.jobs.length + i, variant };
+      appendJobEvent(job, { type: 'status', phase: 'queued' });
+      return { job, body: itemBody, callbackUrl };
+    });
+    for (const { job } of entries) await store.put(job);
+    batch.jobs = [...batch.jobs, ...entries.map(({ job }) => job.id)];
+    await store.putBatch(batch);
+
+    const task = runBatch(env, entries, { user, origin, parallel });
+    if (ctx && ctx.waitUntil) ctx.waitUntil(task);
+
+    return jsonResponse(
+      { id: batch.id, parallel, jobs: entries.map(({ job }) => publicJob(job)) },
+      202
+    );
+  }
+
+  /**
+   * 批次查询与取消 (只能访问自己的批次)
+   * - GET    /api/batch/:id  全部任务的当前状态 (与 /api/jobs/:id 相同的字段) 及各状态的数量
+   * - DELETE /api/batch/:id  取消所有未结束的任务
+   */
+  async function handleBatch(request, env, id) {
+    const auth = await authenticate(request, env);
+    if (auth.error) return auth.error;
+
+    const store = createJobStore(env);
+    const batch = await store.getBatch(id);
+    if (!batch || batch.user !== auth.user.name) {
+      return jsonResponse({ error: '批次不存在或已过期', code: 'BATCH_NOT_FOUND' }, 404);
+    }
+
+    let jobs = (await Promise.all(batch.jobs.map((jobId) => store.get(jobId)))).filter(Boolean);
+    if (request.method === 'DELETE') {
+      jobs = await Promise.all(
+        jobs.map((job) => (isJobFinished(job) ? job : cancelJob(store, job)))
+      );
+    } else if (request.method !== 'GET') {
+      return jsonResponse({ error: '不支持的请求方法' }, 405);
+    }
+
+    jobs = jobs.map(normalizeJob);
+    const counts = {};
+    for (const job of jobs) counts[job.status] = (counts[job.status] || 0) + 1;
+    return jsonResponse({
+      id: batch.id,
+      createdAt: batch.createdAt,
+      done: jobs.every(isJobFinished),
+      counts,
+      jobs: jobs.map(publicJob),
+    });
+  }
+
+  /** 回调允许的主机: WEBHOOK_ALLOWED_HOSTS 加上默认回调地址 WEBHOOK_URL 的主机 */
+  function getWebhookAllowedHosts(env) {
+    const hosts = (env.WEBHOOK_ALLOWED_HOSTS || '')
+      .split(',')
+      .map((h) => h.trim().toLowerCase())
+      .filter(Boolean);
+    try {
+      if (env.WEBHOOK_URL) hosts.push(new URL(env.WEBHOOK_URL).hostname.toLowerCase());
+    } catch (e) {}
+    return hosts;
+  }
+
+  /**
+   * 确定本次生成的回调地址: 请求中的 callback_url 优先, 否则使用 WEBHOOK_URL
+   * 返回 { callbackUrl } (未配置时为 null) 或 { error: Response }
+   */
+  function resolveCallbackUrl(env, body) {
+    const requested = typeof body.callback_url === 'string' ? body.callback_url.trim() : '';
+    if (!requested && !env.WEBHOOK_URL) return { callbackUrl: null };
+
+    if (!env.WEBHOOK_SECRET) {
+      if (!requested) {
+        console.warn('[sora] 已配置 WEBHOOK_URL 但缺少 WEBHOOK_SECRET, 不发送回调');
+        return { callbackUrl: null };
+      }
+      return {
+        error: jsonResponse(
+          { error: '服务端未配置 WEBHOOK_SECRET, 不支持回调', code: 'WEBHOOK_NOT_CONFIGURED' },
+          400
+        ),
+      };
+    }
+
+    const callbackUrl = requested || env.WEBHOOK_URL;
+    let target;
+    try {
+      target = new URL(callbackUrl);
+    } catch (e) {}
+    if (!target || !isAllowedUrl(target, getWebhookAllowedHosts(env))) {
+      return {
+        error: jsonResponse(
+          { error: '回调地址不在允许列表中', code: 'CALLBACK_NOT_ALLOWED', field: 'callback_url' },
+          400
+        ),
+      };
+    }
+    return { callbackUrl: target.toString() };
+  }
+
+  /** 回调请求体: 生成 id、模型、提示词、结果媒体和耗时 */
+  function buildWebhookPayload({ id, model, prompt, createdAt }, evt) {
+    const finishedAt = Date.now();
+    const succeeded = evt.type === 'result';
+    return {
+      event: succeeded ? 'generation.succeeded' : 'generation.failed',
+      id,
+      status: succeeded ? 'succeeded' : 'failed',
+      model,
+      prompt: prompt || '',
+      url: succeeded ? evt.url : null,
+      assets: succeeded ? evt.assets || [{ url: evt.url }] : [],
+      error: succeeded ? null : evt.message || '生成失败',
+      errorCode: succeeded ? null : evt.code || null,
+      timing: { createdAt, finishedAt, durationMs: finishedAt - createdAt },
+    };
+  }
+
+  /** HMAC-SHA256(WEBHOOK_SECRET, "<timestamp>.<body>"), 十六进制 */
+  function signWebhook(secret, timestamp, body) {
+    return hmacHex(secret, `${timestamp}.${body}`);
+  }
+
+  /** HMAC-SHA256, 返回十六进制字符串 */
+  async function hmacHex(secret, message) {
+    const encoder = new TextEncoder();
+    const key = await crypto.subtle.importKey(
+      'raw',
+      encoder.encode(secret),
+      { name: 'HMAC', hash: 'SHA-256' },
+      false,
+      ['sign']
+    );
+    const signature = await crypto.subtle.sign('HMAC', key, encoder.encode(message));
+    return [...new Uint8Array(signature)].map((b) => b.toString(16).padStart(2, '0')).join('');
+  }
+
+  /** 回调投递记录, 底层为 SORA_WEBHOOKS KV (或内存替身), 按用户分前缀便于列出 */
+  function createWebhookStore(env) {
+    const kv = getKV(env, 'SORA_WEBHOOKS');
+    const prefix = (user) => `delivery:${encodeURIComponent(user)}:`;
+    return {
+      get: (user, id) => kv.get(prefix(user) + id, 'json'),
+      put: (record) =>
+        kv.put(prefix(record.user) + record.id, JSON.stringify(record), {
+          expirationTtl: WEBHOOK_RECORD_TTL_SECONDS,
+        }),
+      list: async (user, { limit, cursor }) => {
+        const page = await kv.list({ prefix: prefix(user), limit, cursor });
+        const records = await Promise.all(page.keys.map((k) => kv.get(k.name, 'json')));
+        return {
+          deliveries: records.filter(Boolean).sort((a, b) => b.createdAt - a.createdAt),
+          cursor: page.list_complete ? null : page.cursor,
+        };
+      },
+    };
+  }
+
+  /** 发送一次回调, 最多等待 timeoutMs, 返回 { ok, status, error, retryable } */
+  async function sendWebhook(env, record, body, timeoutMs = WEBHOOK_TIMEOUT_MS) {
+    const timestamp = Math.floor(Date.now() / 1000);
+    const signature = await signWebhook(env.WEBHOOK_SECRET, timestamp, body);
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+    try {
+      // 不跟随重定向, 避免绕过允许列表
+      const res = await fetch(record.url, {
+        method: 'POST',
+        redirect: 'manual',
+        signal: controller.signal,
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'SoraWeb-Webhook/1',
+          'X-Sora-Event': record.event,
+          'X-Sora-Delivery': record.id,
+          'X-Sora-Signature': `t=${timestamp},v1=${signature}`,
+        },
+        body,
+      });
+      res.body?.cancel().catch(() => {});
+      if (res.ok) return { ok: true, status: res.status };
+      // 5xx / 408 / 429 重试, 其余 (含重定向) 视为对方拒收
+      const retryable = res.status >= 500 || res.status === 408 || res.status === 429;
+      return { ok: false, status: res.status, error: `HTTP ${res.status}`, retryable };
+    } catch (e) {
+      const error = controller.signal.aborted ? '请求超时' : e.message || '连接失败';
+      return { ok: false, status: null, error, retryable: true };
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * 投递回调: 失败时按指数退避重试, 每次尝试都写入投递记录
+   * 由 ctx.waitUntil 或后台任务等待, 不阻塞生成结果的返回; 全部尝试限制在 WEBHOOK_DELIVERY_BUDGET_MS 内
+   */
+  async function deliverWebhook(env, callbackUrl, user, payload) {
+    const store = createWebhookStore(env);
+    const body = JSON.stringify(payload);
+    const record = {
+      id: crypto.randomUUID(),
+      user: user.name,
+      generationId: payload.id,
+      event: payload.event,
+      url: callbackUrl,
+      status: 'pending',
+      attempts: [],
+      createdAt: Date.now(),
+      updatedAt: Date.now(),
+    };
+
+    const deadline = record.createdAt + WEBHOOK_DELIVERY_BUDGET_MS;
+    for (let attempt = 1; attempt <= WEBHOOK_MAX_ATTEMPTS; attempt++) {
+      const startedAt = Date.now();
+      const timeoutMs = Math.min(WEBHOOK_TIMEOUT_MS, deadline - startedAt);
+      const result = await sendWebhook(env, record, body, timeoutMs);
+      record.attempts.push({
+        at: startedAt,
+        status: result.status || null,
+        error: result.error || null,
+        durationMs: Date.now() - startedAt,
+      });
+      // 退避后剩余时间不足一次尝试时不再重试, 记为失败
+      const delay = WEBHOOK_RETRY_BASE_MS * 2 ** (attempt - 1);
+      const outOfTime = Date.now() + delay + WEBHOOK_MIN_ATTEMPT_MS > deadline;
+      if (result.ok) record.status = 'delivered';
+      else if (!result.retryable || attempt === WEBHOOK_MAX_ATTEMPTS || outOfTime) {
+        record.status = 'failed';
+      }
+      record.updatedAt = Date.now();
+      await store.put(record).catch((e) => console.error('保存回调记录失败: ' + e.message));
+
+      if (record.status !== 'pending') break;
+      await sleep(delay);
+    }
+
+    console.log(
+      `[sora] webhook ${record.event} id=${record.generationId} status=${record.status} attempts=${record.attempts.length}`
+    );
+    return record;
+  }
+
+  /**
+   * GET /api/webhooks/deliveries (?generation=<id>&limit=&cursor=)
+   * GET /api/webhooks/deliveries/:id
+   * - 只能查看自己的投递记录
+   */
+  async function handleWebhookDeliveries(request, env, url, id) {
+    const auth = await authenticate(request, env);
+    if (auth.error) return auth.error;
+
+    const store = createWebhookStore(env);
+    if (id) {
+      const record = await store.get(auth.user.name, id);
+      if (!record) {
+        return jsonResponse({ error: '投递记录不存在或已过期', code: 'DELIVERY_NOT_FOUND' }, 404);
+      }
+      return jsonResponse(record);
+    }
+
+    const limit = Math.min(Math.max(Number(url.searchParams.get('limit')) || 50, 1), 100);
+    const page = await store.list(auth.user.name, {
+      limit,
+      cursor: url.searchParams.get('cursor') || undefined,
+    });
+    const generation = url.searchParams.get('generation');
+    if (generation) page.deliveries = page.deliveries.filter((d) => d.generationId === generation);
+    return jsonResponse(page);
+  }
+
+  /**
+   * 服务端历史记录, 底层为 SORA_HISTORY KV (或内存替身), 按用户隔离
+   * - 记录键 history:<用户>:<倒序时间戳>:<id>, list 时新的在前
+   * - 另存 history-id:<用户>:<id> -> 记录键, 用于按 id 读取 / 删除
+   */
+  function createHistoryStore(env) {
+    const kv = getKV(env, 'SORA_HISTORY');
+    const user = (name) => encodeURIComponent(name);
+    const itemKey = (name, item) =>
+      `history:${user(name)}:${String(HISTORY_TS_MAX - item.timestamp).padStart(13, '0')}:${item.id}`;
+    const idKey = (name, id) => `history-id:${user(name)}:${id}`;
+
+    return {
+      get: async (name, id) => {
+        const key = await kv.get(idKey(name, id));
+        return key ? kv.get(key, 'json') : null;
+      },
+      put: async (name, item) => {
+        const key = itemKey(name, item);
+        await kv.put(key, JSON.stringify(item));
+        await kv.put(idKey(name, item.id), key);
+      },
+      delete: async (name, id) => {
+        const key = await kv.get(idKey(name, id));
+        if (!key) return false;
+        await kv.delete(key);
+        await kv.delete(idKey(name, id));
+        return true;
+      },
+      list: async (name, { limit, cursor }) => {
+        const page = await kv.list({ prefix: `history:${user(name)}:`, limit, cursor });
+        const items = await Promise.all(page.keys.map((k) => kv.get(k.name, 'json')));
+        return { items: items.filter(Boolean), cursor: page.list_complete ? null : page.cursor };
+      },
+    };
+  }
+
+  /**
+   * 生成成功 (result 事件) 后写入历史记录, 失败只记日志, 不影响结果返回
+   * 分镜的镜头不单独记录, 由前端汇总后通过 PUT /api/history/:id 保存
+   */
+  async function recordHistory(
+    env,
+    user,
+    { id, model, prompt, parentId, relation, storyboard, batch, params },
+    evt
+  ) {
+    if (storyboard) return;
+    try {
+      await createHistoryStore(env).put(user.name, {
+        id,
+        status: 'succeeded',
+        url: evt.url,
+        originalUrl: evt.originalUrl || null,
+        assets: evt.assets || null,
+        prompt: prompt || '',
+        model,
+        parentId: parentId || null,
+        relation: relation || null,
+        batch: batch || null,
+        params: params || null,
+        cached: evt.cached === true,
+        type: parseModelId(model).kind,
+        tags: [],
+        timestamp: Date.now(),
+        user: user.name,
+      });
+    } catch (e) {
+      console.error('写入历史记录失败: ' + e.message);
+    }
+  }
+
+  /** 校验标签: 字符串数组, 去重, 每个最长 32 字符, 最多 HISTORY_MAX_TAGS 个 */
+  function normalizeTags(tags) {
+    if (!Array.isArray(tags)) return null;
+    const clean = [...new Set(tags.map((t) => String(t).trim()).filter(Boolean))];
+    if (clean.length > HISTORY_MAX_TAGS || clean.some((t) => t.length > 32)) return null;
+    return clean;
+  }
+
+  /**
+   * 校验前端上传的本地历史记录 (一次性迁移), 返回规范化的记录或 null
+   * 只保留已知字段, 媒体地址必须是 http(s)
+   */
+  function normalizeHistoryItem(raw) {
+    if (!raw || typeof raw !== 'object') return null;
+    const id = String(raw.id || '');
+    if (!/^[\w-]{1,100}$/.test(id)) return null;
+
+    const isHttp = (u) => typeof u === 'string' && /^https?:\/\//i.test(u) && u.length <= 2048;
+    const type = ['image', 'storyboard'].includes(raw.type) ? raw.type : 'video';
+    // 分镜中有镜头未完成时为 partial
+    const status =
+      raw.status === 'cancelled'
+        ? 'cancelled'
+        : type === 'storyboard' && raw.status === 'partial'
+          ? 'partial'
+          : 'succeeded';
+    if (status !== 'cancelled' && !isHttp(raw.url)) return null;
+
+    const assets = Array.isArray(raw.assets)
+      ? raw.assets
+          .filter((a) => a && isHttp(a.url))
+          .slice(0, 20)
+          .map((a) => ({
+            url: a.url,
+            kind: ['video', 'image', 'thumbnail'].includes(a.kind) ? a.kind : null,
+            ...(isHttp(a.originalUrl) ? { originalUrl: a.originalUrl } : {}),
+            ...(typeof a.mime === 'string' ? { mime: a.mime.slice(0, 100) } : {}),
+          }))
+      : null;
+
+    return {
+      id,
+      status,
+      url: status !== 'cancelled' ? raw.url : '',
+      originalUrl: isHttp(raw.originalUrl) ? raw.originalUrl : null,
+      assets,
+      prompt: String(raw.prompt || '').slice(0, 4000),
+      model: String(raw.model || '').slice(0, 100),
+      type,
+      ...(type === 'storyboard' ? { shots: normalizeShots(raw.shots, isHttp) } : {}),
+      parentId: /^[\w-]{1,100}$/.test(String(raw.parentId || '')) ? String(raw.parentId) : null,
+      relation: LINEAGE_RELATIONS.includes(raw.relation) ? raw.relation : null,
+      batch: normalizeBatchRef(raw.batch),
+      params: normalizeStoredParams(raw.params),
+      cached: raw.cached === true,
+      tags: normalizeTags(raw.tags || []) || [],
+      favorite: raw.favorite === true,
+      timestamp: Math.min(Number(raw.timestamp) || Date.now(), Date.now()),
+    };
+  }
+
+  /** 记录中的高级参数: 只保留已知且取值合法的参数 (不按模型限制, 规则可能已变化) */
+  function normalizeStoredParams(params) {
+    if (!params || typeof params !== 'object') return null;
+    const clean = {};
+    for (const name of Object.keys(GENERATION_PARAMS)) {
+      const checked = checkParamValue(name, params[name]);
+      if (!checked.error && checked.value !== undefined) clean[name] = checked.value;
+    }
+    return Object.keys(clean).length ? clean : null;
+  }
+
+  /** 批量任务所属的批次: { id, index, variant } */
+  function normalizeBatchRef(batch) {
+    if (!batch || typeof batch !== 'object' || !/^[\w-]{1,100}$/.test(String(batch.id || ''))) {
+      return null;
+    }
+    const index = Number.isInteger(batch.index) && batch.index >= 0 ? batch.index : 0;
+    const variant = Number.isInteger(batch.variant) && batch.variant >= 0 ? batch.variant : 0;
+    return { id: String(batch.id), index, variant };
+  }
+
+  /** 分镜的镜头列表: 按顺序保存每个镜头的参数、状态和结果 */
+  function normalizeShots(shots, isHttp) {
+    return (Array.isArray(shots) ? shots : [])
+      .slice(0, STORYBOARD_MAX_SHOTS)
+      .filter((shot) => shot && typeof shot === 'object')
+      .map((shot) => {
+        const status = ['succeeded', 'failed', 'cancelled'].includes(shot.status)
+          ? shot.status
+          : 'pending';
+        return {
+          prompt: String(shot.prompt || '').slice(0, 4000),
+          model: String(shot.model || '').slice(0, 100),
+          ratio: Object.keys(ASPECT_RATIOS).includes(shot.ratio) ? shot.ratio : null,
+          seconds: Number(shot.seconds) > 0 ? Math.min(Number(shot.seconds), 60) : null,
+          chain: shot.chain === true,
+          status,
+          jobId: /^[\w-]{1,100}$/.test(String(shot.jobId || '')) ? String(shot.jobId) : null,
+          url: status === 'succeeded' && isHttp(shot.url) ? shot.url : '',
+          originalUrl: isHttp(shot.originalUrl) ? shot.originalUrl : null,
+          error: shot.error ? String(shot.error).slice(0, 500) : null,
+        };
+      });
+  }
+
+  /**
+   * 历史记录接口 (只能访问自己的记录)
+   * - GET    /api/history?limit=&cursor=&tag=   分页列出, 新的在前
+   * - POST   /api/history { items: [...] }       导入本地记录, 已存在的 id 跳过
+   * - DELETE /api/history                        清空
+   * - GET    /api/history/:id
+   * - PATCH  /api/history/:id { tags, favorite } 设置标签 / 收藏
+   * - PUT    /api/history/:id { ...记录 }        写入或覆盖一条记录 (分镜逐个镜头更新), 保留已有的标签和收藏
+   * - DELETE /api/history/:id
+   */
+  async function handleHistory(request, env, url, id) {
+    const auth = await authenticate(request, env);
+    if (auth.error) return auth.error;
+    const name = auth.user.name;
+    const store = createHistoryStore(env);
+    const notFound = () =>
+      jsonResponse({ error: '历史记录不存在', code: 'HISTORY_NOT_FOUND' }, 404);
+
+    if (id) {
+      if (request.method === 'GET') {
+        const item = await store.get(name, id);
+        return item ? jsonResponse(item) : notFound();
+      }
+      if (request.method === 'DELETE') {
+        return (await store.delete(name, id)) ? jsonResponse({ id, deleted: true }) : notFound();
+      }
+      if (request.method === 'PATCH') {
+        const item = await store.get(name, id);
+        if (!item) return notFound();
+        const body = (await request.json().catch(() => null)) || {};
+        const updated = { ...item };
+        if ('favorite' in body) updated.favorite = body.favorite === true;
+        if ('tags' in body || !('favorite' in body)) updated.tags = normalizeTags(body.tags);
+        if (!updated.tags) {
+          return jsonResponse(
+            {
+              error: `tags 必须是字符串数组 (最多 ${HISTORY_MAX_TAGS} 个, 每个不超过 32 字)`,
+              code: 'INVALID_TAGS',
+            },
+            400
+          );
+        }
+        await store.put(name, updated);
+        return jsonResponse(updated);
+      }
+      if (request.method === 'PUT') {
+        const item = normalizeHistoryItem({ ...(await request.json().catch(() => null)), id });
+        if (!item) {
+          return jsonResponse({ error: '历史记录格式错误', code: 'INVALID_HISTORY' }, 400);
+        }
+        const existing = await store.get(name, id);
+        // 时间戳决定排序位置, 覆盖时先删除旧位置的记录
+        if (existing) await store.delete(name, id);
+        const saved = existing
+          ? { ...item, tags: existing.tags || [], favorite: existing.favorite === true }
+          : item;
+        await store.put(name, { ...saved, user: name });
+        return jsonResponse(saved);
+      }
+      return jsonResponse({ error: '不支持的请求方法' }, 405);
+    }
+
+    if (request.method === 'GET') {
+      const limit = Math.min(Math.max(Number(url.searchParams.get('limit')) || 50, 1), 100);
+      const page = await store.list(name, {
+        limit,
+        cursor: url.searchParams.get('cursor') || undefined,
+      });
+      const tag = url.searchParams.get('tag');
+      if (tag) page.items = page.items.filter((item) => (item.tags || []).includes(tag));
+      return jsonResponse(page);
+    }
+
+    if (request.method === 'POST') {
+      const body = await request.json().catch(() => null);
+      const raw = body && Array.isArray(body.items) ? body.items : null;
+      if (!raw || raw.length > HISTORY_IMPORT_MAX) {
+        return jsonResponse(
+          { error: `items 必须是数组, 每次最多 ${HISTORY_IMPORT_MAX} 条`, code: 'INVALID_HISTORY' },
+          400
+        );
+      }
+      let imported = 0;
+      let skipped = 0;
+      for (const item of raw.map(normalizeHistoryItem)) {
+        if (!item || (await store.get(name, item.id))) {
+          skipped++;
+          continue;
+        }
+        await store.put(name, { ...item, user: name });
+        imported++;
+      }
+      return jsonResponse({ imported, skipped });
+    }
+
+    if (request.method === 'DELETE') {
+      // 每轮都从头列出 (删除后游标会失效), 一轮没有删掉任何记录时结束
+      let deleted = 0;
+      while (true) {
+        const page = await store.list(name, { limit: 100 });
+        let removed = 0;
+        for (const item of page.items) {
+          if (await store.delete(name, item.id)) removed++;
+        }
+        deleted += removed;
+        if (!removed || !page.cursor) break;
+      }
+      return jsonResponse({ deleted });
+    }
+
+    return jsonResponse({ error: '不支持的请求方法' }, 405);
+  }
+
+  /** 媒体代理允许的主机列表 */
+  function getMediaAllowedHosts(env) {
+    const hosts = (env.MEDIA_ALLOWED_HOSTS || '')
+      .split(',')
+      .map((h) => h.trim().toLowerCase())
+      .filter(Boolean);
+    const baseUrls = [env.SORA_BASE_URL || DEFAULT_BASE_URL, ...getBackends(env).map((b) => b.baseUrl)];
+    for (const baseUrl of baseUrls) {
+      try {
+        hosts.push(new URL(baseUrl).hostname.toLowerCase());
+      } catch (e) {}
+    }
+    return hosts;
+  }
+
+  /**
+   * 请求白名单内的媒体地址, 手动跟随重定向, 每一跳都重新校验主机
+   * 返回 { res, target } (target 为最终地址), 失败返回 { error, code, status }
+   */
+  async function fetchAllowedMedia(target, allowedHosts, init = {}) {
+    try {
+      for (let hop = 0; ; hop++) {
+        if (!isAllowedUrl(target, allowedHosts)) {
+          return { error: '该媒体地址不在允许代理的主机列表中', code: 'HOST_NOT_ALLOWED', status: 403 };
+        }
+        const res = await fetch(target.toString(), { ...init, redirect: 'manual' });
+        const location = res.headers.get('Location');
+        if (res.status < 300 || res.status >= 400 || !location) return { res, target };
+        res.body?.cancel().catch(() => {});
+        if (hop >= MEDIA_MAX_REDIRECTS) {
+          return { error: '媒体地址重定向次数过多', code: 'TOO_MANY_REDIRECTS', status: 502 };
+        }
+        target = new URL(location, target);
+      }
+    } catch (e) {
+      return { error: '请求媒体资源失败: ' + e.message, code: 'UPSTREAM_ERROR', status: 502 };
+    }
+  }
+
+  /** URL 的主机是否在允许列表中 (支持 *.example.com), 媒体代理与回调共用 */
+  function isAllowedUrl(target, allowedHosts) {
+    if (target.protocol !== 'https:' && target.protocol !== 'http:') return false;
+    const host = target.hostname.toLowerCase();
+    return allowedHosts.some((pattern) =>
+      pattern.startsWith('*.') ? host.endsWith(pattern.slice(1)) : host === pattern
+    );
+  }
+
+  const MIME_EXTENSIONS = {
+    'video/mp4': 'mp4',
+    'video/webm': 'webm',
+    'video/quicktime': 'mov',
+    'image/png': 'png',
+    'image/jpeg': 'jpg',
+    'image/webp': 'webp',
+    'image/gif': 'gif',
+  };
+
+  /** 生成下载文件名: 优先使用前端传入的名字 (由历史记录生成), 否则取 URL 末段 */
+  function buildMediaFilename(name, target, contentType) {
+    let base = name || '';
+    if (!base) {
+      try {
+        base = decodeURIComponent(target.pathname.split('/').pop() || '');
+      } catch (e) {}
+    }
+    base = (base || 'sora-media').replace(/[\\/:*?"<>|\x00-\x1f]+/g, '_').slice(0, 120);
+    if (!/\.[a-z0-9]{2,5}$/i.test(base)) {
+      const mime = (contentType || '').split(';')[0].trim().toLowerCase();
+      base += '.' + (MIME_EXTENSIONS[mime] || 'bin');
+    }
+    return base;
+  }
+
+  function contentDisposition(type, filename) {
+    const ascii = filename.replace(/[^\x20-\x7e]|["\\]/g, '_');
+    return `${type}; filename="${ascii}"; filename*=UTF-8''${encodeURIComponent(filename)}`;
+  }
+
+  /**
+   * /api/media?url=...&name=...&download=1
+   * - 以流的方式代理上游媒体, 解决跨域下载与防盗链问题
+   * - 透传 Range, 支持 206 分段播放与拖动进度
+   * - 只代理白名单主机 (每一跳重定向都重新校验), 避免被当作开放代理
+   */
+  async function handleMediaRequest(request, env, url) {
+    const auth = await authenticate(request, env);
+    if (auth.error) return auth.error;
+
+    let target;
+    try {
+      target = new URL(url.searchParams.get('url') || '');
+    } catch (e) {
+      return jsonResponse({ error: '缺少或非法的 url 参数', code: 'BAD_URL' }, 400);
+    }
+
+    const allowedHosts = getMediaAllowedHosts(env);
+    const upstreamHeaders = new Headers();
+    for (const name of ['Range', 'If-Range', 'If-None-Match', 'If-Modified-Since']) {
+      const value = request.headers.get(name);
+      if (value) upstreamHeaders.set(name, value);
+    }
+
+    const fetched = await fetchAllowedMedia(target, allowedHosts, {
+      method: request.method,
+      headers: upstreamHeaders,
+    });
+    if (fetched.error) {
+      return jsonResponse({ error: fetched.error, code: fetched.code }, fetched.status);
+    }
+    const upstream = fetched.res;
+    target = fetched.target;
+
+    if (!upstream.ok && upstream.status !== 304 && upstream.status !== 416) {
+      return jsonResponse(
+        { error: `媒体上游返回 HTTP ${upstream.status}`, code: 'UPSTREAM_ERROR' },
+        upstream.status === 404 ? 404 : 502
+      );
+    }
+
+    const headers = new Headers();
+    for (const name of [
+      'Content-Type',
+      'Content-Length',
+      'Content-Range',
+      'Accept-Ranges',
+      'ETag',
+      'Last-Modified',
+    ]) {
+      const value = upstream.headers.get(name);
+      if (value) headers.set(name, value);
+    }
+
+    const filename = buildMediaFilename(
+      url.searchParams.get('name'),
+      target,
+      upstream.headers.get('Content-Type')
+    );
+    const dispositionType = url.searchParams.get('download') === '1' ? 'attachment' : 'inline';
+    headers.set('Content-Disposition', contentDisposition(dispositionType, filename));
+    headers.set('Cache-Control', 'private, max-age=3600');
+    // 代理内容与本站同源, 禁止其作为页面执行脚本
+    headers.set('Content-Security-Policy', 'sandbox');
+    headers.set('X-Content-Type-Options', 'nosniff');
+
+    return new Response(request.method === 'HEAD' ? null : upstream.body, {
+      status: upstream.status,
+      headers,
+    });
+  }
+
+  /**
+   * R2 的内存替身, 实现本文件用到的 put / head / get / delete / list
+   * 仅在单个 isolate 内有效, 通过 MEDIA_STORE=memory 启用, 用于本地调试和测试
+   */
+  class MemoryBucket {
+    constructor() {
+      this.objects = new Map();
+    }
+
+    async put(key, value, options = {}) {
+      const bytes = new Uint8Array(await new Response(value).arrayBuffer());
+      this.objects.set(key, {
+        key,
+        bytes,
+        size: bytes.length,
+        uploaded: new Date(),
+        httpEtag: `"${crypto.randomUUID()}"`,
+        httpMetadata: options.httpMetadata || {},
+        customMetadata: options.customMetadata || {},
+      });
+    }
+
+    async head(key) {
+      const obj = this.objects.get(key);
+      if (!obj) return null;
+      const { bytes, ...meta } = obj;
+      return meta;
+    }
+
+    async get(key, options = {}) {
+      const obj = this.objects.get(key);
+      if (!obj) return null;
+      const { bytes, ...meta } = obj;
+      const offset = options.range ? options.range.offset : 0;
+      const length = options.range ? options.range.length : obj.size;
+      return { ...meta, range: options.range, body: new Response(bytes.slice(offset, offset + length)).body };
+    }
+
+    async delete(key) {
+      this.objects.delete(key);
+    }
+
+    async list({ prefix = '', limit = 1000, cursor } = {}) {
+      const keys = [...this.objects.keys()].filter((k) => k.startsWith(prefix)).sort();
+      const start = cursor ? Number(cursor) : 0;
+      const objects = keys.slice(start, start + limit).map((k) => this.head(k));
+      const end = start + objects.length;
+      return {
+        objects: await Promise.all(objects),
+        truncated: end < keys.length,
+        cursor: end < keys.length ? String(end) : undefined,
+      };
+    }
+  }
+
+  let memoryBucket = null;
+
+  /** 媒体存储: SORA_MEDIA (R2) 绑定, 或 MEDIA_STORE=memory 时的内存替身; 都没有时不转存 */
+  function getMediaBucket(env) {
+    if (env.SORA_MEDIA) return env.SORA_MEDIA;
+    if (env.MEDIA_STORE === 'memory') {
+      if (!memoryBucket) memoryBucket = new MemoryBucket();
+      return memoryBucket;
+    }
+    return null;
+  }
+
+  /** 媒体保留时长, MEDIA_RETENTION_DAYS=0 表示永久保留 */
+  function getMediaRetentionMs(env) {
+    const days = env.MEDIA_RETENTION_DAYS == null ? 30 : Number(env.MEDIA_RETENTION_DAYS);
+    return days > 0 ? days * 24 * 3600 * 1000 : 0;
+  }
+
+  function isMediaExpired(env, object) {
+    const retention = getMediaRetentionMs(env);
+    return retention > 0 && Date.now() - new Date(object.uploaded).getTime() > retention;
+  }
+
+  /**
+   * 把生成结果的每个媒体转存到对象存储, 返回带稳定地址 (由本 Worker 提供) 的 result 事件
+   * 未配置存储或转存失败时保留上游地址; url / originalUrl 对应主媒体
+   */
+  async function persistResult(env, origin, evt, meta) {
+    if (evt.type !== 'result') return evt;
+
+    // 兼容只带 url 的事件; 无法从链接判断类型的媒体按模型补全
+    const modelKind = parseModelId(meta.model).kind;
+    const assets = (evt.assets || [{ url: evt.url }]).map((a) => ({ ...a, kind: a.kind || modelKind }));
+
+    const bucket = getMediaBucket(env);
+    if (!bucket) return { ...evt, url: primaryAsset(assets).url, assets };
+
+    const stored = [];
+    for (const asset of assets) {
+      stored.push(await persistAsset(env, bucket, origin, asset, meta));
+    }
+    const primary = primaryAsset(stored);
+    return { ...evt, url: primary.url, originalUrl: primary.originalUrl, assets: stored };
+  }
+
+  /**
+   * 转存单个媒体: 与 /api/media 相同, 只请求白名单主机 (每一跳重定向都校验);
+   * 超过 MEDIA_PERSIST_MAX_MB 时放弃转存 (先看 Content-Length, 没有时边读边计数)
+   */
+  async function persistAsset(env, bucket, origin, asset, meta) {
+    const maxBytes =
+      (Number(env.MEDIA_PERSIST_MAX_MB) > 0
+        ? Number(env.MEDIA_PERSIST_MAX_MB)
+        : MEDIA_PERSIST_DEFAULT_MAX_MB) *
+      1024 *
+      1024;
+    const controller = new AbortController();
+    try {
+      const fetched = await fetchAllowedMedia(new URL(asset.url), getMediaAllowedHosts(env), {
+        signal: controller.signal,
+      });
+      if (fetched.error) throw new Error(fetched.error);
+      const res = fetched.res;
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      const length = Number(res.headers.get('Content-Length'));
+      if (length > maxBytes) throw new Error(`媒体大小 ${length} 字节超过转存上限`);
+
+      const contentType = (res.headers.get('Content-Type') || '').split(';')[0].trim();
+      const urlExt = new URL(asset.url).pathname.match(/\.([a-z0-9]{2,5})$/i);
+      const ext = MIME_EXTENSIONS[contentType] || (urlExt ? urlExt[1].toLowerCase() : 'bin');
+      const key = `media/${new Date().toISOString().slice(0, 10)}/${crypto.randomUUID()}.${ext}`;
+
+      // R2 需要已知长度的流, 上游没给 Content-Length 时先读入内存 (超过上限立即中止)
+      const body = length ? res.body : await readLimited(res.body, maxBytes, controller);
+      await bucket.put(key, body, {
+        httpMetadata: { contentType: contentType || 'application/octet-stream' },
+        customMetadata: {
+          originalUrl: asset.url,
+          user: String(meta.user || ''),
+          model: String(meta.model || ''),
+        },
+      });
+
+      // 以实际的 Content-Type 为准修正类型
+      let kind = asset.kind;
+      if (kind !== 'thumbnail' && /^(image|video)\//.test(contentType)) kind = contentType.split('/')[0];
+      const mime = /^(image|video)\//.test(contentType) ? contentType : asset.mime;
+      return {
+        ...asset,
+        kind,
+        ...(mime ? { mime } : {}),
+        url: `${origin}/api/objects/${key}`,
+        originalUrl: asset.url,
+      };
+    } catch (e) {
+      controller.abort();
+      console.warn('[sora] 转存媒体失败, 使用上游地址: ' + e.message);
+      return { ...asset, originalUrl: asset.url };
+    }
+  }
+
+  /** 读取整个流, 超过 maxBytes 时中止请求并抛出错误 */
+  async function readLimited(stream, maxBytes, controller) {
+    const reader = stream.getReader();
+    const chunks = [];
+    let total = 0;
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      total += value.byteLength;
+      if (total > maxBytes) {
+        controller.abort();
+        reader.cancel().catch(() => {});
+        throw new Error('媒体大小超过转存上限');
+      }
+      chunks.push(value);
+    }
+    const bytes = new Uint8Array(total);
+    let offset = 0;
+    for (const chunk of chunks) {
+      bytes.set(chunk, offset);
+      offset += chunk.byteLength;
+    }
+    return bytes.buffer;
+  }
+
+  /**
+   * 解析 Range 头 (只支持单个区间)
+   * - 返回 null 表示返回完整内容, false 表示区间无法满足 (416)
+   */
+  function parseRangeHeader(header, size) {
+    const m = (header || '').match(/^bytes=(\d*)-(\d*)$/);
+    if (!m || (!m[1] && !m[2])) return null;
+
+    let start;
+    let end;
+    if (!m[1]) {
+      start = Math.max(0, size - Number(m[2]));
+      end = size - 1;
+    } else {
+      start = Number(m[1]);
+      end = m[2] ? Math.min(Number(m[2]), size - 1) : size - 1;
+    }
+    if (start >= size || start > end) return false;
+    return { offset: start, length: end - start + 1 };
+  }
+
+  /**
+   * GET /api/objects/:key
+   * - 提供已转存的媒体, 支持 Range / 206
+   * - 超过保留期的对象在访问时顺带删除
+   */
+  async function handleGetObject(request, env, url, key) {
+    const auth = await authenticate(request, env);
+    if (auth.error) return auth.error;
+
+    const bucket = getMediaBucket(env);
+    const head = bucket && (await bucket.head(key));
+    if (!head || isMediaExpired(env, head)) {
+      if (head) await bucket.delete(key);
+      return jsonResponse({ error: '文件不存在或已过期', code: 'OBJECT_NOT_FOUND' }, 404);
+    }
+
+    const range = parseRangeHeader(request.headers.get('Range'), head.size);
+    if (range === false) {
+      return new Response(null, {
+        status: 416,
+        headers: { 'Content-Range': `bytes */${head.size}` },
+      });
+    }
+
+    const object =
+      request.method === 'HEAD' ? head : await bucket.get(key, range ? { range } : {});
+    const contentType = head.httpMetadata?.contentType || 'application/octet-stream';
+    const headers = new Headers({
+      'Content-Type': contentType,
+      'Content-Length': String(range ? range.length : head.size),
+      'Accept-Ranges': 'bytes',
+      ETag: head.httpEtag,
+      'Cache-Control': 'private, max-age=86400',
+      'Content-Security-Policy': 'sandbox',
+      'X-Content-Type-Options': 'nosniff',
+    });
+    if (range) {
+      headers.set(
+        'Content-Range',
+        `bytes ${range.offset}-${range.offset + range.length - 1}/${head.size}`
+      );
+    }
+    const filename = buildMediaFilename(url.searchParams.get('name'), url, contentType);
+    const dispositionType = url.searchParams.get('download') === '1' ? 'attachment' : 'inline';
+    headers.set('Content-Disposition', contentDisposition(dispositionType, filename));
+
+    return new Response(request.method === 'HEAD' ? null : object.body, {
+      status: range ? 206 : 200,
+      headers,
+    });
+  }
+
+  /**
+   * DELETE /api/objects/:key
+   * - 只能删除自己生成的对象
+   */
+  async function handleDeleteObject(request, env, key) {
+    const auth = await authenticate(request, env);
+    if (auth.error) return auth.error;
+
+    const bucket = getMediaBucket(env);
+    const head = bucket && (await bucket.head(key));
+    if (!head) {
+      return jsonResponse({ error: '文件不存在或已过期', code: 'OBJECT_NOT_FOUND' }, 404);
+    }
+    const owner = head.customMetadata?.user;
+    if (owner && owner !== auth.user.name) {
+      return jsonResponse({ error: '无权删除该文件', code: 'FORBIDDEN' }, 403);
+    }
+
+    await bucket.delete(key);
+    return jsonResponse({ deleted: key });
+  }
+
+  /** 清理超过保留期的媒体, 由 Cron Trigger 定时调用 */
+  async function purgeExpiredMedia(env) {
+    const bucket = getMediaBucket(env);
+    if (!bucket || !getMediaRetentionMs(env)) return 0;
+
+    let purged = 0;
+    let cursor;
+    do {
+      const page = await bucket.list({ prefix: 'media/', cursor });
+      const expired = page.objects.filter((obj) => isMediaExpired(env, obj)).map((obj) => obj.key);
+      if (expired.length) {
+        // R2 支持批量删除, 内存替身逐个删除
+        if (bucket instanceof MemoryBucket) {
+          for (const key of expired) await bucket.delete(key);
         } else {
-          // 直接返回真实视频地址（不再通过 /proxy）
-          const evt = { type: 'result', url: directUrl };
-          await writer.write(encoder.encode('data: ' + JSON.stringify(evt) + '\n\n'));
+          await bucket.delete(expired);
         }
-      } catch (e) {
-        const evt = { type: 'error', message: e.message || 'SSE 处理异常' };
-        await writer.write(encoder.encode('data: ' + JSON.stringify(evt) + '\n\n'));
-      } finally {
-        writer.close();
+        purged += expired.length;
       }
-    })();
-  
-    return new Response(readable, {
-      headers: {
-        'Content-Type': 'text/event-stream; charset=utf-8',
-        'Cache-Control': 'no-cache',
-      },
-    });
+      cursor = page.truncated ? page.cursor : undefined;
+    } while (cursor);
+
+    console.log(`[sora] 已清理 ${purged} 个过期媒体`);
+    return purged;
   }
-  
+
   /**
    * 前端 HTML + JS
    */
@@ -313,6 +4771,13 @@ export default {
                 <span class="text-xl font-bold bg-clip-text text-transparent bg-gradient-to-r from-white to-zinc-400">SoraWeb</span>
             </div>
             <div class="flex items-center gap-4">
+                <div id="session-info" class="hidden flex items-center gap-2 text-xs text-zinc-500">
+                    <i data-lucide="user" class="w-4 h-4"></i>
+                    <span id="session-user"></span>
+                    <button onclick="app.logout()" class="hover:text-white transition-colors" title="退出登录">
+                        <i data-lucide="log-out" class="w-4 h-4"></i>
+                    </button>
+                </div>
                 <a href="https://github.com/openai/sora" target="_blank" class="text-zinc-500 hover:text-white transition-colors">
                     <i data-lucide="github" class="w-5 h-5"></i>
                 </a>
@@ -330,35 +4795,41 @@ export default {
                     <button onclick="app.setMode('image')" id="mode-image" class="flex-1 py-2.5 rounded-lg text-sm font-bold flex items-center justify-center gap-2 transition-all">
                         <i data-lucide="image" class="w-4 h-4"></i> 图像生成
                     </button>
+                    <button onclick="app.setMode('storyboard')" id="mode-storyboard" class="flex-1 py-2.5 rounded-lg text-sm font-bold flex items-center justify-center gap-2 transition-all">
+                        <i data-lucide="film" class="w-4 h-4"></i> 分镜
+                    </button>
                 </div>
     
                 <div class="glass p-6 rounded-2xl space-y-6">
                     <!-- Ratio -->
-                    <div>
+                    <div id="ratio-block">
                         <label class="text-xs font-bold text-zinc-500 uppercase block mb-3">画面比例</label>
-                        <div class="grid grid-cols-3 gap-2">
-                            <button onclick="app.setRatio('landscape')" data-ratio="landscape" class="opt-btn py-2 rounded-lg text-xs font-bold">16:9</button>
-                            <button onclick="app.setRatio('portrait')" data-ratio="portrait" class="opt-btn py-2 rounded-lg text-xs font-bold">9:16</button>
-                            <button onclick="app.setRatio('square')" data-ratio="square" class="opt-btn py-2 rounded-lg text-xs font-bold">1:1</button>
-                        </div>
+                        <!-- 选项由 /api/models 的模型目录生成 -->
+                        <div id="ratio-options" class="grid grid-cols-3 gap-2"></div>
+                        <p id="models-hint" class="hidden text-xs text-zinc-500"></p>
                     </div>
     
                     <!-- Duration -->
                     <div id="duration-block">
                         <label class="text-xs font-bold text-zinc-500 uppercase block mb-3">视频时长</label>
-                        <div class="flex gap-2">
-                            <button onclick="app.setDuration('10s')" data-duration="10s" class="opt-btn flex-1 py-2 rounded-lg text-xs font-bold">10s</button>
-                            <button onclick="app.setDuration('15s')" data-duration="15s" class="opt-btn flex-1 py-2 rounded-lg text-xs font-bold">15s</button>
-                        </div>
+                        <div id="duration-options" class="flex gap-2"></div>
                     </div>
     
                     <!-- Upload -->
-                    <div>
+                    <div id="upload-block">
                         <div class="flex justify-between items-center mb-3">
                             <label class="text-xs font-bold text-zinc-500 uppercase">参考内容</label>
-                            <button onclick="app.clearFiles()" id="btn-clear-files" class="hidden text-xs text-red-400 hover:text-red-300 flex items-center gap-1">
-                                <i data-lucide="trash-2" class="w-3 h-3"></i> 清除
-                            </button>
+                            <div class="flex items-center gap-3">
+                                <select id="ref-max-edge" onchange="app.setRefMaxEdge(this.value)" class="bg-transparent text-xs text-zinc-500 focus:outline-none cursor-pointer" title="上传前把参考内容缩放到的最长边">
+                                    <option value="1280">最长边 1280</option>
+                                    <option value="1920">最长边 1920</option>
+                                    <option value="2560">最长边 2560</option>
+                                    <option value="0">不缩放</option>
+                                </select>
+                                <button onclick="app.clearFiles()" id="btn-clear-files" class="hidden text-xs text-red-400 hover:text-red-300 flex items-center gap-1">
+                                    <i data-lucide="trash-2" class="w-3 h-3"></i> 清除
+                                </button>
+                            </div>
                         </div>
                         <input type="file" id="file-upload" class="hidden" multiple accept="image/*,video/*" onchange="app.handleFileUpload(this)">
                         <div id="upload-zone" onclick="document.getElementById('file-upload').click()" class="border border-dashed border-zinc-700 rounded-xl h-24 flex flex-col items-center justify-center gap-2 cursor-pointer hover:bg-zinc-800/50 hover:border-zinc-500 transition-all">
@@ -367,11 +4838,102 @@ export default {
                         </div>
                         <div id="file-previews" class="grid grid-cols-4 gap-2 mt-2 hidden"></div>
                     </div>
+
+                    <!-- Storyboard: 按顺序生成的多个镜头, 每个镜头可接续上一镜头的尾帧 -->
+                    <div id="storyboard-block" class="hidden space-y-3">
+                        <label class="text-xs font-bold text-zinc-500 uppercase block">镜头列表</label>
+                        <div id="storyboard-shots" class="space-y-3"></div>
+                        <button onclick="app.addShot()" id="btn-add-shot" class="w-full py-2 border border-dashed border-zinc-700 rounded-xl text-xs text-zinc-500 hover:text-white hover:border-zinc-500 flex items-center justify-center gap-1 transition-colors">
+                            <i data-lucide="plus" class="w-3 h-3"></i> 添加镜头
+                        </button>
+                    </div>
+
+                    <!-- Advanced: 当前模型支持的高级参数 (见 /api/models 的 params), 随生成请求提交 -->
+                    <details id="advanced-block" class="hidden">
+                        <summary class="text-xs font-bold text-zinc-500 uppercase cursor-pointer select-none hover:text-zinc-300">
+                            高级参数 <span id="advanced-count" class="normal-case font-normal text-indigo-300"></span>
+                        </summary>
+                        <div id="advanced-fields" class="mt-3 space-y-3"></div>
+                        <button onclick="app.resetParams()" class="mt-3 text-xs text-zinc-500 hover:text-white transition-colors">重置</button>
+                    </details>
                 </div>
     
                 <!-- Input -->
                 <div class="space-y-4">
-                    <textarea id="prompt-in" class="w-full h-32 p-4 bg-zinc-900 border border-zinc-800 rounded-2xl focus:ring-2 focus:ring-indigo-500/50 focus:border-indigo-500 focus:outline-none transition-all text-sm placeholder:text-zinc-600 resize-none" placeholder="描述你想要生成的内容..."></textarea>
+                    <div id="prompt-block" class="space-y-4">
+                        <textarea id="prompt-in" oninput="app.updateBatchSummary()" class="w-full h-32 p-4 bg-zinc-900 border border-zinc-800 rounded-2xl focus:ring-2 focus:ring-indigo-500/50 focus:border-indigo-500 focus:outline-none transition-all text-sm placeholder:text-zinc-600 resize-none" placeholder="描述你想要生成的内容..."></textarea>
+                        <div class="flex items-center gap-3 -mt-2 text-xs text-zinc-500">
+                            <button onclick="app.enhancePrompt()" id="btn-enhance" class="flex items-center gap-1 hover:text-white transition-colors" title="用对话模型改写提示词草稿">
+                                <i data-lucide="sparkles" class="w-3 h-3"></i> 润色
+                            </button>
+                            <button onclick="app.togglePresets()" id="btn-presets" class="flex items-center gap-1 hover:text-white transition-colors">
+                                <i data-lucide="library" class="w-3 h-3"></i> 预设
+                            </button>
+                            <button onclick="app.savePreset()" class="flex items-center gap-1 hover:text-white transition-colors" title="把选中的文字 (未选中时为全部) 存为预设">
+                                <i data-lucide="bookmark-plus" class="w-3 h-3"></i> 存为预设
+                            </button>
+                            <button onclick="app.toggleBatch()" id="btn-batch" class="ml-auto flex items-center gap-1 hover:text-white transition-colors" title="一次提交多个提示词、比例 / 时长组合或变体">
+                                <i data-lucide="layers" class="w-3 h-3"></i> 批量
+                            </button>
+                        </div>
+
+                        <!-- 批量: 提示词列表 x 比例 / 时长组合 x 变体数, 通过 /api/batch 提交 -->
+                        <div id="batch-panel" class="hidden p-3 bg-zinc-900 border border-zinc-800 rounded-xl space-y-3 text-[11px] text-zinc-500">
+                            <div class="flex items-center gap-3">
+                                <label class="flex items-center gap-1.5 cursor-pointer select-none">
+                                    <input type="checkbox" id="batch-lines" class="accent-indigo-500" onchange="app.updateBatchSummary()"> 每行一个提示词
+                                </label>
+                                <button onclick="document.getElementById('batch-file').click()" class="ml-auto flex items-center gap-1 hover:text-white transition-colors">
+                                    <i data-lucide="file-up" class="w-3 h-3"></i> 导入 CSV / JSONL
+                                </button>
+                                <input type="file" id="batch-file" class="hidden" accept=".csv,.jsonl,.txt,text/csv,text/plain" onchange="app.loadBatchList(this)">
+                            </div>
+                            <div id="batch-file-row" class="hidden flex items-center gap-2 text-zinc-300">
+                                <i data-lucide="file-text" class="w-3 h-3 flex-shrink-0"></i>
+                                <span id="batch-file-name" class="truncate"></span>
+                                <button onclick="app.clearBatchList()" title="移除导入的列表" class="ml-auto text-zinc-500 hover:text-red-400"><i data-lucide="x" class="w-3 h-3"></i></button>
+                            </div>
+                            <div class="flex items-center gap-2">
+                                <span class="w-8 flex-shrink-0">比例</span>
+                                <div id="batch-ratios" class="flex flex-wrap gap-1"></div>
+                            </div>
+                            <div id="batch-durations-row" class="flex items-center gap-2">
+                                <span class="w-8 flex-shrink-0">时长</span>
+                                <div id="batch-durations" class="flex flex-wrap gap-1"></div>
+                            </div>
+                            <div class="flex items-center gap-2">
+                                <span class="w-8 flex-shrink-0">变体</span>
+                                <input type="number" id="batch-variants" min="1" max="8" value="1" oninput="app.updateBatchSummary()" class="w-14 px-2 py-1 bg-zinc-950 border border-zinc-800 rounded-md text-zinc-300 focus:outline-none focus:border-indigo-500">
+                                <span class="ml-auto">同时进行</span>
+                                <select id="batch-parallel" class="px-2 py-1 bg-zinc-950 border border-zinc-800 rounded-md text-zinc-300">
+                                    <option value="1">1</option>
+                                    <option value="2" selected>2</option>
+                                    <option value="3">3</option>
+                                    <option value="4">4</option>
+                                </select>
+                            </div>
+                            <p id="batch-summary" class="text-zinc-400"></p>
+                        </div>
+
+                        <!-- 预设库: 点击插入到光标处, {subject} 等变量在插入时填写 -->
+                        <div id="preset-panel" class="hidden p-3 bg-zinc-900 border border-zinc-800 rounded-xl space-y-2">
+                            <div id="preset-tabs" class="flex flex-wrap gap-1"></div>
+                            <div id="preset-list" class="flex flex-wrap gap-1.5 max-h-40 overflow-auto"></div>
+                        </div>
+
+                        <!-- 润色结果: 采用后替换提示词 -->
+                        <div id="enhance-panel" class="hidden p-3 bg-zinc-900 border border-indigo-500/30 rounded-xl space-y-2">
+                            <div class="flex justify-between items-center text-[10px] text-zinc-500">
+                                <span id="enhance-status"></span>
+                                <button onclick="app.toggleEnhanceDiff()" id="btn-enhance-diff" class="hover:text-white transition-colors"></button>
+                            </div>
+                            <div id="enhance-text" class="text-xs text-zinc-200 whitespace-pre-wrap break-words max-h-48 overflow-auto"></div>
+                            <div class="flex gap-2">
+                                <button onclick="app.acceptEnhanced()" id="btn-enhance-accept" class="flex-1 py-1.5 bg-indigo-600 text-white text-xs font-bold rounded-lg hover:bg-indigo-500 disabled:opacity-50 transition-colors">采用</button>
+                                <button onclick="app.discardEnhanced()" class="flex-1 py-1.5 bg-zinc-800 text-zinc-300 text-xs rounded-lg hover:bg-zinc-700 transition-colors">放弃</button>
+                            </div>
+                        </div>
+                    </div>
                     
                     <div id="err-msg" class="hidden p-3 bg-red-500/10 border border-red-500/20 rounded-xl flex items-start gap-2 text-red-400">
                         <i data-lucide="alert-circle" class="w-4 h-4 mt-0.5 flex-shrink-0"></i>
@@ -381,38 +4943,130 @@ export default {
                     <button onclick="app.generate()" id="btn-generate" class="w-full py-4 bg-white text-black rounded-xl font-bold uppercase tracking-wider hover:bg-indigo-50 hover:scale-[1.02] transition-all flex items-center justify-center gap-2 shadow-[0_0_20px_-5px_rgba(255,255,255,0.3)]">
                         <i data-lucide="wand-2" class="w-4 h-4"></i> 生成内容
                     </button>
+                    <label class="flex items-center gap-2 text-[11px] text-zinc-500 cursor-pointer select-none" title="相同的模型、提示词和参考文件默认复用近期结果">
+                        <input type="checkbox" id="force-in" class="accent-indigo-500"> 忽略缓存, 重新生成
+                    </label>
     
                     <!-- 进度条 -->
                     <div id="progress-wrapper" class="hidden mt-2">
-                        <div class="flex justify-between text-[10px] text-zinc-500">
-                            <span>生成进度</span>
-                            <span id="progress-text">0%</span>
+                        <div class="flex justify-between items-center text-[10px] text-zinc-500">
+                            <span>生成进度 <span id="progress-phase" class="text-zinc-400"></span></span>
+                            <span class="flex items-center gap-3">
+                                <button onclick="app.cancel()" id="btn-cancel" class="hidden text-red-400 hover:text-red-300 flex items-center gap-1">
+                                    <i data-lucide="square" class="w-3 h-3"></i> 取消
+                                </button>
+                                <span id="progress-text">0%</span>
+                            </span>
                         </div>
                         <div class="w-full h-1.5 bg-zinc-800 rounded-full overflow-hidden mt-1">
                             <div id="progress-bar" class="h-full bg-indigo-500 transition-all" style="width:0%"></div>
                         </div>
+                        <details id="progress-log-box" class="hidden mt-2 text-[10px] text-zinc-500">
+                            <summary class="cursor-pointer select-none hover:text-zinc-300">生成日志</summary>
+                            <pre id="progress-log" class="mt-1 max-h-40 overflow-auto whitespace-pre-wrap break-all bg-zinc-900 border border-zinc-800 rounded-lg p-2 font-mono"></pre>
+                        </details>
                     </div>
+
+                    <!-- 进行中的批量任务: 每个任务一行进度 -->
+                    <div id="batch-jobs" class="space-y-3"></div>
                 </div>
             </div>
     
             <!-- Gallery -->
             <div class="flex-1 min-w-0">
-                <div class="mb-6 flex items-center justify-between">
+                <div class="mb-4 flex items-center justify-between">
                     <h2 class="text-2xl font-bold">历史记录</h2>
-                    <button onclick="app.clearHistory()" class="text-xs text-zinc-500 hover:text-white transition-colors">清空历史</button>
+                    <div class="flex items-center gap-4">
+                        <div class="relative">
+                            <button onclick="document.getElementById('export-menu').classList.toggle('hidden')" class="text-xs text-zinc-500 hover:text-white transition-colors">导出</button>
+                            <div id="export-menu" class="hidden absolute right-0 mt-2 w-40 bg-zinc-900 border border-zinc-800 rounded-lg shadow-xl z-20 py-1 text-xs">
+                                <button onclick="app.exportHistory(false)" class="block w-full text-left px-3 py-2 text-zinc-300 hover:bg-zinc-800">仅记录 (JSON)</button>
+                                <button onclick="app.exportHistory(true)" class="block w-full text-left px-3 py-2 text-zinc-300 hover:bg-zinc-800">含媒体 (ZIP)</button>
+                            </div>
+                        </div>
+                        <label class="text-xs text-zinc-500 hover:text-white transition-colors cursor-pointer">
+                            导入
+                            <input type="file" accept=".json,.zip,application/json,application/zip" class="hidden" onchange="app.importHistory(this)">
+                        </label>
+                        <button onclick="app.toggleSelecting()" id="btn-select" class="text-xs text-zinc-500 hover:text-white transition-colors">选择</button>
+                        <button onclick="app.clearHistory()" class="text-xs text-zinc-500 hover:text-white transition-colors">清空历史</button>
+                    </div>
+                </div>
+
+                <!-- 搜索与筛选 -->
+                <div class="mb-6 flex flex-wrap gap-2 items-center text-xs">
+                    <input id="filter-q" type="search" oninput="app.setFilter('q', this.value)" placeholder="搜索提示词" class="flex-1 min-w-[160px] px-3 py-2 bg-zinc-900 border border-zinc-800 rounded-lg focus:outline-none focus:border-indigo-500">
+                    <select onchange="app.setFilter('type', this.value)" class="px-2 py-2 bg-zinc-900 border border-zinc-800 rounded-lg text-zinc-300">
+                        <option value="">全部类型</option>
+                        <option value="video">视频</option>
+                        <option value="image">图像</option>
+                        <option value="storyboard">分镜</option>
+                    </select>
+                    <select id="filter-model" onchange="app.setFilter('model', this.value)" class="px-2 py-2 bg-zinc-900 border border-zinc-800 rounded-lg text-zinc-300 max-w-[180px]"></select>
+                    <select onchange="app.setFilter('ratio', this.value)" class="px-2 py-2 bg-zinc-900 border border-zinc-800 rounded-lg text-zinc-300">
+                        <option value="">全部比例</option>
+                        <option value="landscape">16:9</option>
+                        <option value="portrait">9:16</option>
+                        <option value="square">1:1</option>
+                    </select>
+                    <input type="date" onchange="app.setFilter('from', this.value)" title="开始日期" class="px-2 py-1.5 bg-zinc-900 border border-zinc-800 rounded-lg text-zinc-300">
+                    <input type="date" onchange="app.setFilter('to', this.value)" title="结束日期" class="px-2 py-1.5 bg-zinc-900 border border-zinc-800 rounded-lg text-zinc-300">
+                    <label class="flex items-center gap-1 text-zinc-400 cursor-pointer select-none">
+                        <input type="checkbox" onchange="app.setFilter('favorites', this.checked)" class="accent-indigo-500"> 只看收藏
+                    </label>
+                </div>
+
+                <div id="selection-bar" class="hidden mb-4 p-3 bg-zinc-900 border border-zinc-800 rounded-xl flex items-center justify-between text-xs text-zinc-400">
+                    <span>已选择 <span id="selection-count">0</span> 项</span>
+                    <button onclick="app.deleteSelected()" class="text-red-400 hover:text-red-300 flex items-center gap-1">
+                        <i data-lucide="trash-2" class="w-3 h-3"></i> 删除所选
+                    </button>
                 </div>
                 
                 <div id="gallery-container" class="grid grid-cols-1 md:grid-cols-2 xl:grid-cols-3 gap-6"></div>
+                <button onclick="app.loadMore()" id="history-more" class="hidden mt-6 w-full py-3 text-xs text-zinc-500 hover:text-white border border-zinc-800 rounded-xl transition-colors">加载更多</button>
                 
                 <div id="empty-state" class="hidden h-[400px] flex flex-col items-center justify-center border border-dashed border-zinc-800 rounded-2xl bg-zinc-900/30">
                     <div class="w-16 h-16 rounded-full bg-zinc-900 flex items-center justify-center mb-4">
                         <i data-lucide="film" class="w-8 h-8 text-zinc-700"></i>
                     </div>
-                    <p class="font-medium text-zinc-500">暂无生成记录</p>
+                    <p id="empty-text" class="font-medium text-zinc-500">暂无生成记录</p>
                 </div>
             </div>
         </main>
     
+        <!-- Reference Editor: 上传前裁剪到所选比例、缩放, 视频可剪辑或取首尾帧 -->
+        <div id="ref-editor" class="hidden fixed inset-0 z-[90] bg-black/90 backdrop-blur-sm flex items-center justify-center p-4">
+            <div class="bg-zinc-900 p-6 w-full max-w-2xl border border-zinc-800 rounded-2xl shadow-2xl space-y-4">
+                <div class="flex justify-between items-center gap-4">
+                    <h3 class="text-sm font-bold text-white">处理参考内容</h3>
+                    <span id="ref-editor-info" class="text-[11px] text-zinc-500 text-right"></span>
+                </div>
+                <div id="ref-stage" class="relative mx-auto overflow-hidden select-none touch-none bg-black">
+                    <div id="ref-crop" class="absolute border-2 border-white cursor-move" style="box-shadow: 0 0 0 9999px rgba(0, 0, 0, 0.6)"></div>
+                </div>
+                <label class="flex items-center gap-3 text-xs text-zinc-500">
+                    裁剪范围 <input type="range" id="ref-zoom" min="20" max="100" value="100" class="flex-1 accent-indigo-500" oninput="app.refZoom(this.value)">
+                </label>
+                <div id="ref-video-controls" class="hidden space-y-2 text-xs text-zinc-500">
+                    <input type="range" id="ref-seek" min="0" step="0.05" value="0" class="w-full accent-indigo-500" oninput="app.refSeek(this.value)">
+                    <div class="flex flex-wrap items-center gap-2">
+                        <span>片段 <span id="ref-trim" class="text-zinc-300"></span></span>
+                        <button onclick="app.refSetTrim('start')" class="ref-busy px-2 py-1 bg-zinc-800 rounded-md hover:text-white disabled:opacity-50">设为起点</button>
+                        <button onclick="app.refSetTrim('end')" class="ref-busy px-2 py-1 bg-zinc-800 rounded-md hover:text-white disabled:opacity-50">设为终点</button>
+                        <span class="flex-1"></span>
+                        <button onclick="app.refExtractFrame('first')" class="ref-busy px-2 py-1 bg-zinc-800 rounded-md hover:text-white disabled:opacity-50">首帧作为图片</button>
+                        <button onclick="app.refExtractFrame('last')" class="ref-busy px-2 py-1 bg-zinc-800 rounded-md hover:text-white disabled:opacity-50">尾帧作为图片</button>
+                    </div>
+                </div>
+                <div class="flex justify-end gap-2">
+                    <button onclick="app.refCancel()" class="ref-busy px-4 py-2 text-xs text-zinc-400 hover:text-white disabled:opacity-50">取消</button>
+                    <button onclick="app.refUseOriginal()" class="ref-busy px-4 py-2 text-xs bg-zinc-800 text-zinc-300 rounded-lg hover:bg-zinc-700 disabled:opacity-50">使用原文件</button>
+                    <button onclick="app.refApply()" class="ref-busy px-4 py-2 text-xs font-bold bg-indigo-600 text-white rounded-lg hover:bg-indigo-500 disabled:opacity-50">应用</button>
+                </div>
+            </div>
+        </div>
+
         <!-- Password Modal -->
         <div id="pwd-modal" class="hidden fixed inset-0 z-[100] bg-black/90 backdrop-blur-sm flex items-center justify-center p-4">
             <div class="bg-zinc-900 p-8 w-full max-w-sm border border-zinc-800 rounded-2xl shadow-2xl">
@@ -423,7 +5077,8 @@ export default {
                     <h3 class="text-xl font-bold text-white">需要访问密码</h3>
                 </div>
                 <input type="password" id="pwd-input" class="w-full p-3 bg-zinc-950 border border-zinc-800 rounded-lg mb-4 text-center text-white focus:outline-none focus:border-indigo-500 transition-colors" placeholder="输入访问密码" onkeydown="if(event.key==='Enter') app.submitPwd()">
-                <button onclick="app.submitPwd()" class="w-full bg-indigo-600 text-white py-3 font-bold rounded-lg hover:bg-indigo-500 transition-colors">解锁</button>
+                <p id="pwd-error" class="hidden text-xs text-red-400 text-center -mt-2 mb-4"></p>
+                <button onclick="app.submitPwd()" id="pwd-submit" class="w-full bg-indigo-600 text-white py-3 font-bold rounded-lg hover:bg-indigo-500 transition-colors">解锁</button>
             </div>
         </div>
     
@@ -434,12 +5089,29 @@ export default {
             </button>
             <div class="max-w-5xl w-full flex flex-col items-center gap-4" onclick="event.stopPropagation()">
                 <div id="lightbox-media" class="w-full flex justify-center max-h-[80vh]"></div>
+                <div id="lightbox-thumbs" class="hidden flex gap-2 overflow-x-auto max-w-full"></div>
                 <div class="flex gap-4">
                     <button onclick="app.downloadCurrent()" class="bg-white text-black px-6 py-2.5 font-bold rounded-full flex items-center gap-2 hover:bg-zinc-200 transition-colors">
                         <i data-lucide="download" class="w-4 h-4"></i> 下载
                     </button>
+                    <button onclick="app.editTags()" class="border border-zinc-700 text-zinc-300 px-6 py-2.5 font-bold rounded-full flex items-center gap-2 hover:bg-zinc-800 transition-colors">
+                        <i data-lucide="tag" class="w-4 h-4"></i> 标签
+                    </button>
+                    <button onclick="app.remixCurrent('remix')" id="btn-remix" class="border border-zinc-700 text-zinc-300 px-6 py-2.5 font-bold rounded-full flex items-center gap-2 hover:bg-zinc-800 transition-colors">
+                        <i data-lucide="shuffle" class="w-4 h-4"></i> Remix
+                    </button>
+                    <button onclick="app.remixCurrent('extend')" id="btn-extend" class="border border-zinc-700 text-zinc-300 px-6 py-2.5 font-bold rounded-full flex items-center gap-2 hover:bg-zinc-800 transition-colors">
+                        <i data-lucide="fast-forward" class="w-4 h-4"></i> Extend
+                    </button>
+                    <button onclick="app.retryCurrentStoryboard()" id="btn-retry-shots" class="hidden border border-indigo-500/50 text-indigo-300 px-6 py-2.5 font-bold rounded-full flex items-center gap-2 hover:bg-indigo-500/10 transition-colors">
+                        <i data-lucide="rotate-cw" class="w-4 h-4"></i> 继续未完成的镜头
+                    </button>
                 </div>
+                <div id="lightbox-shots" class="hidden flex flex-wrap gap-1 justify-center"></div>
                 <p id="lightbox-text" class="text-zinc-500 text-sm max-w-2xl text-center"></p>
+                <p id="lightbox-params" class="hidden text-[11px] text-zinc-500 font-mono max-w-2xl text-center break-all"></p>
+                <div id="lightbox-tags" class="flex flex-wrap gap-1 justify-center"></div>
+                <div id="lightbox-lineage" class="hidden flex flex-wrap items-center gap-1 justify-center text-[11px] text-zinc-500"></div>
             </div>
         </div>
     
@@ -451,73 +5123,919 @@ export default {
             const state = {
                 mode: 'video',
                 ratio: 'landscape',
-                duration: '10s',
+                duration: 10,
+                // 登录状态 (/api/session) { authenticated, required, user }, 访问码只在登录时发送一次
+                session: null,
+                models: [], // 模型目录 (/api/models)
+                modelsError: null,
+                serverHistory: [], // 服务端历史记录 (/api/history), 已加载的页
+                historyCursor: null,
+                filters: { q: '', type: '', model: '', ratio: '', from: '', to: '', favorites: false },
+                visible: 24, // 当前显示的条数, "加载更多" 时增加
+                selecting: false,
+                selected: new Set(),
                 files: [],
+                // 正在处理的参考文件 (见 actions.editReference), 同一时间只处理一个
+                refEditor: null,
+                // 分镜草稿 { shots: [{ prompt, ratio, seconds, chain }] }, chain 表示以上一镜头的尾帧作为参考图
+                storyboard: { shots: [] },
+                // 分镜生成中的镜头 { index, total }
+                shot: null,
+                // 批量设置 { open, list: { name, text, format } | null, ratios, durations }, 打开时生成按钮提交批量任务
+                batch: { open: false, list: null, ratios: [], durations: [] },
+                // 进行中的批次 { id, type, inputs, jobIds, jobs }, 与单个任务的进度互不影响
+                batches: [],
+                // Remix / Extend 的来源记录 { parentId, relation }, 随下一次生成提交
+                lineage: null,
+                // 高级参数面板中填写的值 { seed: '42', ... }, 提交时只取当前模型支持的
+                params: {},
                 loading: false,
                 currentItem: null,
+                currentIndex: 0,
+                currentJob: null,
+                abort: null,
                 progress: 0,
+                phase: null,
+                // 全局队列中的位置 { position, eta }, 开始生成后清空
+                queue: null,
+                // 提示词预设: 本地 (IndexedDB, 含内置) 和团队 (/api/presets)
+                presets: [],
+                teamPresets: [],
+                presetTab: 'camera',
+                enhanceAvailable: true,
+                // 润色进行中或待确认的结果 { draft, text, done, diff, abort }
+                enhance: null,
+                log: '',
+            };
+    
+            // 内置提示词预设, 写入 IndexedDB 后可以删除; {subject} 等变量在插入时填写
+            const PRESET_CATEGORIES = { camera: '镜头', style: '风格', lighting: '光线', custom: '我的', team: '团队' };
+            const DEFAULT_PRESETS = [
+                ['camera', '缓慢推进', '镜头缓慢推进 (slow dolly in), 逐渐聚焦到{subject}'],
+                ['camera', '环绕拍摄', '镜头围绕{subject}平稳环绕 (orbit shot)'],
+                ['camera', '航拍俯冲', '无人机航拍, 从高空俯冲接近{subject}'],
+                ['camera', '手持跟拍', '手持摄影跟随{subject}移动, 轻微晃动, 纪实感'],
+                ['camera', '低角度仰拍', '低角度仰拍{subject}, 突出高大和压迫感'],
+                ['camera', '固定长镜头', '固定机位长镜头, 画面稳定, 不切换镜头'],
+                ['style', '电影感', '电影质感, 35mm 胶片颗粒, 浅景深, 宽银幕构图'],
+                ['style', '纪录片', '纪录片风格, 自然写实, 真实环境'],
+                ['style', '3D 动画', '3D 动画风格, 柔和材质, 色彩明亮'],
+                ['style', '赛博朋克', '赛博朋克风格, 霓虹灯牌, 潮湿街道的反光'],
+                ['style', '水墨', '中国水墨画风格, 大面积留白, 墨色晕染'],
+                ['style', '黏土定格', '黏土定格动画风格, 手工质感, 略带卡顿的动作'],
+                ['lighting', '黄金时刻', '黄金时刻的暖色逆光, 长长的影子'],
+                ['lighting', '蓝调时刻', '日落后的蓝调时刻, 冷色环境光'],
+                ['lighting', '伦勃朗光', '伦勃朗布光, 侧面主光, 明暗对比强烈'],
+                ['lighting', '霓虹夜景', '夜晚霓虹灯照明, 高饱和的彩色光'],
+                ['lighting', '阴天柔光', '阴天柔和的散射光, 低对比度'],
+                ['lighting', '体积光', '穿过{medium}的体积光 (丁达尔效应)'],
+            ].map(([category, name, text], i) => ({ id: 'builtin-' + (i + 1), category, name, text, order: i }));
+
+            // 预设中的变量: {subject}、{主体} 等
+            const PRESET_VAR_RE = /\\{([\\w\\u4e00-\\u9fff]+)\\}/g;
+
+            // 按词 (中文按字) 对比润色前后的提示词, 返回 [['=' | '+' | '-', 文本]]; 过长时整体替换
+            const diffWords = (before, after) => {
+                const tokenize = (text) => text.match(/\\s+|[\\u4e00-\\u9fff]|[^\\s\\u4e00-\\u9fff]+/g) || [];
+                const a = tokenize(before);
+                const b = tokenize(after);
+                if (a.length * b.length > 250000) return [['-', before], ['+', after]];
+                // lcs[i][j]: a[i..] 与 b[j..] 的最长公共子序列长度
+                const lcs = Array.from({ length: a.length + 1 }, () => new Uint16Array(b.length + 1));
+                for (let i = a.length - 1; i >= 0; i--) {
+                    for (let j = b.length - 1; j >= 0; j--) {
+                        lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+                    }
+                }
+                const parts = [];
+                const push = (op, text) => {
+                    const last = parts[parts.length - 1];
+                    if (last && last[0] === op) last[1] += text;
+                    else parts.push([op, text]);
+                };
+                let i = 0;
+                let j = 0;
+                while (i < a.length && j < b.length) {
+                    if (a[i] === b[j]) { push('=', a[i]); i++; j++; }
+                    else if (lcs[i + 1][j] >= lcs[i][j + 1]) push('-', a[i++]);
+                    else push('+', b[j++]);
+                }
+                while (i < a.length) push('-', a[i++]);
+                while (j < b.length) push('+', b[j++]);
+                return parts;
+            };
+
+            // IndexedDB
+            // v2: 新增 jobs 表, 记录尚未完成的后台任务, 刷新页面后继续跟踪
+            // v3: generations 表新增 timestamp / type / model 索引, 旧记录补齐这些字段
+            // v4: 新增 presets 表, 保存提示词预设, 首次创建时写入内置预设
+            const DB_CFG = { name: 'SoraWebDB', version: 4, store: 'generations', jobStore: 'jobs', presetStore: 'presets' };
+            let dbInstance = null;
+    
+            const db = {
+                open: () => new Promise((resolve, reject) => {
+                    const req = indexedDB.open(DB_CFG.name, DB_CFG.version);
+                    req.onupgradeneeded = (e) => {
+                        const d = e.target.result;
+                        if (!d.objectStoreNames.contains(DB_CFG.store)) d.createObjectStore(DB_CFG.store, { keyPath: 'id' });
+                        if (!d.objectStoreNames.contains(DB_CFG.jobStore)) d.createObjectStore(DB_CFG.jobStore, { keyPath: 'id' });
+                        if (e.oldVersion < 3) db.migrateV3(e.target.transaction.objectStore(DB_CFG.store));
+                        if (!d.objectStoreNames.contains(DB_CFG.presetStore)) {
+                            const presets = d.createObjectStore(DB_CFG.presetStore, { keyPath: 'id' });
+                            DEFAULT_PRESETS.forEach(preset => presets.put(preset));
+                        }
+                    };
+                    req.onsuccess = (e) => { dbInstance = e.target.result; resolve(); };
+                    req.onerror = reject;
+                }),
+                // 建立索引, 并为旧记录补齐索引字段 (没有 timestamp 的早期记录用数字 id 或当前时间)
+                migrateV3: (store) => {
+                    ['timestamp', 'type', 'model'].forEach(name => {
+                        if (!store.indexNames.contains(name)) store.createIndex(name, name);
+                    });
+                    store.openCursor().onsuccess = (e) => {
+                        const cursor = e.target.result;
+                        if (!cursor) return;
+                        const item = { ...cursor.value };
+                        item.model = item.model || '';
+                        item.type = item.type || (item.model.includes('video') ? 'video' : 'image');
+                        item.timestamp = Number(item.timestamp) || Number(item.id) || Date.now();
+                        item.favorite = item.favorite === true;
+                        cursor.update(item);
+                        cursor.continue();
+                    };
+                },
+                add: async (item) => {
+                    if(!dbInstance) await db.open();
+                    return new Promise((resolve, reject) => {
+                        const tx = dbInstance.transaction(DB_CFG.store, 'readwrite');
+                        tx.objectStore(DB_CFG.store).add(item);
+                        tx.oncomplete = resolve;
+                        tx.onerror = reject;
+                    });
+                },
+                get: async (id) => {
+                    if(!dbInstance) await db.open();
+                    return new Promise((resolve) => {
+                        const req = dbInstance.transaction(DB_CFG.store, 'readonly').objectStore(DB_CFG.store).get(id);
+                        req.onsuccess = () => resolve(req.result || null);
+                    });
+                },
+                getAll: async () => {
+                    if(!dbInstance) await db.open();
+                    return new Promise((resolve) => {
+                        const tx = dbInstance.transaction(DB_CFG.store, 'readonly');
+                        const req = tx.objectStore(DB_CFG.store).getAll();
+                        req.onsuccess = () => resolve(req.result.reverse());
+                    });
+                },
+                put: async (item) => {
+                    if(!dbInstance) await db.open();
+                    const tx = dbInstance.transaction(DB_CFG.store, 'readwrite');
+                    tx.objectStore(DB_CFG.store).put(item);
+                    return new Promise(r => { tx.oncomplete = r; });
+                },
+                delete: async (ids) => {
+                    if(!dbInstance) await db.open();
+                    const tx = dbInstance.transaction(DB_CFG.store, 'readwrite');
+                    ids.forEach(id => tx.objectStore(DB_CFG.store).delete(id));
+                    return new Promise(r => { tx.oncomplete = r; });
+                },
+                // 按索引缩小范围 (模型 > 类型 > 时间), 其余条件由调用方在内存中过滤; 结果按时间倒序
+                query: async ({ type, model, from, to } = {}) => {
+                    if(!dbInstance) await db.open();
+                    return new Promise((resolve) => {
+                        const store = dbInstance.transaction(DB_CFG.store, 'readonly').objectStore(DB_CFG.store);
+                        const req = model ? store.index('model').getAll(model)
+                            : type ? store.index('type').getAll(type)
+                            : store.index('timestamp').getAll(IDBKeyRange.bound(from || 0, to || Infinity));
+                        req.onsuccess = () => resolve(req.result.sort((a, b) => b.timestamp - a.timestamp));
+                    });
+                },
+                // 本地记录中出现过的模型 (model 索引的不重复键), 不读取记录本身
+                models: async () => {
+                    if(!dbInstance) await db.open();
+                    return new Promise((resolve) => {
+                        const models = [];
+                        const req = dbInstance.transaction(DB_CFG.store, 'readonly').objectStore(DB_CFG.store).index('model').openKeyCursor(null, 'nextunique');
+                        req.onsuccess = () => {
+                            const cursor = req.result;
+                            if (!cursor) return resolve(models);
+                            models.push(cursor.key);
+                            cursor.continue();
+                        };
+                    });
+                },
+                count: async () => {
+                    if(!dbInstance) await db.open();
+                    return new Promise((resolve) => {
+                        const req = dbInstance.transaction(DB_CFG.store, 'readonly').objectStore(DB_CFG.store).count();
+                        req.onsuccess = () => resolve(req.result);
+                    });
+                },
+                clear: async () => {
+                    if(!dbInstance) await db.open();
+                    const tx = dbInstance.transaction(DB_CFG.store, 'readwrite');
+                    tx.objectStore(DB_CFG.store).clear();
+                    return new Promise(r => { tx.oncomplete = r; });
+                },
+                putJob: async (job) => {
+                    if(!dbInstance) await db.open();
+                    const tx = dbInstance.transaction(DB_CFG.jobStore, 'readwrite');
+                    tx.objectStore(DB_CFG.jobStore).put(job);
+                    return new Promise(r => { tx.oncomplete = r; });
+                },
+                deleteJob: async (id) => {
+                    if(!dbInstance) await db.open();
+                    const tx = dbInstance.transaction(DB_CFG.jobStore, 'readwrite');
+                    tx.objectStore(DB_CFG.jobStore).delete(id);
+                    return new Promise(r => { tx.oncomplete = r; });
+                },
+                getJobs: async () => {
+                    if(!dbInstance) await db.open();
+                    return new Promise((resolve) => {
+                        const tx = dbInstance.transaction(DB_CFG.jobStore, 'readonly');
+                        const req = tx.objectStore(DB_CFG.jobStore).getAll();
+                        req.onsuccess = () => resolve(req.result.sort((a, b) => a.createdAt - b.createdAt));
+                    });
+                },
+                getPresets: async () => {
+                    if(!dbInstance) await db.open();
+                    return new Promise((resolve) => {
+                        const tx = dbInstance.transaction(DB_CFG.presetStore, 'readonly');
+                        const req = tx.objectStore(DB_CFG.presetStore).getAll();
+                        req.onsuccess = () => resolve(req.result.sort((a, b) => (a.order || 0) - (b.order || 0)));
+                    });
+                },
+                putPreset: async (preset) => {
+                    if(!dbInstance) await db.open();
+                    const tx = dbInstance.transaction(DB_CFG.presetStore, 'readwrite');
+                    tx.objectStore(DB_CFG.presetStore).put(preset);
+                    return new Promise(r => { tx.oncomplete = r; });
+                },
+                deletePreset: async (id) => {
+                    if(!dbInstance) await db.open();
+                    const tx = dbInstance.transaction(DB_CFG.presetStore, 'readwrite');
+                    tx.objectStore(DB_CFG.presetStore).delete(id);
+                    return new Promise(r => { tx.oncomplete = r; });
+                }
+            };
+    
+            const el = (id) => document.getElementById(id);
+            const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+            // 服务端结构化错误 (如 429 额度不足) 转为提示文案
+            // 上游拒绝与内容审核的错误码 (error 事件和 JSON 错误的 code), 附上可操作的提示
+            const ERROR_HINTS = {
+                CONTENT_POLICY: '内容未通过审核, 请修改提示词或更换参考内容后重试',
+                RATE_LIMIT: '上游请求过于频繁, 请稍等片刻后重试',
+                UPSTREAM_TIMEOUT: '上游响应超时, 可稍后重试或改用较短的时长',
+                MODERATION_UNAVAILABLE: '审核服务恢复后即可重试',
+                QUEUE_INTERRUPTED: '可直接重新提交'
+            };
+            const describeError = (err) => {
+                let msg = (err && err.error) || '请求失败';
+                if (err && err.resetAt) msg += \`（将于 \${new Date(err.resetAt).toLocaleString()} 重置）\`;
+                if (err && ERROR_HINTS[err.code]) msg += \`（\${ERROR_HINTS[err.code]}）\`;
+                return msg;
+            };
+
+            // 读取 SSE 流, 逐条回调 data 事件
+            // 兼容 \\r\\n 换行与多行 data, 跳过 ": keepalive" 等注释; 带 id 的事件回调第二个参数为事件 id
+            const parseSSEFrame = (frame) => {
+                const data = [];
+                let id = null;
+                for (const line of frame.split('\\n')) {
+                    if (!line || line.startsWith(':')) continue;
+                    const colon = line.indexOf(':');
+                    const field = colon === -1 ? line : line.slice(0, colon);
+                    let value = colon === -1 ? '' : line.slice(colon + 1);
+                    if (value.startsWith(' ')) value = value.slice(1);
+                    if (field === 'data') data.push(value);
+                    else if (field === 'id') id = value;
+                }
+                return data.length ? { id, data: data.join('\\n') } : null;
+            };
+
+            const readSSE = async (res, onEvent) => {
+                const reader = res.body.getReader();
+                const decoder = new TextDecoder();
+                let buffer = '';
+
+                const emit = (frames) => {
+                    for (const frame of frames) {
+                        const parsed = parseSSEFrame(frame);
+                        if (!parsed) continue;
+
+                        let evt;
+                        try {
+                            evt = JSON.parse(parsed.data);
+                        } catch (e) {
+                            continue;
+                        }
+                        onEvent(evt, parsed.id);
+                    }
+                };
+
+                while (true) {
+                    const { done, value } = await reader.read();
+                    if (done) break;
+
+                    buffer += decoder.decode(value, { stream: true });
+                    // 末尾的 \\r 可能和下一块的 \\n 组成 \\r\\n, 先留着
+                    const keepCR = buffer.endsWith('\\r');
+                    const text = (keepCR ? buffer.slice(0, -1) : buffer).replace(/\\r\\n?/g, '\\n');
+                    const parts = text.split('\\n\\n');
+                    buffer = parts.pop() + (keepCR ? '\\r' : '');
+                    emit(parts);
+                }
+                emit([buffer.replace(/\\r\\n?/g, '\\n')]);
+            };
+
+            // 模型目录: 当前模式下的模型, 以及与所选比例 / 时长对应的模型
+            const RATIO_ORDER = ['landscape', 'portrait', 'square'];
+            const RATIO_LABELS = { landscape: '16:9', portrait: '9:16', square: '1:1' };
+            const modeModels = () => state.models.filter(m => m.mode === state.mode);
+            const selectedModel = () => modeModels().find(m => m.ratio === state.ratio && (m.mode !== 'video' || m.seconds === state.duration));
+            const availableRatios = () => [...new Set(modeModels().map(m => m.ratio))]
+                .sort((a, b) => RATIO_ORDER.indexOf(a) - RATIO_ORDER.indexOf(b));
+            const availableDurations = () => [...new Set(modeModels().filter(m => m.ratio === state.ratio).map(m => m.seconds))]
+                .filter(Boolean)
+                .sort((a, b) => a - b);
+
+            // 高级参数: 分镜对所有视频模型生效, 批量对所选比例 / 时长对应的模型生效
+            const paramModels = () => {
+                if (state.mode === 'storyboard') return videoModels();
+                if (state.batch.open) {
+                    return modeModels().filter(m => state.batch.ratios.includes(m.ratio) && (m.mode !== 'video' || state.batch.durations.includes(m.seconds)));
+                }
+                return [selectedModel()].filter(Boolean);
+            };
+            // 这些模型都支持的参数 { name: { type, label, ... } }
+            const paramSchema = (models) => models.length
+                ? Object.fromEntries(Object.entries(models[0].params || {}).filter(([name]) => models.every(m => m.params && m.params[name])))
+                : {};
+            // 要提交的参数, 没有时为 null; 整数格式不对时原样提交, 由服务端给出错误
+            const collectParams = (models) => {
+                const params = {};
+                for (const [name, spec] of Object.entries(paramSchema(models))) {
+                    const value = String(state.params[name] == null ? '' : state.params[name]).trim();
+                    if (!value) continue;
+                    params[name] = spec.type === 'integer' && /^\\d+$/.test(value) ? Number(value) : value;
+                }
+                return Object.keys(params).length ? params : null;
+            };
+            const paramField = (name, spec) => {
+                const field = document.createElement('label');
+                field.className = 'block space-y-1 text-[11px] text-zinc-500';
+                const title = document.createElement('span');
+                title.className = 'block';
+                title.textContent = \`\${spec.label || name} (\${name})\`;
+                let input;
+                if (spec.type === 'enum') {
+                    input = document.createElement('select');
+                    input.add(new Option('默认', ''));
+                    spec.values.forEach(v => input.add(new Option(v, v)));
+                } else if (spec.type === 'integer') {
+                    input = document.createElement('input');
+                    Object.assign(input, { type: 'number', step: 1, min: spec.min, max: spec.max, placeholder: name === 'seed' ? '随机' : '默认' });
+                } else {
+                    input = document.createElement('textarea');
+                    Object.assign(input, { rows: 2, maxLength: spec.maxLength, placeholder: '可选' });
+                }
+                input.className = 'w-full px-2 py-1 bg-zinc-900 border border-zinc-800 rounded-md text-xs text-zinc-300 focus:outline-none focus:border-indigo-500 resize-none';
+                input.value = state.params[name] == null ? '' : String(state.params[name]);
+                input.oninput = () => actions.setParam(name, input.value);
+                field.append(title, input);
+                return field;
+            };
+            const formatParams = (params) => Object.entries(params || {})
+                .map(([name, value]) => \`\${name}=\${typeof value === 'string' && value.length > 60 ? value.slice(0, 60) + '…' : value}\`)
+                .join(' · ');
+
+            const PHASE_LABELS = {
+                queued: '排队中', running: '生成中', finalizing: '处理结果', persisting: '保存中',
+                cached: '复用已有结果', attached: '已接入进行中的相同请求'
+            };
+            const formatEta = (seconds) => seconds < 60 ? \`\${seconds} 秒\` : \`\${Math.ceil(seconds / 60)} 分钟\`;
+
+            // 批量任务: 轮询 /api/batch/:id 的间隔, 以及导入列表的格式 (按扩展名)
+            const BATCH_POLL_MS = 2000;
+            const batchListFormat = (name) => /\\.csv$/i.test(name) ? 'csv' : /\\.jsonl$/i.test(name) ? 'jsonl' : 'lines';
+            const isJobDone = (job) => ['succeeded', 'failed', 'cancelled'].includes(job.status);
+            const batchJobLabel = (job) => {
+                if (job.status === 'succeeded') return job.cached ? '完成 (复用)' : '完成';
+                if (job.status === 'failed') return '失败';
+                if (job.status === 'cancelled') return '已取消';
+                if (job.status === 'running') return job.percent + '%';
+                return job.queue ? \`排队第 \${job.queue.position} 位\` : '等待中';
+            };
+
+            // 同一批次的记录排在一起 (位置取批次中最新的一条), 批次内按提交顺序
+            const groupBatches = (items) => {
+                const groups = new Map();
+                items.forEach(item => {
+                    const key = item.batch ? 'batch:' + item.batch.id : 'item:' + item.id;
+                    if (!groups.has(key)) groups.set(key, []);
+                    groups.get(key).push(item);
+                });
+                return [...groups.values()].flatMap(group => group[0].batch
+                    ? group.sort((a, b) => a.batch.index - b.batch.index)
+                    : group);
+            };
+
+            const isVideoItem = (item) => item.kind ? item.kind === 'video' : (item.url.match(/\\.(mp4|webm)/) || item.model.includes('video'));
+            const mediaFilename = (item) => \`sora-\${item.id}\${item.index ? '-' + (item.index + 1) : ''}.\${isVideoItem(item) ? 'mp4' : 'png'}\`;
+
+            // 记录中的结果媒体 (不含缩略图), 每项带上记录本身的字段便于复用 mediaUrl 等; 旧记录只有 url, 视为单个媒体
+            const itemAssets = (item) => {
+                const assets = (item.assets || []).filter(a => a.kind !== 'thumbnail');
+                if (!assets.length) return [item];
+                return assets.map((a, i) => ({ ...item, ...a, originalUrl: a.originalUrl || a.url, index: i }));
+            };
+            const itemPoster = (item) => {
+                const poster = (item.assets || []).find(a => a.kind === 'thumbnail');
+                return poster ? { ...item, ...poster, originalUrl: poster.originalUrl || poster.url } : null;
+            };
+
+            // 已转存到本站对象存储的地址 (/api/objects/...)
+            const storedPath = (url) => {
+                try {
+                    const u = new URL(url, location.href);
+                    return u.origin === location.origin && u.pathname.startsWith('/api/objects/') ? u.pathname : null;
+                } catch (e) {
+                    return null;
+                }
+            };
+
+            // 导入的记录可能带本地 Blob (ZIP 中的媒体), 按记录 id 和序号缓存 object URL
+            const blobUrls = new Map();
+            const blobUrl = (item) => {
+                const key = \`\${item.id}:\${item.index || 0}:\${item.kind || ''}\`;
+                if (!blobUrls.has(key)) blobUrls.set(key, URL.createObjectURL(item.blob));
+                return blobUrls.get(key);
+            };
+            const isHttpUrl = (url) => typeof url === 'string' && /^https?:\\/\\//i.test(url);
+
+            // 本站存储的对象直接访问, 其它外链通过 /api/media 代理, 绕开跨域下载限制和防盗链
+            // 记录中的地址不可信 (可能来自导入): 只使用 http(s) 和本站对象, 其它 (如 javascript:) 一律忽略
+            const mediaUrl = (item, download = false) => {
+                if (item.blob instanceof Blob) return blobUrl(item);
+                const stored = storedPath(item.url);
+                if (!stored && !isHttpUrl(item.url)) return '';
+                const params = new URLSearchParams({ name: mediaFilename(item) });
+                if (!stored) params.set('url', item.url);
+                if (download) params.set('download', '1');
+                return (stored || '/api/media') + '?' + params.toString();
+            };
+
+            // 代理或存储不可用 (如主机不在白名单、对象已过期) 时回退到上游原始地址
+            const fallbackToDirect = (mediaEl, item) => {
+                if (!mediaEl) return;
+                const direct = [item.originalUrl, item.url].find(isHttpUrl);
+                mediaEl.addEventListener('error', () => {
+                    if (direct && mediaEl.src !== direct) mediaEl.src = direct;
+                }, { once: true });
+            };
+
+            // 创建媒体元素, 地址只通过属性赋值, 不拼接进 HTML
+            const mediaElement = (view, className, { poster = null, video = {} } = {}) => {
+                const isVideo = isVideoItem(view);
+                const node = document.createElement(isVideo ? 'video' : 'img');
+                node.className = className;
+                node.src = mediaUrl(view);
+                if (isVideo) {
+                    if (poster) node.poster = mediaUrl(poster);
+                    Object.assign(node, video);
+                }
+                fallbackToDirect(node, view);
+                return node;
+            };
+
+            // 参考内容预处理: 裁剪框固定为所选比例, 输出缩放到最长边上限 (localStorage 中可配置)
+            const RATIO_VALUES = { landscape: 16 / 9, portrait: 9 / 16, square: 1 };
+            const REF_MAX_EDGE_DEFAULT = 1920;
+            const refMaxEdge = () => {
+                const saved = localStorage.getItem('sora_ref_max_edge');
+                return saved === null ? REF_MAX_EDGE_DEFAULT : Number(saved) || 0;
+            };
+            const fileEntry = (file, extra = {}) => ({ file, mimeType: file.type, preview: URL.createObjectURL(file), error: null, ...extra });
+            const renameFile = (name, suffix) => name.replace(/\\.[^.]*$/, '') + suffix;
+
+            // 读出图片 / 视频的原始尺寸; 浏览器无法解码时抛错, 由调用方改用原文件
+            const loadReferenceMedia = (file, kind) => new Promise((resolve, reject) => {
+                const url = URL.createObjectURL(file);
+                const fail = () => { URL.revokeObjectURL(url); reject(new Error('浏览器无法解码该文件')); };
+                if (kind === 'image') {
+                    const img = new Image();
+                    img.onload = () => resolve({ media: img, width: img.naturalWidth, height: img.naturalHeight, duration: 0 });
+                    img.onerror = fail;
+                    img.src = url;
+                    return;
+                }
+                const video = document.createElement('video');
+                Object.assign(video, { muted: true, playsInline: true, preload: 'auto' });
+                video.onloadeddata = () => resolve({ media: video, width: video.videoWidth, height: video.videoHeight, duration: video.duration || 0 });
+                video.onerror = fail;
+                video.src = url;
+            });
+
+            // 在 width x height 的画面中取比例为 ratio 的最大区域, 按 zoom 缩小; center 为中心点 (默认画面中心)
+            const fitCrop = (width, height, ratio, zoom, center = null) => {
+                const w = Math.min(width, height * ratio) * zoom;
+                const h = w / ratio;
+                const cx = center ? center.x : width / 2;
+                const cy = center ? center.y : height / 2;
+                return {
+                    x: Math.min(Math.max(cx - w / 2, 0), width - w),
+                    y: Math.min(Math.max(cy - h / 2, 0), height - h),
+                    w,
+                    h
+                };
+            };
+
+            // 输出尺寸: 最长边不超过上限, 视频编码要求偶数宽高
+            const outputSize = (crop, maxEdge, even = false) => {
+                const scale = maxEdge ? Math.min(1, maxEdge / Math.max(crop.w, crop.h)) : 1;
+                const round = (v) => even ? Math.max(2, Math.round(v / 2) * 2) : Math.max(1, Math.round(v));
+                return { width: round(crop.w * scale), height: round(crop.h * scale) };
+            };
+
+            const canvasToFile = (canvas, name, type) => new Promise((resolve, reject) => {
+                canvas.toBlob(blob => blob ? resolve(new File([blob], name, { type: blob.type })) : reject(new Error('图片编码失败')), type, 0.9);
+            });
+
+            const seekVideo = (video, time) => new Promise(resolve => {
+                video.addEventListener('seeked', resolve, { once: true });
+                video.currentTime = time;
+            });
+
+            // 实时播放 start - end 片段, 把裁剪、缩放后的画面录成 WebM (不含声音)
+            const recordVideoClip = async (video, crop, size, start, end, onProgress) => {
+                const type = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'].find(t => window.MediaRecorder && MediaRecorder.isTypeSupported(t));
+                if (!type) throw new Error('当前浏览器不支持剪辑视频, 可改用原文件');
+                const canvas = document.createElement('canvas');
+                canvas.width = size.width;
+                canvas.height = size.height;
+                const ctx = canvas.getContext('2d');
+                const recorder = new MediaRecorder(canvas.captureStream(30), { mimeType: type, videoBitsPerSecond: 8000000 });
+                const chunks = [];
+                recorder.ondataavailable = (e) => { if (e.data.size) chunks.push(e.data); };
+                const stopped = new Promise(resolve => { recorder.onstop = resolve; });
+
+                await seekVideo(video, start);
+                const draw = () => ctx.drawImage(video, crop.x, crop.y, crop.w, crop.h, 0, 0, size.width, size.height);
+                draw();
+                recorder.start(500);
+                await video.play();
+                await new Promise(resolve => {
+                    const tick = () => {
+                        draw();
+                        onProgress(Math.min(video.currentTime, end) - start);
+                        if (video.currentTime >= end || video.ended || video.paused) return resolve();
+                        requestAnimationFrame(tick);
+                    };
+                    tick();
+                });
+                video.pause();
+                recorder.stop();
+                await stopped;
+                return new Blob(chunks, { type: 'video/webm' });
+            };
+
+            // 分镜: 每个镜头按比例和时长对应一个视频模型, 依次生成
+            const STORYBOARD_MAX_SHOTS = 12;
+            const SHOT_STATUS_LABELS = { pending: '未生成', succeeded: '完成', failed: '失败', cancelled: '已取消' };
+            const videoModels = () => state.models.filter(m => m.mode === 'video');
+            const shotModel = (shot) => videoModels().find(m => m.ratio === shot.ratio && m.seconds === shot.seconds);
+            const newShot = () => ({ prompt: '', ratio: state.ratio, seconds: state.duration, chain: true });
+
+            // 分镜记录的派生字段: 已完成的镜头按顺序组成播放列表 (assets), 第一个作为封面; 有镜头未完成时为 partial
+            const storyboardRecord = (board) => {
+                const done = board.shots.filter(shot => shot.status === 'succeeded');
+                return {
+                    ...board,
+                    type: 'storyboard',
+                    status: done.length === board.shots.length ? 'succeeded' : 'partial',
+                    url: done.length ? done[0].url : '',
+                    originalUrl: done.length ? done[0].originalUrl : null,
+                    model: board.shots[0].model,
+                    prompt: board.shots.map(shot => shot.prompt).join(' / '),
+                    assets: done.map(shot => ({ url: shot.url, originalUrl: shot.originalUrl, kind: 'video' }))
+                };
+            };
+            // 已完成镜头在播放列表中的位置 -> 镜头序号
+            const doneShotIndexes = (board) => (board.shots || []).flatMap((shot, i) => shot.status === 'succeeded' ? [i] : []);
+
+            // 截取上一镜头视频的最后一帧, 裁剪到下一镜头的比例, 作为它的参考图
+            const captureLastFrame = async (view, ratio, name) => {
+                const video = document.createElement('video');
+                Object.assign(video, { muted: true, playsInline: true, preload: 'auto' });
+                await new Promise((resolve, reject) => {
+                    video.onloadeddata = resolve;
+                    video.onerror = () => reject(new Error('无法读取上一镜头的视频'));
+                    video.src = mediaUrl(view);
+                });
+                await seekVideo(video, Math.max(0, video.duration - 0.05));
+                const crop = fitCrop(video.videoWidth, video.videoHeight, RATIO_VALUES[ratio], 1);
+                const size = outputSize(crop, refMaxEdge());
+                const canvas = document.createElement('canvas');
+                canvas.width = size.width;
+                canvas.height = size.height;
+                canvas.getContext('2d').drawImage(video, crop.x, crop.y, crop.w, crop.h, 0, 0, size.width, size.height);
+                video.removeAttribute('src');
+                video.load();
+                return canvasToFile(canvas, name, 'image/png');
+            };
+
+            // 合并服务端历史和本地 IndexedDB 记录, 同一 id 以服务端为准 (标签等), 按时间倒序
+            const mergedHistory = async (query) => {
+                const byId = new Map();
+                (await (query ? db.query(query) : db.getAll())).forEach(item => byId.set(String(item.id), item));
+                state.serverHistory.forEach(item => {
+                    // 保留本地记录的 id 类型 (早期记录为数字), 否则无法按 id 删除本地记录
+                    const local = byId.get(String(item.id));
+                    byId.set(String(item.id), { ...local, ...item, id: local ? local.id : item.id });
+                });
+                return [...byId.values()].sort((a, b) => (b.timestamp || 0) - (a.timestamp || 0));
+            };
+
+            // 历史筛选: 提示词全文搜索 (空格分隔的多个词需同时命中), 模式、模型、比例、日期范围、只看收藏
+            const GALLERY_PAGE_SIZE = 24;
+            const itemRatio = (item) => ((item.model || '').match(/-(landscape|portrait|square)\\b/) || [])[1] || 'square';
+            const filterRange = () => ({
+                from: state.filters.from ? new Date(state.filters.from + 'T00:00:00').getTime() : 0,
+                to: state.filters.to ? new Date(state.filters.to + 'T23:59:59.999').getTime() : Infinity
+            });
+            const matchesFilters = (item) => {
+                const f = state.filters;
+                const { from, to } = filterRange();
+                const words = f.q.toLowerCase().split(/\\s+/).filter(Boolean);
+                const prompt = (item.prompt || '').toLowerCase();
+                return words.every(w => prompt.includes(w))
+                    && (!f.type || item.type === f.type)
+                    && (!f.model || item.model === f.model)
+                    && (!f.ratio || itemRatio(item) === f.ratio)
+                    && (item.timestamp || 0) >= from && (item.timestamp || 0) <= to
+                    && (!f.favorites || item.favorite === true);
+            };
+
+            // 标签只含文本, 用 textContent 渲染
+            const renderTags = (container, tags) => {
+                container.innerHTML = '';
+                (tags || []).forEach(tag => {
+                    const chip = document.createElement('span');
+                    chip.className = 'px-1.5 py-0.5 bg-zinc-800 rounded text-[10px] text-zinc-400';
+                    chip.textContent = '#' + tag;
+                    container.appendChild(chip);
+                });
+            };
+
+            // 删除本站存储的媒体对象 (含多图结果和缩略图), 失败不影响本地记录的删除
+            const removeStoredMedia = async (item) => {
+                const urls = item.assets ? item.assets.map(a => a.url) : [item.url];
+                await Promise.all(urls.map(storedPath).filter(Boolean).map(stored => fetch(stored, {
+                    method: 'DELETE'
+                }).catch(() => {})));
             };
     
-            // IndexedDB
-            const DB_CFG = { name: 'SoraWebDB', version: 1, store: 'generations' };
-            let dbInstance = null;
-    
-            const db = {
-                open: () => new Promise((resolve, reject) => {
-                    const req = indexedDB.open(DB_CFG.name, DB_CFG.version);
-                    req.onupgradeneeded = (e) => {
-                        const d = e.target.result;
-                        if (!d.objectStoreNames.contains(DB_CFG.store)) d.createObjectStore(DB_CFG.store, { keyPath: 'id' });
-                    };
-                    req.onsuccess = (e) => { dbInstance = e.target.result; resolve(); };
-                    req.onerror = reject;
-                }),
-                add: async (item) => {
-                    if(!dbInstance) await db.open();
-                    return new Promise((resolve, reject) => {
-                        const tx = dbInstance.transaction(DB_CFG.store, 'readwrite');
-                        tx.objectStore(DB_CFG.store).add(item);
-                        tx.oncomplete = resolve;
-                        tx.onerror = reject;
-                    });
-                },
-                getAll: async () => {
-                    if(!dbInstance) await db.open();
-                    return new Promise((resolve) => {
-                        const tx = dbInstance.transaction(DB_CFG.store, 'readonly');
-                        const req = tx.objectStore(DB_CFG.store).getAll();
-                        req.onsuccess = () => resolve(req.result.reverse());
+            // 最简 ZIP 读写: 导出只用存储 (不压缩) 方式, 媒体本身已压缩; 读取额外支持 deflate
+            const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+                let c = n;
+                for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+                return c >>> 0;
+            });
+            const crc32 = (bytes) => {
+                let crc = 0xFFFFFFFF;
+                for (let i = 0; i < bytes.length; i++) crc = CRC_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+                return (crc ^ 0xFFFFFFFF) >>> 0;
+            };
+            // files: [{ name, data: Uint8Array }]
+            const createZip = (files) => {
+                const encoder = new TextEncoder();
+                const parts = [];
+                const central = [];
+                let offset = 0;
+                files.forEach(({ name, data }) => {
+                    const nameBytes = encoder.encode(name);
+                    const crc = crc32(data);
+                    const local = new DataView(new ArrayBuffer(30));
+                    local.setUint32(0, 0x04034B50, true);
+                    local.setUint16(4, 20, true);
+                    local.setUint16(6, 0x0800, true); // 文件名为 UTF-8
+                    local.setUint16(12, 0x21, true); // 1980-01-01
+                    local.setUint32(14, crc, true);
+                    local.setUint32(18, data.length, true);
+                    local.setUint32(22, data.length, true);
+                    local.setUint16(26, nameBytes.length, true);
+                    parts.push(local, nameBytes, data);
+
+                    const entry = new DataView(new ArrayBuffer(46));
+                    entry.setUint32(0, 0x02014B50, true);
+                    entry.setUint16(4, 20, true);
+                    entry.setUint16(6, 20, true);
+                    entry.setUint16(8, 0x0800, true);
+                    entry.setUint16(14, 0x21, true);
+                    entry.setUint32(16, crc, true);
+                    entry.setUint32(20, data.length, true);
+                    entry.setUint32(24, data.length, true);
+                    entry.setUint16(28, nameBytes.length, true);
+                    entry.setUint32(42, offset, true);
+                    central.push(entry, nameBytes);
+                    offset += 30 + nameBytes.length + data.length;
+                });
+                const centralSize = central.reduce((n, p) => n + p.byteLength, 0);
+                const end = new DataView(new ArrayBuffer(22));
+                end.setUint32(0, 0x06054B50, true);
+                end.setUint16(8, files.length, true);
+                end.setUint16(10, files.length, true);
+                end.setUint32(12, centralSize, true);
+                end.setUint32(16, offset, true);
+                return new Blob([...parts, ...central, end], { type: 'application/zip' });
+            };
+            const readZip = async (blob) => {
+                const buf = new Uint8Array(await blob.arrayBuffer());
+                const view = new DataView(buf.buffer);
+                let eocd = -1;
+                for (let i = buf.length - 22; i >= Math.max(0, buf.length - 65557); i--) {
+                    if (view.getUint32(i, true) === 0x06054B50) { eocd = i; break; }
+                }
+                if (eocd < 0) throw new Error('不是有效的 ZIP 文件');
+                const decoder = new TextDecoder();
+                const entries = new Map();
+                let p = view.getUint32(eocd + 16, true);
+                for (let n = view.getUint16(eocd + 10, true); n > 0; n--) {
+                    if (view.getUint32(p, true) !== 0x02014B50) throw new Error('ZIP 目录已损坏');
+                    const nameLen = view.getUint16(p + 28, true);
+                    entries.set(decoder.decode(buf.subarray(p + 46, p + 46 + nameLen)), {
+                        method: view.getUint16(p + 10, true),
+                        size: view.getUint32(p + 20, true),
+                        offset: view.getUint32(p + 42, true)
                     });
-                },
-                clear: async () => {
-                    if(!dbInstance) await db.open();
-                    const tx = dbInstance.transaction(DB_CFG.store, 'readwrite');
-                    tx.objectStore(DB_CFG.store).clear();
-                    return new Promise(r => { tx.oncomplete = r; });
+                    p += 46 + nameLen + view.getUint16(p + 30, true) + view.getUint16(p + 32, true);
                 }
+                return {
+                    has: (name) => entries.has(name),
+                    read: async (name, type = '') => {
+                        const entry = entries.get(name);
+                        if (!entry) return null;
+                        const o = entry.offset;
+                        const start = o + 30 + view.getUint16(o + 26, true) + view.getUint16(o + 28, true);
+                        const data = buf.subarray(start, start + entry.size);
+                        if (entry.method === 0) return new Blob([data], { type });
+                        if (entry.method !== 8) throw new Error('不支持的 ZIP 压缩方式');
+                        const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+                        return new Blob([await new Response(stream).arrayBuffer()], { type });
+                    }
+                };
             };
-    
-            const el = (id) => document.getElementById(id);
-            const fileToBase64 = (file) => new Promise((resolve, reject) => {
-                const reader = new FileReader();
-                reader.onload = () => resolve(reader.result.split(',')[1]);
-                reader.onerror = reject;
-                reader.readAsDataURL(file);
-            });
-    
+
+            // 历史归档: JSON 清单, 可选打包为含媒体和参考图的 ZIP (媒体路径写在清单的 file 字段)
+            const ARCHIVE_FORMAT = 'soraweb-history';
+            const ARCHIVE_VERSION = 1;
+            const ARCHIVE_MAX_ITEMS = 5000;
+            const ASSET_KINDS = ['video', 'image', 'thumbnail'];
+            const MEDIA_EXT = { video: 'mp4', image: 'png', thumbnail: 'jpg' };
+            const safeName = (name) => String(name || 'file').replace(/[^\\w.-]+/g, '_').slice(-80);
+            const safeMime = (mime) => typeof mime === 'string' && /^(image|video)\\/[\\w.+-]+$/.test(mime) ? mime : '';
+            const safeUrl = (url) => isHttpUrl(url) && url.length <= 2048 ? url : '';
+            const safeText = (text, max) => typeof text === 'string' ? text.slice(0, max) : '';
+            // 高级参数只保留已知参数名的数字 / 字符串值, 再次提交时仍由服务端校验
+            const PARAM_NAMES = ['seed', 'negative_prompt', 'style', 'n', 'system'];
+            const safeParams = (params) => {
+                if (!params || typeof params !== 'object') return null;
+                const clean = {};
+                for (const name of PARAM_NAMES) {
+                    const value = params[name];
+                    if (Number.isInteger(value)) clean[name] = value;
+                    else if (typeof value === 'string' && value) clean[name] = value.slice(0, 2000);
+                }
+                return Object.keys(clean).length ? clean : null;
+            };
+            const archiveDate = () => new Date().toISOString().slice(0, 10).replace(/-/g, '');
+
+            // 清单中的内容全部视为不可信: 只保留白名单字段, 地址必须是 http(s), 媒体只从 ZIP 中按清单路径读取
+            const sanitizeImportedItem = async (raw, zip) => {
+                if (!raw || typeof raw !== 'object') return null;
+                const id = typeof raw.id === 'number' ? raw.id : String(raw.id || '');
+                if (!/^[\\w-]{1,100}$/.test(String(id))) return null;
+                const readFile = async (file, type) => zip && typeof file === 'string' && zip.has(file) ? zip.read(file, type) : null;
+
+                const assets = [];
+                for (const a of (Array.isArray(raw.assets) ? raw.assets : []).slice(0, 20)) {
+                    if (!a || !ASSET_KINDS.includes(a.kind)) continue;
+                    const mime = safeMime(a.mime);
+                    const asset = { url: safeUrl(a.url), kind: a.kind, mime, originalUrl: safeUrl(a.originalUrl) };
+                    const blob = await readFile(a.file, mime);
+                    if (blob) asset.blob = blob;
+                    if (asset.url || asset.blob) assets.push(asset);
+                }
+                const inputs = [];
+                for (const f of (Array.isArray(raw.inputs) ? raw.inputs : []).slice(0, 10)) {
+                    const mimeType = safeMime(f && f.mimeType);
+                    const blob = f && await readFile(f.file, mimeType);
+                    if (blob) inputs.push({ name: safeName(f.name), mimeType, blob });
+                }
+
+                const cancelled = raw.status === 'cancelled';
+                const url = safeUrl(raw.url);
+                if (!cancelled && !url && !assets.some(a => a.kind !== 'thumbnail')) return null;
+                const model = safeText(raw.model, 100);
+                const item = {
+                    id,
+                    url,
+                    originalUrl: safeUrl(raw.originalUrl),
+                    assets,
+                    inputs,
+                    prompt: safeText(raw.prompt, 4000),
+                    model,
+                    type: ['video', 'image', 'storyboard'].includes(raw.type) ? raw.type : (model.includes('video') ? 'video' : 'image'),
+                    tags: (Array.isArray(raw.tags) ? raw.tags : []).filter(t => typeof t === 'string').map(t => t.slice(0, 50)).slice(0, 20),
+                    favorite: raw.favorite === true,
+                    parentId: /^[\\w-]{1,100}$/.test(String(raw.parentId || '')) ? String(raw.parentId) : null,
+                    relation: raw.relation === 'remix' || raw.relation === 'extend' ? raw.relation : null,
+                    batch: raw.batch && /^[\\w-]{1,100}$/.test(String(raw.batch.id || ''))
+                        ? { id: String(raw.batch.id), index: Number(raw.batch.index) || 0, variant: Number(raw.batch.variant) || 0 }
+                        : null,
+                    params: safeParams(raw.params),
+                    cached: raw.cached === true,
+                    timestamp: Math.min(Number(raw.timestamp) || Date.now(), Date.now())
+                };
+                if (cancelled) item.status = 'cancelled';
+                if (item.type === 'storyboard') {
+                    item.status = raw.status === 'partial' ? 'partial' : 'succeeded';
+                    item.shots = (Array.isArray(raw.shots) ? raw.shots : []).slice(0, STORYBOARD_MAX_SHOTS).filter(shot => shot && typeof shot === 'object').map(shot => ({
+                        prompt: safeText(shot.prompt, 4000),
+                        model: safeText(shot.model, 100),
+                        ratio: RATIO_ORDER.includes(shot.ratio) ? shot.ratio : null,
+                        seconds: Number(shot.seconds) || null,
+                        chain: shot.chain === true,
+                        status: SHOT_STATUS_LABELS[shot.status] ? shot.status : 'pending',
+                        url: safeUrl(shot.url),
+                        originalUrl: safeUrl(shot.originalUrl),
+                        error: shot.error ? safeText(shot.error, 500) : null
+                    }));
+                    if (!item.shots.length) return null;
+                }
+                return item;
+            };
+
+            // 读取媒体内容: 导入的本地 Blob 直接使用, 其它经代理 / 存储下载, 失败时只保留地址
+            const fetchMediaBytes = async (view) => {
+                if (view.blob instanceof Blob) return new Uint8Array(await view.blob.arrayBuffer());
+                const src = mediaUrl(view);
+                if (!src) return null;
+                try {
+                    const res = await fetch(src);
+                    return res.ok ? new Uint8Array(await res.arrayBuffer()) : null;
+                } catch (e) {
+                    return null;
+                }
+            };
+
+            const saveBlob = (blob, filename) => {
+                const link = document.createElement('a');
+                link.href = URL.createObjectURL(blob);
+                link.download = filename;
+                document.body.appendChild(link);
+                link.click();
+                document.body.removeChild(link);
+                setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+            };
+
             const render = {
                 controls: () => {
-                    el('mode-video').className = \`flex-1 py-2.5 rounded-lg text-sm font-bold flex items-center justify-center gap-2 transition-all \${state.mode === 'video' ? 'btn-active' : 'btn-inactive'}\`;
-                    el('mode-image').className = \`flex-1 py-2.5 rounded-lg text-sm font-bold flex items-center justify-center gap-2 transition-all \${state.mode === 'image' ? 'btn-active' : 'btn-inactive'}\`;
-                    if(state.mode === 'image') el('duration-block').classList.add('opacity-30', 'pointer-events-none');
-                    else el('duration-block').classList.remove('opacity-30', 'pointer-events-none');
-    
-                    document.querySelectorAll('[data-ratio]').forEach(b => {
-                        b.className = \`opt-btn py-2 rounded-lg text-xs font-bold \${b.dataset.ratio === state.ratio ? 'opt-active' : ''}\`;
-                    });
-                    document.querySelectorAll('[data-duration]').forEach(b => {
-                        b.className = \`opt-btn flex-1 py-2 rounded-lg text-xs font-bold \${b.dataset.duration === state.duration ? 'opt-active' : ''}\`;
+                    // 目录变化后所选比例 / 时长可能已不存在, 回退到第一个可用的
+                    const ratios = availableRatios();
+                    if (ratios.length && !ratios.includes(state.ratio)) state.ratio = ratios[0];
+                    const durations = availableDurations();
+                    if (durations.length && !durations.includes(state.duration)) state.duration = durations[0];
+
+                    const storyboard = state.mode === 'storyboard';
+                    ['video', 'image', 'storyboard'].forEach(mode => {
+                        const unavailable = state.models.length > 0 && !state.models.some(m => m.mode === (mode === 'storyboard' ? 'video' : mode));
+                        el('mode-' + mode).className = \`flex-1 py-2.5 rounded-lg text-sm font-bold flex items-center justify-center gap-2 transition-all \${state.mode === mode ? 'btn-active' : 'btn-inactive'} \${unavailable ? 'opacity-30 pointer-events-none' : ''}\`;
                     });
+                    el('duration-block').classList.toggle('hidden', state.mode !== 'video' || durations.length === 0);
+                    // 分镜模式下比例、时长和提示词按镜头设置
+                    ['ratio-block', 'upload-block', 'prompt-block'].forEach(id => el(id).classList.toggle('hidden', storyboard));
+                    el('storyboard-block').classList.toggle('hidden', !storyboard);
+                    if (storyboard) render.storyboard();
+                    // 批量时比例和时长在批量设置中多选
+                    if (state.batch.open) ['ratio-block', 'duration-block'].forEach(id => el(id).classList.add('hidden'));
+                    render.batchPanel();
+                    render.advanced();
+
+                    el('ratio-options').innerHTML = ratios.map(r => \`<button onclick="app.setRatio('\${r}')" class="opt-btn py-2 rounded-lg text-xs font-bold \${r === state.ratio ? 'opt-active' : ''}">\${RATIO_LABELS[r] || r}</button>\`).join('');
+                    el('duration-options').innerHTML = durations.map(d => \`<button onclick="app.setDuration(\${d})" class="opt-btn flex-1 py-2 rounded-lg text-xs font-bold \${d === state.duration ? 'opt-active' : ''}">\${d}s</button>\`).join('');
+
+                    const hint = el('models-hint');
+                    hint.textContent = state.modelsError || (ratios.length || storyboard ? '' : '当前模式没有可用的模型');
+                    hint.classList.toggle('hidden', !hint.textContent);
+
+                    // 参考文件类型随模型能力变化
+                    const model = selectedModel();
+                    el('file-upload').accept = model ? model.inputs.map(k => k + '/*').join(',') : 'image/*,video/*';
                 },
                 files: () => {
                     const zone = el('file-previews');
@@ -526,16 +6044,56 @@ export default {
                         zone.classList.remove('hidden');
                         el('upload-zone').classList.add('hidden');
                         el('btn-clear-files').classList.remove('hidden');
-                        state.files.forEach(f => {
+                        state.files.forEach((f, index) => {
                             const div = document.createElement('div');
-                            div.className = 'relative aspect-square bg-zinc-800 rounded overflow-hidden border border-zinc-700';
+                            div.className = \`group relative aspect-square bg-zinc-800 rounded overflow-hidden border \${f.error ? 'border-red-500' : 'border-zinc-700'}\`;
                             if(f.mimeType.startsWith('video')) {
                                 div.innerHTML = \`<video src="\${f.preview}" class="w-full h-full object-cover opacity-60"></video><div class="absolute inset-0 flex items-center justify-center"><i data-lucide="video" class="w-4 h-4 text-white"></i></div>\`;
                             } else {
                                 div.innerHTML = \`<img src="\${f.preview}" class="w-full h-full object-cover">\`;
                             }
+                            // 本地文件点击可重新裁剪 (从原文件开始)
+                            if(!f.ref) {
+                                div.classList.add('cursor-pointer');
+                                div.title = '点击重新处理';
+                                div.onclick = () => actions.reeditFile(index);
+                            }
+                            // 引用的历史结果 (Remix / Extend) 不重新上传, 标出来源
+                            if(f.ref) {
+                                const badge = document.createElement('div');
+                                badge.className = 'absolute top-0.5 left-0.5 px-1 bg-indigo-600/90 rounded text-[9px] text-white';
+                                badge.textContent = state.lineage && state.lineage.relation === 'extend' ? 'Extend' : 'Remix';
+                                div.appendChild(badge);
+                            }
+                            // 处理后的尺寸 / 片段
+                            if(f.info && !f.error) {
+                                const info = document.createElement('div');
+                                info.className = 'absolute inset-x-0 bottom-0 px-1 bg-black/60 text-[9px] text-zinc-300 truncate';
+                                info.textContent = f.info;
+                                div.appendChild(info);
+                            }
+                            // 服务端校验失败的文件, 在预览上标出原因
+                            if(f.error) {
+                                const tip = document.createElement('div');
+                                tip.className = 'absolute inset-x-0 bottom-0 p-1 bg-red-600/90 text-[9px] leading-tight text-white';
+                                tip.textContent = f.error;
+                                div.title = f.error;
+                                div.appendChild(tip);
+                            }
+                            const remove = document.createElement('button');
+                            remove.className = 'absolute top-0.5 right-0.5 w-4 h-4 flex items-center justify-center bg-black/70 rounded-full text-[10px] text-white opacity-0 group-hover:opacity-100 hover:bg-red-600 transition-opacity';
+                            remove.textContent = '×';
+                            remove.title = '移除';
+                            remove.onclick = (e) => { e.stopPropagation(); actions.removeFile(index); };
+                            div.appendChild(remove);
                             zone.appendChild(div);
                         });
+                        const add = document.createElement('div');
+                        add.className = 'aspect-square border border-dashed border-zinc-700 rounded flex items-center justify-center text-zinc-500 hover:text-white hover:border-zinc-500 cursor-pointer transition-colors';
+                        add.innerHTML = '<i data-lucide="plus" class="w-4 h-4"></i>';
+                        add.title = '添加参考内容';
+                        add.onclick = () => el('file-upload').click();
+                        zone.appendChild(add);
                     } else {
                         zone.classList.add('hidden');
                         el('upload-zone').classList.remove('hidden');
@@ -543,253 +6101,1809 @@ export default {
                     }
                     lucide.createIcons();
                 },
+                // 批量设置: 比例 / 时长多选 (每个组合对应一个模型), 默认为侧边栏当前的选择
+                advanced: () => {
+                    const schema = paramSchema(paramModels());
+                    el('advanced-block').classList.toggle('hidden', !Object.keys(schema).length);
+                    el('advanced-fields').replaceChildren(...Object.entries(schema).map(([name, spec]) => paramField(name, spec)));
+                    render.paramCount();
+                },
+                paramCount: () => {
+                    const params = collectParams(paramModels());
+                    el('advanced-count').textContent = params ? \`(\${Object.keys(params).length})\` : '';
+                },
+                batchPanel: () => {
+                    const batch = state.batch;
+                    el('batch-panel').classList.toggle('hidden', !batch.open);
+                    el('btn-batch').classList.toggle('text-indigo-300', batch.open);
+                    if (!batch.open) return;
+
+                    const ratios = availableRatios();
+                    const durations = [...new Set(modeModels().map(m => m.seconds))].filter(Boolean).sort((a, b) => a - b);
+                    batch.ratios = batch.ratios.filter(r => ratios.includes(r));
+                    if (!batch.ratios.length && ratios.length) batch.ratios = [ratios.includes(state.ratio) ? state.ratio : ratios[0]];
+                    batch.durations = batch.durations.filter(d => durations.includes(d));
+                    if (!batch.durations.length && durations.length) batch.durations = [durations.includes(state.duration) ? state.duration : durations[0]];
+
+                    const chip = (label, active, onclick) => {
+                        const btn = document.createElement('button');
+                        btn.className = \`opt-btn px-2 py-1 rounded-md font-bold \${active ? 'opt-active' : ''}\`;
+                        btn.textContent = label;
+                        btn.onclick = onclick;
+                        return btn;
+                    };
+                    el('batch-ratios').replaceChildren(...ratios.map(r =>
+                        chip(RATIO_LABELS[r] || r, batch.ratios.includes(r), () => actions.toggleBatchOption('ratios', r))));
+                    el('batch-durations-row').classList.toggle('hidden', state.mode !== 'video' || !durations.length);
+                    el('batch-durations').replaceChildren(...durations.map(d =>
+                        chip(d + 's', batch.durations.includes(d), () => actions.toggleBatchOption('durations', d))));
+
+                    el('batch-file-row').classList.toggle('hidden', !batch.list);
+                    el('batch-file-name').textContent = batch.list ? batch.list.name : '';
+                    el('batch-lines').disabled = !!batch.list;
+                    render.batchSummary();
+                },
+                batchSummary: () => {
+                    const batch = state.batch;
+                    const variants = Number(el('batch-variants').value) || 1;
+                    const specs = batch.ratios.length * (state.mode === 'video' ? batch.durations.length : 1);
+                    if (batch.list) {
+                        el('batch-summary').textContent = \`\${batch.list.name} 中的每个提示词 x \${specs} 个规格 x \${variants} 个变体\`;
+                        return;
+                    }
+                    const prompts = el('batch-lines').checked
+                        ? el('prompt-in').value.split('\\n').filter(line => line.trim()).length
+                        : 1;
+                    el('batch-summary').textContent = \`共 \${prompts * specs * variants} 个任务 (\${prompts} 个提示词 x \${specs} 个规格 x \${variants} 个变体)\`;
+                },
+                // 进行中的批次: 每个任务一行 (提示词、模型、状态和进度), 失败原因显示在提示中
+                batches: () => {
+                    el('batch-jobs').replaceChildren(...state.batches.map(batch => {
+                        const jobs = batch.jobs || [];
+                        const done = jobs.filter(isJobDone).length;
+                        const box = document.createElement('div');
+                        box.className = 'p-3 bg-zinc-900 border border-zinc-800 rounded-xl space-y-2 text-[11px]';
+                        box.innerHTML = \`
+                            <div class="flex items-center justify-between text-zinc-500">
+                                <span class="font-bold">批量任务 \${done}/\${jobs.length}</span>
+                                <button data-cancel class="text-red-400 hover:text-red-300 flex items-center gap-1 \${done === jobs.length ? 'hidden' : ''}">
+                                    <i data-lucide="square" class="w-3 h-3"></i> 全部取消
+                                </button>
+                            </div>
+                            <div data-rows class="space-y-1.5 max-h-64 overflow-auto"></div>
+                        \`;
+                        box.querySelector('[data-cancel]').onclick = () => actions.cancelBatch(batch);
+                        box.querySelector('[data-rows]').replaceChildren(...jobs.map(job => {
+                            const row = document.createElement('div');
+                            row.innerHTML = \`
+                                <div class="flex items-center gap-2">
+                                    <span data-prompt class="flex-1 truncate text-zinc-300"></span>
+                                    <span data-model class="text-zinc-600 font-mono"></span>
+                                    <span data-status class="w-20 text-right \${job.status === 'failed' ? 'text-red-400' : job.status === 'succeeded' ? 'text-emerald-400' : 'text-zinc-500'}"></span>
+                                </div>
+                                <div class="w-full h-1 bg-zinc-800 rounded-full overflow-hidden mt-0.5">
+                                    <div class="h-full \${job.status === 'failed' ? 'bg-red-500' : 'bg-indigo-500'} transition-all" style="width:\${job.status === 'succeeded' ? 100 : Number(job.percent) || 0}%"></div>
+                                </div>
+                            \`;
+                            row.querySelector('[data-prompt]').textContent = job.prompt;
+                            row.querySelector('[data-model]').textContent = job.model;
+                            const status = row.querySelector('[data-status]');
+                            status.textContent = batchJobLabel(job);
+                            status.title = job.error ? describeError({ error: job.error, code: job.errorCode }) : '';
+                            return row;
+                        }));
+                        return box;
+                    }));
+                    lucide.createIcons();
+                },
+                // 分镜编辑: 每个镜头的提示词、比例、时长, 以及是否接续上一镜头
+                storyboard: () => {
+                    const shots = state.storyboard.shots;
+                    const models = videoModels();
+                    const ratios = [...new Set(models.map(m => m.ratio))].sort((a, b) => RATIO_ORDER.indexOf(a) - RATIO_ORDER.indexOf(b));
+                    el('storyboard-shots').replaceChildren(...shots.map((shot, i) => {
+                        if (ratios.length && !ratios.includes(shot.ratio)) shot.ratio = ratios[0];
+                        const durations = [...new Set(models.filter(m => m.ratio === shot.ratio).map(m => m.seconds))].filter(Boolean).sort((a, b) => a - b);
+                        if (durations.length && !durations.includes(shot.seconds)) shot.seconds = durations[0];
+
+                        const box = document.createElement('div');
+                        box.className = 'p-3 bg-zinc-900 border border-zinc-800 rounded-xl space-y-2';
+                        box.innerHTML = \`
+                            <div class="flex items-center justify-between text-[11px] text-zinc-500">
+                                <span class="font-bold">镜头 \${i + 1}</span>
+                                <button data-remove title="删除镜头" class="hover:text-red-400 \${shots.length < 2 ? 'hidden' : ''}"><i data-lucide="x" class="w-3 h-3"></i></button>
+                            </div>
+                            <textarea data-prompt rows="3" class="w-full p-2 bg-zinc-950 border border-zinc-800 rounded-lg text-xs focus:outline-none focus:border-indigo-500 resize-none placeholder:text-zinc-600" placeholder="描述这个镜头..."></textarea>
+                            <div class="flex items-center gap-2 text-[11px] text-zinc-500">
+                                <select data-ratio class="px-2 py-1 bg-zinc-950 border border-zinc-800 rounded-md text-zinc-300"></select>
+                                <select data-seconds class="px-2 py-1 bg-zinc-950 border border-zinc-800 rounded-md text-zinc-300"></select>
+                                <label title="截取上一镜头的最后一帧作为本镜头的参考图" class="ml-auto flex items-center gap-1 cursor-pointer select-none \${i === 0 ? 'hidden' : ''}">
+                                    <input type="checkbox" data-chain class="accent-indigo-500"> 接续上一镜头
+                                </label>
+                            </div>
+                        \`;
+                        const prompt = box.querySelector('[data-prompt]');
+                        prompt.value = shot.prompt;
+                        prompt.oninput = () => { shot.prompt = prompt.value; };
+                        const ratio = box.querySelector('[data-ratio]');
+                        ratios.forEach(r => ratio.add(new Option(RATIO_LABELS[r] || r, r, false, r === shot.ratio)));
+                        ratio.onchange = () => { shot.ratio = ratio.value; render.storyboard(); };
+                        const seconds = box.querySelector('[data-seconds]');
+                        durations.forEach(d => seconds.add(new Option(d + 's', d, false, d === shot.seconds)));
+                        seconds.onchange = () => { shot.seconds = Number(seconds.value); };
+                        const chain = box.querySelector('[data-chain]');
+                        chain.checked = shot.chain;
+                        chain.onchange = () => { shot.chain = chain.checked; };
+                        box.querySelector('[data-remove]').onclick = () => actions.removeShot(i);
+                        return box;
+                    }));
+                    el('btn-add-shot').classList.toggle('hidden', shots.length >= STORYBOARD_MAX_SHOTS);
+                    lucide.createIcons();
+                },
+                // 参考内容处理框: 媒体按比例缩放显示, 裁剪框以原始像素坐标保存
+                refEditor: () => {
+                    const ed = state.refEditor;
+                    el('ref-editor').classList.toggle('hidden', !ed);
+                    const stage = el('ref-stage');
+                    stage.querySelectorAll('img, video').forEach(node => { if (!ed || node !== ed.media) node.remove(); });
+                    if (!ed) return;
+
+                    ed.scale = Math.min(560 / ed.width, 360 / ed.height);
+                    stage.style.width = ed.width * ed.scale + 'px';
+                    stage.style.height = ed.height * ed.scale + 'px';
+                    if (!stage.contains(ed.media)) {
+                        ed.media.className = 'absolute inset-0 w-full h-full pointer-events-none';
+                        stage.insertBefore(ed.media, el('ref-crop'));
+                    }
+                    Object.assign(el('ref-crop').style, {
+                        left: ed.crop.x * ed.scale + 'px',
+                        top: ed.crop.y * ed.scale + 'px',
+                        width: ed.crop.w * ed.scale + 'px',
+                        height: ed.crop.h * ed.scale + 'px'
+                    });
+                    el('ref-zoom').value = String(Math.round(ed.zoom * 100));
+
+                    const isVideo = ed.kind === 'video';
+                    el('ref-video-controls').classList.toggle('hidden', !isVideo);
+                    if (isVideo) {
+                        el('ref-seek').max = String(ed.duration);
+                        el('ref-trim').textContent = \`\${ed.start.toFixed(1)}s - \${ed.end.toFixed(1)}s\`;
+                    }
+                    const size = outputSize(ed.crop, refMaxEdge(), isVideo);
+                    el('ref-editor-info').textContent = ed.status ||
+                        \`\${ed.width}×\${ed.height} → \${size.width}×\${size.height} (\${RATIO_LABELS[state.ratio]})\${isVideo ? ', 剪辑后不含声音' : ''}\`;
+                    document.querySelectorAll('#ref-editor .ref-busy').forEach(btn => { btn.disabled = ed.busy; });
+                },
+                // 分镜各镜头的状态, 失败原因显示在提示中
+                shots: (item) => {
+                    const box = el('lightbox-shots');
+                    box.classList.toggle('hidden', !item);
+                    if (!item) return box.replaceChildren();
+                    const colors = { succeeded: 'text-emerald-400', failed: 'text-red-400', cancelled: 'text-zinc-500', pending: 'text-zinc-500' };
+                    box.replaceChildren(...item.shots.map((shot, i) => {
+                        const chip = document.createElement('span');
+                        chip.className = \`px-2 py-0.5 bg-zinc-900 border border-zinc-800 rounded-full text-[11px] \${colors[shot.status] || colors.pending}\`;
+                        chip.textContent = \`镜头 \${i + 1} · \${SHOT_STATUS_LABELS[shot.status] || SHOT_STATUS_LABELS.pending}\`;
+                        chip.title = shot.error || shot.prompt;
+                        return chip;
+                    }));
+                },
+                // 来源链: 沿 parentId 向上追溯 (最多 20 层), 点击可查看对应记录; 来源已删除时给出提示
+                lineage: async (item) => {
+                    const box = el('lightbox-lineage');
+                    box.innerHTML = '';
+                    box.classList.toggle('hidden', !item.parentId);
+                    if (!item.parentId) return;
+                    const byId = new Map((await mergedHistory()).map(h => [String(h.id), h]));
+                    const chain = [];
+                    let node = item;
+                    while (node.parentId && chain.length < 20) {
+                        const parent = byId.get(String(node.parentId));
+                        chain.unshift({ relation: node.relation, parent });
+                        if (!parent) break;
+                        node = parent;
+                    }
+                    if (state.currentItem !== item) return;
+                    box.appendChild(document.createTextNode('来源:'));
+                    chain.forEach(({ relation, parent }) => {
+                        const link = document.createElement(parent ? 'button' : 'span');
+                        link.className = parent ? 'px-2 py-0.5 bg-zinc-800 rounded-full text-zinc-300 hover:bg-zinc-700 max-w-[160px] truncate' : 'px-2 py-0.5 text-zinc-600';
+                        link.textContent = parent ? (parent.prompt || parent.model || String(parent.id)) : '(已删除)';
+                        if (parent) {
+                            link.title = parent.prompt || '';
+                            link.onclick = () => app.openLightbox(parent);
+                        }
+                        box.appendChild(link);
+                        box.appendChild(document.createTextNode(relation === 'extend' ? '→ Extend →' : '→ Remix →'));
+                    });
+                    box.appendChild(document.createTextNode('当前'));
+                },
                 gallery: async () => {
-                    const items = await db.getAll();
+                    const f = state.filters;
+                    // 每次渲染只合并一次历史: 本地记录按索引缩小范围, 其余条件在内存中过滤
+                    const items = (await mergedHistory({ type: f.type, model: f.model, ...filterRange() })).filter(matchesFilters);
                     const container = el('gallery-container');
                     container.innerHTML = '';
+
+                    // 模型筛选项取自已有记录 (本地记录只读 model 索引)
+                    const models = [...new Set([...await db.models(), ...state.serverHistory.map(item => item.model)].filter(Boolean))].sort();
+                    const modelSelect = el('filter-model');
+                    modelSelect.innerHTML = '<option value="">全部模型</option>';
+                    models.forEach(m => modelSelect.add(new Option(m, m, false, m === f.model)));
+
+                    el('selection-bar').classList.toggle('hidden', !state.selecting);
+                    el('selection-count').textContent = state.selected.size;
+                    el('btn-select').textContent = state.selecting ? '完成' : '选择';
+
+                    // 分页: 先显示已加载的, 本地显示完后再从服务端取下一页
+                    el('history-more').classList.toggle('hidden', items.length <= state.visible && !state.historyCursor);
                     if(items.length === 0) {
+                        const hasAny = state.serverHistory.length > 0 || (await db.count()) > 0;
+                        el('empty-text').textContent = hasAny ? '没有符合条件的记录' : '暂无生成记录';
                         el('empty-state').classList.remove('hidden');
                         return;
                     }
-                    el('empty-state').classList.add('hidden');
-    
-                    items.forEach(item => {
-                        const isVideo = item.url.match(/\\.(mp4|webm)/) || item.model.includes('video');
-                        const card = document.createElement('div');
-                        card.className = 'group relative bg-zinc-900 border border-zinc-800 rounded-xl overflow-hidden cursor-pointer hover:border-zinc-600 transition-all duration-300';
-                        card.onclick = () => app.openLightbox(item);
-                        
-                        const media = isVideo 
-                            ? \`<video src="\${item.url}" class="w-full h-full object-cover" loop muted onmouseover="this.play()" onmouseout="this.pause()"></video><div class="absolute inset-0 flex items-center justify-center bg-black/20 group-hover:opacity-0"><div class="w-10 h-10 rounded-full bg-white/20 backdrop-blur-sm flex items-center justify-center"><i data-lucide="play" class="w-4 h-4 text-white fill-white"></i></div></div>\`
-                            : \`<img src="\${item.url}" class="w-full h-full object-cover">\`;
-    
-                        card.innerHTML = \`
-                            <div class="aspect-video w-full bg-zinc-950 relative">\${media}<div class="absolute bottom-2 right-2 px-1.5 py-0.5 bg-black/60 backdrop-blur-md rounded text-[10px] text-zinc-300 font-mono border border-white/10">\${item.model}</div></div>
-                            <div class="p-4">
-                                <p class="text-xs text-zinc-300 line-clamp-2 leading-relaxed">\${item.prompt || (item.type === 'video' ? 'Video Generation' : 'Image Generation')}</p>
-                                <div class="mt-3 text-[10px] text-zinc-500">\${new Date(item.timestamp).toLocaleTimeString()}</div>
-                            </div>
-                        \`;
-                        container.appendChild(card);
+                    el('empty-state').classList.add('hidden');
+    
+                    const grouped = groupBatches(items);
+                    grouped.slice(0, state.visible).forEach((item, i) => {
+                        // 批次的第一条前加标题: 结果数, 失败 / 取消的数量和重试
+                        if (item.batch && (i === 0 || !grouped[i - 1].batch || grouped[i - 1].batch.id !== item.batch.id)) {
+                            const members = grouped.filter(other => other.batch && other.batch.id === item.batch.id);
+                            const failed = members.filter(other => other.status === 'failed' || other.status === 'cancelled').length;
+                            const header = document.createElement('div');
+                            header.className = 'col-span-full flex items-center gap-3 text-xs text-zinc-500 border-b border-zinc-800 pb-2';
+                            header.innerHTML = \`
+                                <i data-lucide="layers" class="w-3.5 h-3.5"></i>
+                                <span>批量 · \${members.length} 个任务\${failed ? \` · <span class="text-red-400">\${failed} 个未完成</span>\` : ''}</span>
+                                \${failed ? '<button data-retry class="ml-auto text-indigo-300 hover:text-white flex items-center gap-1"><i data-lucide="rotate-cw" class="w-3 h-3"></i> 重试未完成的任务</button>' : ''}
+                            \`;
+                            if (failed) header.querySelector('[data-retry]').onclick = () => app.retryBatch(item.batch.id);
+                            container.appendChild(header);
+                        }
+
+                        const poster = itemPoster(item);
+                        const assets = itemAssets(item);
+                        const primary = assets[0];
+                        const failed = item.status === 'failed';
+                        // 已取消或失败的任务没有媒体
+                        const cancelled = item.status === 'cancelled' || failed;
+                        const board = item.type === 'storyboard';
+                        const card = document.createElement('div');
+                        const selected = state.selected.has(String(item.id));
+                        card.className = \`group relative bg-zinc-900 border rounded-xl overflow-hidden cursor-pointer hover:border-zinc-600 transition-all duration-300 \${selected ? 'border-indigo-500' : 'border-zinc-800'}\`;
+                        // 选择模式下点击切换选中; 已取消的任务没有媒体, 点击时把提示词填回输入框
+                        card.onclick = state.selecting
+                            ? () => app.toggleSelect(item)
+                            : cancelled
+                            ? () => { el('prompt-in').value = item.prompt || ''; el('prompt-in').focus(); }
+                            : () => app.openLightbox(item);
+
+                        const controls = state.selecting
+                            ? \`<div class="absolute top-2 left-2 w-5 h-5 rounded border flex items-center justify-center \${selected ? 'bg-indigo-500 border-indigo-500' : 'bg-black/40 border-white/40'}">\${selected ? '<i data-lucide="check" class="w-3 h-3 text-white"></i>' : ''}</div>\`
+                            : \`<div class="absolute top-2 left-2 flex gap-1">
+                                <button data-action="favorite" title="收藏" class="w-7 h-7 rounded-full bg-black/50 backdrop-blur-sm flex items-center justify-center \${item.favorite ? 'text-yellow-400' : 'text-zinc-300 opacity-0 group-hover:opacity-100'}"><i data-lucide="star" class="w-3.5 h-3.5 \${item.favorite ? 'fill-yellow-400' : ''}"></i></button>
+                                <button data-action="delete" title="删除" class="w-7 h-7 rounded-full bg-black/50 backdrop-blur-sm flex items-center justify-center text-zinc-300 hover:text-red-400 opacity-0 group-hover:opacity-100"><i data-lucide="trash-2" class="w-3.5 h-3.5"></i></button>
+                                \${cancelled || board ? '' : '<button data-action="remix" title="Remix" class="w-7 h-7 rounded-full bg-black/50 backdrop-blur-sm flex items-center justify-center text-zinc-300 hover:text-white opacity-0 group-hover:opacity-100"><i data-lucide="shuffle" class="w-3.5 h-3.5"></i></button>'}
+                                \${!cancelled && !board && isVideoItem(primary) ? '<button data-action="extend" title="Extend" class="w-7 h-7 rounded-full bg-black/50 backdrop-blur-sm flex items-center justify-center text-zinc-300 hover:text-white opacity-0 group-hover:opacity-100"><i data-lucide="fast-forward" class="w-3.5 h-3.5"></i></button>' : ''}
+                            </div>\`;
+
+                        // 骨架中不含记录内容; 提示词、模型、地址等 (可能来自导入, 不可信) 通过 textContent / 属性填入
+                        card.innerHTML = \`
+                            <div data-media class="aspect-video w-full bg-zinc-950 relative">\${controls}<div data-model class="absolute bottom-2 right-2 px-1.5 py-0.5 bg-black/60 backdrop-blur-md rounded text-[10px] text-zinc-300 font-mono border border-white/10"></div></div>
+                            <div class="p-4">
+                                <p data-prompt class="text-xs text-zinc-300 line-clamp-2 leading-relaxed"></p>
+                                <div class="mt-3 flex items-center justify-between gap-2">
+                                    <span class="flex items-center gap-1.5">
+                                        <span data-time class="text-[10px] text-zinc-500"></span>
+                                        \${item.cached ? '<span title="相同请求复用的结果" class="px-1 py-0.5 bg-emerald-500/10 text-emerald-400 rounded text-[9px]">复用</span>' : ''}
+                                        \${board ? \`<span title="已完成的镜头 / 全部镜头" class="px-1 py-0.5 bg-indigo-500/10 text-indigo-300 rounded text-[9px]">分镜 \${doneShotIndexes(item).length}/\${(item.shots || []).length}</span>\` : ''}
+                                    </span>
+                                    <span data-tags class="flex flex-wrap gap-1 justify-end"></span>
+                                </div>
+                            </div>
+                        \`;
+                        card.querySelector('[data-model]').textContent = item.model || '';
+                        card.querySelector('[data-prompt]').textContent = item.prompt || (item.type === 'video' ? 'Video Generation' : 'Image Generation');
+                        card.querySelector('[data-time]').textContent = new Date(item.timestamp).toLocaleString();
+                        renderTags(card.querySelector('[data-tags]'), item.tags);
+
+                        // 媒体放在操作按钮之前, 保持层叠顺序
+                        const mediaBox = card.querySelector('[data-media]');
+                        const insertMedia = (node) => mediaBox.insertBefore(node, mediaBox.firstChild);
+                        if (cancelled) {
+                            mediaBox.insertAdjacentHTML('afterbegin', \`<div class="absolute inset-0 flex flex-col items-center justify-center gap-2 text-zinc-600"><i data-lucide="\${failed ? 'alert-circle' : 'circle-slash'}" class="w-6 h-6"></i><span class="text-xs">\${failed ? '生成失败' : '已取消'}</span></div>\`);
+                            if (failed) mediaBox.title = item.error || '';
+                        } else if (board && !item.url) {
+                            mediaBox.insertAdjacentHTML('afterbegin', '<div class="absolute inset-0 flex flex-col items-center justify-center gap-2 text-zinc-600"><i data-lucide="film" class="w-6 h-6"></i><span class="text-xs">还没有完成的镜头</span></div>');
+                        } else if (assets.length > 1) {
+                            // 多张结果显示为组图 (最多 4 格), 点击进入灯箱逐张查看
+                            mediaBox.insertAdjacentHTML('afterbegin', \`<div class="absolute top-2 right-2 px-1.5 py-0.5 bg-black/60 backdrop-blur-md rounded text-[10px] text-zinc-300 flex items-center gap-1 border border-white/10"><i data-lucide="layers" class="w-3 h-3"></i>\${assets.length}</div>\`);
+                            const grid = document.createElement('div');
+                            grid.className = 'grid grid-cols-2 gap-0.5 w-full h-full';
+                            assets.slice(0, 4).forEach(a => grid.appendChild(
+                                mediaElement(a, \`w-full h-full object-cover \${assets.length === 2 ? 'row-span-2' : ''}\`, { video: { muted: true } })
+                            ));
+                            insertMedia(grid);
+                        } else if (isVideoItem(primary)) {
+                            mediaBox.insertAdjacentHTML('afterbegin', '<div class="absolute inset-0 flex items-center justify-center bg-black/20 group-hover:opacity-0"><div class="w-10 h-10 rounded-full bg-white/20 backdrop-blur-sm flex items-center justify-center"><i data-lucide="play" class="w-4 h-4 text-white fill-white"></i></div></div>');
+                            const video = mediaElement(primary, 'w-full h-full object-cover', { poster, video: { loop: true, muted: true } });
+                            video.onmouseover = () => video.play();
+                            video.onmouseout = () => video.pause();
+                            insertMedia(video);
+                        } else {
+                            insertMedia(mediaElement(primary, 'w-full h-full object-cover'));
+                        }
+
+                        card.querySelectorAll('[data-action]').forEach(btn => {
+                            btn.onclick = (e) => {
+                                e.stopPropagation();
+                                const action = btn.dataset.action;
+                                if (action === 'favorite') app.toggleFavorite(item);
+                                else if (action === 'remix' || action === 'extend') app.remix(item, action);
+                                else app.deleteItems([item]);
+                            };
+                        });
+                        container.appendChild(card);
+                    });
+                    lucide.createIcons();
+                },
+                loading: () => {
+                    const btn = el('btn-generate');
+                    if(state.loading) {
+                        btn.disabled = true;
+                        btn.innerHTML = '<div class="loader"></div>';
+                        btn.classList.add('bg-zinc-800', 'text-zinc-500', 'cursor-not-allowed');
+                        btn.classList.remove('bg-white', 'text-black', 'hover:bg-indigo-50');
+                    } else {
+                        btn.disabled = false;
+                        btn.innerHTML = '<i data-lucide="wand-2" class="w-4 h-4"></i> 生成内容';
+                        btn.classList.remove('bg-zinc-800', 'text-zinc-500', 'cursor-not-allowed');
+                        btn.classList.add('bg-white', 'text-black', 'hover:bg-indigo-50');
+                        lucide.createIcons();
+                    }
+                    const cancelBtn = el('btn-cancel');
+                    cancelBtn.disabled = false;
+                    cancelBtn.classList.toggle('hidden', !(state.loading && state.currentJob));
+                    render.progress();
+                },
+                progress: () => {
+                    const wrapper = el('progress-wrapper');
+                    const bar = el('progress-bar');
+                    const text = el('progress-text');
+                    if (!wrapper || !bar || !text) return;
+    
+                    if (state.loading || state.progress > 0) {
+                        wrapper.classList.remove('hidden');
+                        bar.style.width = state.progress + '%';
+                        text.textContent = state.progress + '%';
+                    } else {
+                        wrapper.classList.add('hidden');
+                        bar.style.width = '0%';
+                        text.textContent = '0%';
+                    }
+                    const queue = state.phase === 'queued' && state.queue
+                        ? \` (第 \${state.queue.position} 位, 预计 \${formatEta(state.queue.eta)})\`
+                        : '';
+                    const shot = state.shot ? \`镜头 \${state.shot.index + 1}/\${state.shot.total} \` : '';
+                    el('progress-phase').textContent = state.phase || shot ? '· ' + shot + (PHASE_LABELS[state.phase] || state.phase || '') + queue : '';
+                    el('progress-log-box').classList.toggle('hidden', !state.log);
+                },
+                // 追加上游的生成日志 (纯文本, 不解析 HTML)
+                log: (text) => {
+                    const box = el('progress-log');
+                    const atBottom = box.scrollTop + box.clientHeight >= box.scrollHeight - 4;
+                    state.log += text;
+                    box.textContent = state.log;
+                    if (atBottom) box.scrollTop = box.scrollHeight;
+                    el('progress-log-box').classList.remove('hidden');
+                },
+                // 预设库: 分类标签和当前分类下的预设, 自己保存的预设可删除
+                presets: () => {
+                    const all = state.presets.concat(state.teamPresets);
+                    const categories = Object.keys(PRESET_CATEGORIES).filter(c => c !== 'team' || state.teamPresets.length);
+                    const tabs = el('preset-tabs');
+                    tabs.replaceChildren(...categories.map(category => {
+                        const tab = document.createElement('button');
+                        tab.className = 'px-2 py-1 rounded-md text-[11px] transition-colors ' + (state.presetTab === category ? 'bg-zinc-700 text-white' : 'text-zinc-500 hover:text-white');
+                        tab.textContent = PRESET_CATEGORIES[category];
+                        tab.onclick = () => { state.presetTab = category; render.presets(); };
+                        return tab;
+                    }));
+                    const list = el('preset-list');
+                    const items = all.filter(p => state.presetTab === 'team' ? p.source === 'team' : p.source !== 'team' && p.category === state.presetTab);
+                    list.replaceChildren(...items.map(preset => {
+                        const chip = document.createElement('span');
+                        chip.className = 'inline-flex items-center gap-1 px-2 py-1 bg-zinc-800 border border-zinc-700 rounded-md text-[11px] text-zinc-300 hover:border-indigo-500 cursor-pointer';
+                        chip.title = preset.text;
+                        chip.textContent = preset.name;
+                        chip.onclick = () => actions.insertPreset(preset);
+                        if (preset.source !== 'team') {
+                            const remove = document.createElement('button');
+                            remove.className = 'text-zinc-500 hover:text-red-400';
+                            remove.textContent = '×';
+                            remove.title = '删除预设';
+                            remove.onclick = (e) => { e.stopPropagation(); actions.deletePreset(preset); };
+                            chip.appendChild(remove);
+                        }
+                        return chip;
+                    }));
+                    if (!items.length) {
+                        const empty = document.createElement('span');
+                        empty.className = 'text-[11px] text-zinc-600';
+                        empty.textContent = state.presetTab === 'custom' ? '选中提示词中的文字后点击 "存为预设"' : '暂无预设';
+                        list.appendChild(empty);
+                    }
+                },
+                // 润色结果, 对比模式下标出增删的词
+                enhance: () => {
+                    const enhance = state.enhance;
+                    el('btn-enhance').classList.toggle('hidden', !state.enhanceAvailable);
+                    el('enhance-panel').classList.toggle('hidden', !enhance);
+                    if (!enhance) return;
+                    el('enhance-status').textContent = enhance.done ? '润色完成, 采用后替换当前提示词' : '润色中...';
+                    el('btn-enhance-accept').disabled = !enhance.done;
+                    el('btn-enhance-diff').classList.toggle('hidden', !enhance.done);
+                    el('btn-enhance-diff').textContent = enhance.diff ? '只看结果' : '对比原稿';
+                    const box = el('enhance-text');
+                    if (!(enhance.done && enhance.diff)) {
+                        box.textContent = enhance.text;
+                        return;
+                    }
+                    box.replaceChildren(...diffWords(enhance.draft, enhance.text).map(([op, text]) => {
+                        const span = document.createElement(op === '+' ? 'ins' : op === '-' ? 'del' : 'span');
+                        if (op === '+') span.className = 'no-underline bg-emerald-500/20 text-emerald-300';
+                        if (op === '-') span.className = 'bg-red-500/20 text-red-300 line-through';
+                        span.textContent = text;
+                        return span;
+                    }));
+                },
+                // 登录框和顶栏的用户信息
+                session: () => {
+                    const session = state.session || {};
+                    const locked = session.required && !session.authenticated;
+                    el('pwd-modal').classList.toggle('hidden', !locked);
+                    el('session-info').classList.toggle('hidden', !session.required || locked);
+                    el('session-user').textContent = session.user || '';
+                    if (locked) {
+                        render.loginError(null);
+                        el('pwd-input').focus();
+                    }
+                },
+                loginError: (msg) => {
+                    el('pwd-error').textContent = msg || '';
+                    el('pwd-error').classList.toggle('hidden', !msg);
+                },
+                error: (msg) => {
+                    const box = el('err-msg');
+                    if(msg) {
+                        box.classList.remove('hidden');
+                        el('err-text').textContent = msg;
+                    } else {
+                        box.classList.add('hidden');
+                    }
+                }
+            };
+    
+            const actions = {
+                // 先检查登录状态: 未登录时立即弹出登录框, 登录后再加载模型、历史和未完成的任务
+                init: async () => {
+                    render.controls();
+                    render.gallery();
+                    render.progress();
+                    lucide.createIcons();
+                    el('ref-max-edge').value = String(refMaxEdge());
+                    // 旧版本保存在本地的访问码不再使用
+                    localStorage.removeItem('sora_access_code');
+                    try {
+                        const res = await fetch('/api/session');
+                        state.session = await res.json();
+                    } catch (e) {
+                        state.session = { authenticated: false, required: true, user: null };
+                    }
+                    render.session();
+                    if (state.session.authenticated) actions.start();
+                },
+                start: () => {
+                    actions.loadModels();
+                    actions.loadPresets();
+                    actions.syncLocalHistory().then(() => actions.loadHistory());
+                    actions.resumeJobs();
+                },
+                loadModels: async () => {
+                    try {
+                        const res = await fetch('/api/models');
+                        const data = await res.json().catch(() => ({}));
+                        if (!res.ok) {
+                            throw new Error(res.status === 401 ? '登录后加载可用模型' : describeError(data));
+                        }
+                        state.models = data.models || [];
+                        state.modelsError = null;
+                    } catch (e) {
+                        state.models = [];
+                        state.modelsError = e.message;
+                    }
+                    render.controls();
+                },
+                setFilter: (key, value) => {
+                    state.filters[key] = value;
+                    state.visible = GALLERY_PAGE_SIZE;
+                    render.gallery();
+                },
+                loadMore: async () => {
+                    const items = (await mergedHistory()).filter(matchesFilters);
+                    state.visible += GALLERY_PAGE_SIZE;
+                    if (items.length < state.visible && state.historyCursor) await actions.loadHistory(true);
+                    else render.gallery();
+                },
+                toggleSelecting: () => {
+                    state.selecting = !state.selecting;
+                    state.selected.clear();
+                    render.gallery();
+                },
+                toggleSelect: (item) => {
+                    const id = String(item.id);
+                    if (state.selected.has(id)) state.selected.delete(id);
+                    else state.selected.add(id);
+                    render.gallery();
+                },
+                deleteSelected: async () => {
+                    const items = (await mergedHistory()).filter(item => state.selected.has(String(item.id)));
+                    if (items.length === 0) return;
+                    if (await actions.deleteItems(items)) {
+                        state.selecting = false;
+                        state.selected.clear();
+                        render.gallery();
+                    }
+                },
+                // 删除记录: 本站存储的媒体、服务端历史和本地记录
+                deleteItems: async (items) => {
+                    if (!confirm(items.length > 1 ? \`确定删除选中的 \${items.length} 条记录?\` : '确定删除这条记录?')) return false;
+                    await Promise.all(items.map(async (item) => {
+                        await removeStoredMedia(item);
+                        await fetch(\`/api/history/\${encodeURIComponent(item.id)}\`, { method: 'DELETE' }).catch(() => {});
+                    }));
+                    const ids = new Set(items.map(item => String(item.id)));
+                    await db.delete(items.map(item => item.id));
+                    state.serverHistory = state.serverHistory.filter(h => !ids.has(String(h.id)));
+                    await render.gallery();
+                    return true;
+                },
+                // 收藏存本地, 并同步到服务端历史 (记录不在服务端时忽略)
+                toggleFavorite: async (item) => {
+                    const favorite = !item.favorite;
+                    await db.put({ ...item, favorite });
+                    state.serverHistory = state.serverHistory.map(h => String(h.id) === String(item.id) ? { ...h, favorite } : h);
+                    await fetch(\`/api/history/\${encodeURIComponent(item.id)}\`, {
+                        method: 'PATCH',
+                        headers: { 'Content-Type': 'application/json' },
+                        body: JSON.stringify({ favorite })
+                    }).catch(() => {});
+                    await render.gallery();
+                },
+                // 本地预设和团队预设; 团队预设不可用时只显示本地的
+                loadPresets: async () => {
+                    state.presets = (await db.getPresets()).map(p => ({ ...p, source: 'local' }));
+                    try {
+                        const res = await fetch('/api/presets');
+                        if (res.ok) {
+                            const data = await res.json();
+                            state.teamPresets = (data.presets || []).map(p => ({ ...p, source: 'team' }));
+                            state.enhanceAvailable = data.enhance !== false;
+                        }
+                    } catch (e) {}
+                    render.presets();
+                    render.enhance();
+                },
+                togglePresets: () => {
+                    el('preset-panel').classList.toggle('hidden');
+                    render.presets();
+                },
+                // 插入到光标处 (替换选中的文字), 逐个询问变量的值; 取消则不插入, 留空则保留占位符
+                insertPreset: (preset) => {
+                    const values = {};
+                    for (const [, name] of preset.text.matchAll(PRESET_VAR_RE)) {
+                        if (name in values) continue;
+                        const value = prompt(\`填写 {\${name}}\`, '');
+                        if (value === null) return;
+                        values[name] = value.trim();
+                    }
+                    const snippet = preset.text.replace(PRESET_VAR_RE, (match, name) => values[name] || match);
+                    const input = el('prompt-in');
+                    const start = input.selectionStart;
+                    const before = input.value.slice(0, start);
+                    const after = input.value.slice(input.selectionEnd);
+                    const sep = before && !/[\\s,，。.]$/.test(before) ? ', ' : '';
+                    input.value = before + sep + snippet + after;
+                    input.focus();
+                    input.selectionStart = input.selectionEnd = (before + sep + snippet).length;
+                },
+                savePreset: async () => {
+                    const input = el('prompt-in');
+                    const text = (input.value.slice(input.selectionStart, input.selectionEnd) || input.value).trim();
+                    if (!text) {
+                        render.error('请先输入或选中要保存的提示词');
+                        return;
+                    }
+                    const name = prompt('预设名称 (可在文字中用 {subject} 等变量)', text.slice(0, 12));
+                    if (name === null || !name.trim()) return;
+                    await db.putPreset({ id: 'custom-' + Date.now(), category: 'custom', name: name.trim().slice(0, 40), text, order: Date.now() });
+                    state.presetTab = 'custom';
+                    el('preset-panel').classList.remove('hidden');
+                    await actions.loadPresets();
+                },
+                deletePreset: async (preset) => {
+                    if (!confirm(\`确定删除预设 "\${preset.name}"?\`)) return;
+                    await db.deletePreset(preset.id);
+                    await actions.loadPresets();
+                },
+                // 润色提示词: 流式显示改写结果, 用户确认后才替换
+                enhancePrompt: async () => {
+                    const draft = el('prompt-in').value.trim();
+                    if (!draft) {
+                        render.error('请先输入提示词草稿');
+                        return;
+                    }
+                    if (state.enhance && state.enhance.abort) state.enhance.abort.abort();
+                    const enhance = { draft, text: '', done: false, diff: false, abort: new AbortController() };
+                    state.enhance = enhance;
+                    render.error(null);
+                    render.enhance();
+                    let failure = null;
+                    try {
+                        const res = await fetch('/api/enhance-prompt', {
+                            method: 'POST',
+                            headers: { 'Content-Type': 'application/json' },
+                            body: JSON.stringify({ prompt: draft, mode: state.mode }),
+                            signal: enhance.abort.signal
+                        });
+                        if (!res.ok) {
+                            const data = await res.json().catch(() => ({}));
+                            if (res.status === 401) actions.requireLogin();
+                            throw new Error(describeError(data));
+                        }
+                        await readSSE(res, (evt) => {
+                            if (evt.type === 'delta') enhance.text += evt.text;
+                            else if (evt.type === 'done') { enhance.text = evt.prompt; enhance.done = true; }
+                            else if (evt.type === 'error') failure = evt.message;
+                            if (state.enhance === enhance) render.enhance();
+                        });
+                        if (!enhance.done) throw new Error(failure || '润色中断, 请重试');
+                    } catch (e) {
+                        if (enhance.abort.signal.aborted || state.enhance !== enhance) return;
+                        state.enhance = null;
+                        render.enhance();
+                        render.error('提示词润色失败: ' + e.message);
+                    }
+                },
+                toggleEnhanceDiff: () => {
+                    if (!state.enhance) return;
+                    state.enhance.diff = !state.enhance.diff;
+                    render.enhance();
+                },
+                acceptEnhanced: () => {
+                    if (!state.enhance || !state.enhance.done) return;
+                    el('prompt-in').value = state.enhance.text;
+                    state.enhance = null;
+                    render.enhance();
+                },
+                discardEnhanced: () => {
+                    if (state.enhance) state.enhance.abort.abort();
+                    state.enhance = null;
+                    render.enhance();
+                },
+                // 服务端历史: more 为 true 时加载下一页, 否则从第一页重新加载
+                loadHistory: async (more = false) => {
+                    const params = new URLSearchParams({ limit: '50' });
+                    if (more && state.historyCursor) params.set('cursor', state.historyCursor);
+                    try {
+                        const res = await fetch('/api/history?' + params.toString());
+                        if (!res.ok) return;
+                        const data = await res.json();
+                        state.serverHistory = more ? state.serverHistory.concat(data.items || []) : (data.items || []);
+                        state.historyCursor = data.cursor || null;
+                    } catch (e) {
+                        return;
+                    }
+                    await render.gallery();
+                },
+                // 把本地已有的历史记录上传到服务端, 每个用户只做一次 (服务端按 id 去重)
+                syncLocalHistory: async () => {
+                    if (!state.session || !state.session.authenticated) return;
+                    const flag = 'sora_history_synced:' + state.session.user;
+                    if (localStorage.getItem(flag)) return;
+                    const items = await db.getAll();
+                    for (let i = 0; i < items.length; i += 100) {
+                        const res = await fetch('/api/history', {
+                            method: 'POST',
+                            headers: { 'Content-Type': 'application/json' },
+                            body: JSON.stringify({ items: items.slice(i, i + 100) })
+                        }).catch(() => null);
+                        if (!res || !res.ok) return;
+                    }
+                    localStorage.setItem(flag, '1');
+                },
+                setMode: (m) => {
+                    state.mode = m;
+                    state.files = [];
+                    state.lineage = null;
+                    if (m === 'storyboard' && !state.storyboard.shots.length) state.storyboard.shots = [newShot(), newShot()];
+                    render.files();
+                    render.controls();
+                },
+                addShot: () => {
+                    const shots = state.storyboard.shots;
+                    if (shots.length >= STORYBOARD_MAX_SHOTS) return;
+                    const last = shots[shots.length - 1];
+                    shots.push(last ? { ...newShot(), ratio: last.ratio, seconds: last.seconds } : newShot());
+                    render.storyboard();
+                },
+                removeShot: (index) => {
+                    state.storyboard.shots.splice(index, 1);
+                    render.storyboard();
+                },
+                // 创建分镜记录后依次生成各镜头; 全部完成后清空草稿
+                generateStoryboard: async () => {
+                    if (state.session && !state.session.authenticated) {
+                        render.session();
+                        return;
+                    }
+                    const shots = state.storyboard.shots;
+                    const invalid = shots.findIndex(shot => !shot.prompt.trim() || !shotModel(shot));
+                    if (!shots.length || invalid !== -1) {
+                        render.error(shots.length
+                            ? \`镜头 \${invalid + 1}: \${shots[invalid].prompt.trim() ? '没有对应比例和时长的模型' : '请输入提示词'}\`
+                            : '请添加镜头');
+                        return;
+                    }
+                    const board = storyboardRecord({
+                        id: 'sb-' + Date.now().toString(36) + Math.random().toString(36).slice(2, 8),
+                        shots: shots.map(shot => ({
+                            prompt: shot.prompt.trim(),
+                            model: shotModel(shot).id,
+                            ratio: shot.ratio,
+                            seconds: shot.seconds,
+                            chain: shot.chain,
+                            status: 'pending'
+                        })),
+                        params: collectParams(shots.map(shotModel)),
+                        tags: [],
+                        favorite: false,
+                        timestamp: Date.now()
                     });
-                    lucide.createIcons();
+                    await db.put(board);
+                    await render.gallery();
+                    if (await actions.runStoryboard(board.id)) {
+                        state.storyboard.shots = [newShot(), newShot()];
+                        render.storyboard();
+                    }
                 },
-                loading: () => {
-                    const btn = el('btn-generate');
-                    if(state.loading) {
-                        btn.disabled = true;
-                        btn.innerHTML = '<div class="loader"></div>';
-                        btn.classList.add('bg-zinc-800', 'text-zinc-500', 'cursor-not-allowed');
-                        btn.classList.remove('bg-white', 'text-black', 'hover:bg-indigo-50');
-                    } else {
-                        btn.disabled = false;
-                        btn.innerHTML = '<i data-lucide="wand-2" class="w-4 h-4"></i> 生成内容';
-                        btn.classList.remove('bg-zinc-800', 'text-zinc-500', 'cursor-not-allowed');
-                        btn.classList.add('bg-white', 'text-black', 'hover:bg-indigo-50');
-                        lucide.createIcons();
+                // 按顺序生成未完成的镜头 (已完成的跳过); 某个镜头失败或取消时停止, 之后可从该镜头继续
+                runStoryboard: async (id) => {
+                    state.progress = 0;
+                    state.loading = true;
+                    render.loading();
+                    render.error(null);
+                    try {
+                        let board = await db.get(id);
+                        for (let i = 0; i < board.shots.length; i++) {
+                            if (board.shots[i].status === 'succeeded') continue;
+                            state.shot = { index: i, total: board.shots.length };
+                            state.progress = 0;
+                            render.progress();
+                            const outcome = await actions.runShot(board, i);
+                            board = await db.get(id);
+                            if (outcome !== 'succeeded') return false;
+                        }
+                        return true;
+                    } catch (e) {
+                        render.error(e.message);
+                        return false;
+                    } finally {
+                        state.shot = null;
+                        actions.finishLoading();
                     }
-                    render.progress();
                 },
-                progress: () => {
-                    const wrapper = el('progress-wrapper');
-                    const bar = el('progress-bar');
-                    const text = el('progress-text');
-                    if (!wrapper || !bar || !text) return;
-    
-                    if (state.loading || state.progress > 0) {
-                        wrapper.classList.remove('hidden');
-                        bar.style.width = state.progress + '%';
-                        text.textContent = state.progress + '%';
-                    } else {
-                        wrapper.classList.add('hidden');
-                        bar.style.width = '0%';
-                        text.textContent = '0%';
+                runShot: async (board, index) => {
+                    const shot = board.shots[index];
+                    const fail = async (message) => {
+                        await actions.saveShot(board.id, index, { status: 'failed', error: message });
+                        return new Error(\`镜头 \${index + 1}: \${message}\`);
+                    };
+                    const form = new FormData();
+                    form.append('model', shot.model);
+                    form.append('prompt', shot.prompt);
+                    form.append('storyboard_id', board.id);
+                    form.append('shot', String(index));
+                    if (board.params) form.append('params', JSON.stringify(board.params));
+                    if (el('force-in').checked) form.append('force', 'true');
+
+                    // 上一镜头一定已完成 (否则不会进行到这里), 取它的尾帧作为参考图
+                    const inputs = [];
+                    if (shot.chain && index > 0) {
+                        const view = itemAssets(board)[doneShotIndexes(board).indexOf(index - 1)];
+                        let frame;
+                        try {
+                            frame = await captureLastFrame(view, shot.ratio, \`\${board.id}-\${index + 1}.png\`);
+                        } catch (e) {
+                            throw await fail('截取上一镜头尾帧失败: ' + e.message);
+                        }
+                        form.append('files', frame, frame.name);
+                        inputs.push({ name: frame.name, mimeType: frame.type, blob: frame });
+                    }
+
+                    const res = await fetch('/api/jobs', { method: 'POST', body: form });
+                    const data = await res.json().catch(() => ({}));
+                    if (!res.ok) {
+                        if (res.status === 401) actions.requireLogin();
+                        if (data.code === 'UNKNOWN_MODEL') actions.loadModels();
+                        throw await fail(describeError(data));
+                    }
+                    const job = {
+                        id: data.id, prompt: shot.prompt, model: shot.model, type: 'video', inputs,
+                        storyboard: { id: board.id, shot: index },
+                        createdAt: Date.now()
+                    };
+                    await db.putJob(job);
+                    try {
+                        return await actions.followJob(job);
+                    } catch (e) {
+                        throw new Error(\`镜头 \${index + 1}: \${e.message}\`);
                     }
                 },
-                error: (msg) => {
-                    const box = el('err-msg');
-                    if(msg) {
-                        box.classList.remove('hidden');
-                        el('err-text').textContent = msg;
-                    } else {
-                        box.classList.add('hidden');
+                // 更新分镜中的一个镜头, 有已完成的镜头时同步到服务端历史
+                saveShot: async (id, index, patch) => {
+                    const board = await db.get(id);
+                    if (!board || !board.shots[index]) return;
+                    board.shots[index] = { ...board.shots[index], ...patch };
+                    const record = storyboardRecord(board);
+                    await db.put(record);
+                    if (record.url) {
+                        const res = await fetch(\`/api/history/\${encodeURIComponent(id)}\`, {
+                            method: 'PUT',
+                            headers: { 'Content-Type': 'application/json' },
+                            body: JSON.stringify(record)
+                        }).catch(() => null);
+                        if (res && res.ok) {
+                            const saved = await res.json();
+                            state.serverHistory = state.serverHistory.filter(h => String(h.id) !== String(id)).concat(saved);
+                        }
                     }
-                }
-            };
-    
-            const actions = {
-                init: () => {
-                    render.controls();
-                    render.gallery();
-                    render.progress();
-                    lucide.createIcons();
+                    await render.gallery();
+                },
+                retryCurrentStoryboard: async () => {
+                    const item = state.currentItem;
+                    if (!item || item.type !== 'storyboard' || state.loading) return;
+                    actions.closeLightbox();
+                    // 其它设备创建的分镜只在服务端历史中, 先写入本地
+                    if (!(await db.get(item.id))) await db.put(item);
+                    await actions.runStoryboard(item.id);
                 },
-                setMode: (m) => { state.mode = m; state.files = []; render.files(); render.controls(); },
                 setRatio: (r) => { state.ratio = r; render.controls(); },
                 setDuration: (d) => { state.duration = d; render.controls(); },
+                setParam: (name, value) => {
+                    state.params[name] = value;
+                    render.paramCount();
+                },
+                resetParams: () => {
+                    state.params = {};
+                    render.advanced();
+                },
+                // 逐个打开处理框, 取消的文件不加入
                 handleFileUpload: async (input) => {
                     const files = Array.from(input.files);
+                    input.value = '';
                     for(let f of files) {
-                        const b64 = await fileToBase64(f);
-                        state.files.push({ data: b64, mimeType: f.type, preview: URL.createObjectURL(f) });
+                        const entry = await actions.editReference(f);
+                        if (entry) state.files.push(entry);
+                        render.files();
                     }
+                },
+                clearFiles: () => { state.files = []; state.lineage = null; render.files(); },
+                removeFile: (index) => {
+                    const [removed] = state.files.splice(index, 1);
+                    if (removed && !removed.ref) URL.revokeObjectURL(removed.preview);
+                    if (!state.files.some(f => f.ref)) state.lineage = null;
                     render.files();
-                    input.value = '';
                 },
-                clearFiles: () => { state.files = []; render.files(); },
+                reeditFile: async (index) => {
+                    const current = state.files[index];
+                    if (!current || current.ref) return;
+                    const entry = await actions.editReference(current.original || current.file);
+                    if (!entry || state.files[index] !== current) return;
+                    URL.revokeObjectURL(current.preview);
+                    state.files[index] = entry;
+                    render.files();
+                },
+                setRefMaxEdge: (value) => {
+                    localStorage.setItem('sora_ref_max_edge', String(Number(value) || 0));
+                    render.refEditor();
+                },
+                // 打开处理框, 返回处理后的 state.files 条目, 取消时返回 null
+                // GIF (可能是动图) 和浏览器无法解码的文件直接使用原文件
+                editReference: async (file) => {
+                    const kind = file.type.startsWith('video') ? 'video' : 'image';
+                    if (file.type === 'image/gif') return fileEntry(file, { original: file });
+                    let loaded;
+                    try {
+                        loaded = await loadReferenceMedia(file, kind);
+                    } catch (e) {
+                        return fileEntry(file, { original: file });
+                    }
+                    return new Promise(resolve => {
+                        state.refEditor = {
+                            ...loaded,
+                            file,
+                            source: file,
+                            kind,
+                            zoom: 1,
+                            crop: fitCrop(loaded.width, loaded.height, RATIO_VALUES[state.ratio], 1),
+                            start: 0,
+                            end: loaded.duration,
+                            busy: false,
+                            status: '',
+                            resolve
+                        };
+                        const crop = el('ref-crop');
+                        crop.onpointerdown = (e) => {
+                            const ed = state.refEditor;
+                            if (!ed || ed.busy) return;
+                            crop.setPointerCapture(e.pointerId);
+                            const origin = { x: e.clientX, y: e.clientY, crop: { ...ed.crop } };
+                            crop.onpointermove = (move) => {
+                                const dx = (move.clientX - origin.x) / ed.scale;
+                                const dy = (move.clientY - origin.y) / ed.scale;
+                                ed.crop.x = Math.min(Math.max(origin.crop.x + dx, 0), ed.width - ed.crop.w);
+                                ed.crop.y = Math.min(Math.max(origin.crop.y + dy, 0), ed.height - ed.crop.h);
+                                render.refEditor();
+                            };
+                            crop.onpointerup = () => { crop.onpointermove = null; };
+                        };
+                        render.refEditor();
+                    });
+                },
+                closeRefEditor: (entry) => {
+                    const ed = state.refEditor;
+                    if (!ed) return;
+                    ed.media.pause && ed.media.pause();
+                    URL.revokeObjectURL(ed.media.src);
+                    state.refEditor = null;
+                    render.refEditor();
+                    ed.resolve(entry);
+                },
+                refCancel: () => actions.closeRefEditor(null),
+                refUseOriginal: () => {
+                    const ed = state.refEditor;
+                    if (ed) actions.closeRefEditor(fileEntry(ed.source, { original: ed.source }));
+                },
+                refZoom: (value) => {
+                    const ed = state.refEditor;
+                    if (!ed || ed.busy) return;
+                    ed.zoom = Number(value) / 100;
+                    const center = { x: ed.crop.x + ed.crop.w / 2, y: ed.crop.y + ed.crop.h / 2 };
+                    ed.crop = fitCrop(ed.width, ed.height, RATIO_VALUES[state.ratio], ed.zoom, center);
+                    render.refEditor();
+                },
+                refSeek: (value) => {
+                    const ed = state.refEditor;
+                    if (ed && ed.kind === 'video' && !ed.busy) ed.media.currentTime = Number(value);
+                },
+                refSetTrim: (edge) => {
+                    const ed = state.refEditor;
+                    if (!ed || ed.kind !== 'video') return;
+                    const time = ed.media.currentTime;
+                    if (edge === 'start') ed.start = Math.min(time, ed.end - 0.1);
+                    else ed.end = Math.max(time, ed.start + 0.1);
+                    ed.start = Math.max(0, ed.start);
+                    ed.end = Math.min(ed.duration, ed.end);
+                    render.refEditor();
+                },
+                // 取片段的首帧 / 尾帧作为图片, 继续在处理框中裁剪
+                refExtractFrame: async (which) => {
+                    const ed = state.refEditor;
+                    if (!ed || ed.kind !== 'video' || ed.busy) return;
+                    ed.busy = true;
+                    render.refEditor();
+                    try {
+                        await seekVideo(ed.media, which === 'first' ? ed.start : Math.max(ed.start, ed.end - 0.05));
+                        const canvas = document.createElement('canvas');
+                        canvas.width = ed.width;
+                        canvas.height = ed.height;
+                        canvas.getContext('2d').drawImage(ed.media, 0, 0);
+                        const frame = await canvasToFile(canvas, renameFile(ed.source.name, \`-\${which}.png\`), 'image/png');
+                        const loaded = await loadReferenceMedia(frame, 'image');
+                        URL.revokeObjectURL(ed.media.src);
+                        Object.assign(ed, loaded, { file: frame, kind: 'image', busy: false });
+                        ed.crop = fitCrop(ed.width, ed.height, RATIO_VALUES[state.ratio], ed.zoom);
+                    } catch (e) {
+                        ed.busy = false;
+                        ed.status = '取帧失败: ' + e.message;
+                    }
+                    render.refEditor();
+                },
+                refApply: async () => {
+                    const ed = state.refEditor;
+                    if (!ed || ed.busy) return;
+                    const isVideo = ed.kind === 'video';
+                    const size = outputSize(ed.crop, refMaxEdge(), isVideo);
+                    ed.busy = true;
+                    render.refEditor();
+                    try {
+                        if (!isVideo) {
+                            const canvas = document.createElement('canvas');
+                            canvas.width = size.width;
+                            canvas.height = size.height;
+                            canvas.getContext('2d').drawImage(ed.media, ed.crop.x, ed.crop.y, ed.crop.w, ed.crop.h, 0, 0, size.width, size.height);
+                            const png = ed.file.type === 'image/png';
+                            const out = await canvasToFile(canvas, renameFile(ed.file.name, png ? '.png' : '.jpg'), png ? 'image/png' : 'image/jpeg');
+                            actions.closeRefEditor(fileEntry(out, { original: ed.source, info: \`\${size.width}×\${size.height}\` }));
+                            return;
+                        }
+                        // 完整片段且不需要裁剪 / 缩放时直接用原文件, 保留声音
+                        const untouched = ed.start <= 0 && ed.end >= ed.duration - 0.05
+                            && size.width >= ed.width - 1 && size.height >= ed.height - 1;
+                        if (untouched) {
+                            actions.closeRefEditor(fileEntry(ed.source, { original: ed.source }));
+                            return;
+                        }
+                        const total = ed.end - ed.start;
+                        const blob = await recordVideoClip(ed.media, ed.crop, size, ed.start, ed.end, (done) => {
+                            ed.status = \`处理中 \${done.toFixed(1)} / \${total.toFixed(1)} 秒\`;
+                            render.refEditor();
+                        });
+                        const out = new File([blob], renameFile(ed.source.name, '.webm'), { type: 'video/webm' });
+                        actions.closeRefEditor(fileEntry(out, {
+                            original: ed.source,
+                            info: \`\${size.width}×\${size.height} · \${total.toFixed(1)}s\`
+                        }));
+                    } catch (e) {
+                        ed.busy = false;
+                        ed.status = '处理失败: ' + e.message;
+                        render.refEditor();
+                    }
+                },
+                // Remix / Extend: 回填提示词和参数, 以历史结果作为参考文件; 已有地址的结果按 URL 引用, 不重新上传
+                remix: (item, relation = 'remix', index = 0) => {
+                    const view = itemAssets(item)[index] || itemAssets(item)[0];
+                    const isVideo = isVideoItem(view);
+                    const mode = relation === 'extend' || item.type === 'video' ? 'video' : 'image';
+                    if (mode === 'image' && isVideo) return;
+                    actions.closeLightbox();
+
+                    // 沿用原结果的高级参数 (如 seed), 以便复现
+                    state.params = { ...(item.params || {}) };
+                    el('advanced-block').open = !!item.params;
+                    actions.setMode(mode);
+                    const model = state.models.find(m => m.id === item.model);
+                    if (model && model.mode === mode) {
+                        state.ratio = model.ratio;
+                        if (model.seconds) state.duration = model.seconds;
+                        render.controls();
+                    }
+                    el('prompt-in').value = item.prompt || '';
+                    render.advanced();
+
+                    const mimeType = view.mime || (isVideo ? 'video/mp4' : 'image/png');
+                    if (view.blob instanceof Blob) {
+                        const file = new File([view.blob], mediaFilename(view), { type: view.blob.type || mimeType });
+                        state.files.push({ file, mimeType: file.type, preview: URL.createObjectURL(file), error: null });
+                    } else if (mediaUrl(view)) {
+                        state.files.push({ ref: true, url: view.url, name: mediaFilename(view), mimeType, preview: mediaUrl(view), error: null });
+                    }
+                    state.lineage = { parentId: String(item.id), relation };
+                    render.files();
+                    el('prompt-in').focus();
+                },
+                remixCurrent: (relation) => {
+                    if (state.currentItem) actions.remix(state.currentItem, relation, state.currentIndex);
+                },
                 clearHistory: async () => { 
-                    if(confirm('确定清空历史记录?')) { await db.clear(); render.gallery(); } 
+                    if(confirm('确定清空历史记录?')) {
+                        const items = await mergedHistory();
+                        await Promise.all(items.map(removeStoredMedia));
+                        await fetch('/api/history', { method: 'DELETE' }).catch(() => {});
+                        await db.clear();
+                        state.serverHistory = [];
+                        state.historyCursor = null;
+                        state.selected.clear();
+                        render.gallery();
+                    }
+                },
+                // 导出历史记录; withMedia 时打包为 ZIP, 包含结果媒体和参考图, 下载失败的媒体只保留地址
+                exportHistory: async (withMedia) => {
+                    el('export-menu').classList.add('hidden');
+                    const items = await mergedHistory();
+                    if (!items.length) return alert('没有可导出的历史记录');
+                    const files = [];
+                    const manifestItems = [];
+                    for (const item of items) {
+                        const entry = {
+                            id: item.id,
+                            status: item.status,
+                            prompt: item.prompt || '',
+                            model: item.model || '',
+                            type: item.type,
+                            timestamp: item.timestamp,
+                            url: isHttpUrl(item.url) ? item.url : '',
+                            originalUrl: item.originalUrl || '',
+                            tags: item.tags || [],
+                            favorite: item.favorite === true,
+                            parentId: item.parentId || null,
+                            relation: item.relation || null,
+                            batch: item.batch || null,
+                            params: item.params || null,
+                            cached: item.cached === true
+                        };
+                        if (item.type === 'storyboard') {
+                            entry.shots = (item.shots || []).map(shot => ({
+                                prompt: shot.prompt, model: shot.model, ratio: shot.ratio, seconds: shot.seconds, chain: shot.chain === true,
+                                status: shot.status, url: isHttpUrl(shot.url) ? shot.url : '', originalUrl: shot.originalUrl || '', error: shot.error || null
+                            }));
+                        }
+                        const views = [...itemAssets(item), itemPoster(item)].filter(v => v && item.status !== 'cancelled');
+                        entry.assets = [];
+                        for (const [n, view] of views.entries()) {
+                            const kind = view.kind || (isVideoItem(view) ? 'video' : 'image');
+                            const asset = { url: isHttpUrl(view.url) ? view.url : '', kind, mime: view.mime || '', originalUrl: view.originalUrl || '' };
+                            const data = withMedia && await fetchMediaBytes(view);
+                            if (data) {
+                                asset.file = \`media/\${item.id}/\${n + 1}.\${MEDIA_EXT[kind] || 'bin'}\`;
+                                files.push({ name: asset.file, data });
+                            }
+                            entry.assets.push(asset);
+                        }
+                        entry.inputs = [];
+                        for (const [n, input] of (item.inputs || []).entries()) {
+                            const meta = { name: input.name, mimeType: input.mimeType };
+                            if (withMedia && input.blob instanceof Blob) {
+                                meta.file = \`inputs/\${item.id}/\${n + 1}-\${safeName(input.name)}\`;
+                                files.push({ name: meta.file, data: new Uint8Array(await input.blob.arrayBuffer()) });
+                            }
+                            entry.inputs.push(meta);
+                        }
+                        manifestItems.push(entry);
+                    }
+                    const manifest = JSON.stringify({
+                        format: ARCHIVE_FORMAT,
+                        version: ARCHIVE_VERSION,
+                        exportedAt: new Date().toISOString(),
+                        items: manifestItems
+                    }, null, 2);
+                    if (!withMedia) {
+                        return saveBlob(new Blob([manifest], { type: 'application/json' }), \`sora-history-\${archiveDate()}.json\`);
+                    }
+                    files.unshift({ name: 'manifest.json', data: new TextEncoder().encode(manifest) });
+                    saveBlob(createZip(files), \`sora-history-\${archiveDate()}.zip\`);
+                },
+                // 导入 JSON 清单或 ZIP 归档, 按 id 去重, 只写入本地 IndexedDB
+                importHistory: async (input) => {
+                    const file = input.files[0];
+                    input.value = '';
+                    if (!file) return;
+                    try {
+                        const isZip = /\\.zip$/i.test(file.name) || file.type.includes('zip');
+                        const zip = isZip ? await readZip(file) : null;
+                        const text = zip ? await (await zip.read('manifest.json') || new Blob()).text() : await file.text();
+                        let manifest;
+                        try {
+                            manifest = JSON.parse(text);
+                        } catch (e) {
+                            throw new Error('清单不是有效的 JSON');
+                        }
+                        if (!manifest || manifest.format !== ARCHIVE_FORMAT || !Array.isArray(manifest.items)) {
+                            throw new Error('不是 SoraWeb 导出的历史记录');
+                        }
+                        if (manifest.version > ARCHIVE_VERSION) throw new Error('归档版本过新, 请更新页面后重试');
+
+                        const existing = new Set((await db.getAll()).map(item => String(item.id)));
+                        let imported = 0;
+                        let skipped = 0;
+                        for (const raw of manifest.items.slice(0, ARCHIVE_MAX_ITEMS)) {
+                            const item = await sanitizeImportedItem(raw, zip);
+                            if (!item || existing.has(String(item.id))) { skipped++; continue; }
+                            existing.add(String(item.id));
+                            await db.put(item);
+                            imported++;
+                        }
+                        skipped += Math.max(0, manifest.items.length - ARCHIVE_MAX_ITEMS);
+                        alert(\`已导入 \${imported} 条记录\${skipped ? \`, 跳过 \${skipped} 条 (重复或无效)\` : ''}\`);
+                        await render.gallery();
+                    } catch (e) {
+                        alert('导入失败: ' + e.message);
+                    }
                 },
-                submitPwd: () => {
+                // 登录: 服务端校验访问码后写入 HttpOnly 会话 Cookie, 页面不保存访问码
+                submitPwd: async () => {
                     const val = el('pwd-input').value.trim();
-                    if(val) {
-                        localStorage.setItem('sora_access_code', val);
-                        el('pwd-modal').classList.add('hidden');
-                        actions.generate();
+                    if (!val) return;
+                    el('pwd-submit').disabled = true;
+                    try {
+                        const res = await fetch('/api/login', {
+                            method: 'POST',
+                            headers: { 'Content-Type': 'application/json' },
+                            body: JSON.stringify({ code: val })
+                        });
+                        const data = await res.json().catch(() => ({}));
+                        if (!res.ok) throw new Error(describeError(data));
+                        el('pwd-input').value = '';
+                        state.session = { authenticated: true, required: data.required !== false, user: data.user };
+                        render.session();
+                        actions.start();
+                    } catch (e) {
+                        render.loginError(e.message);
+                    } finally {
+                        el('pwd-submit').disabled = false;
                     }
                 },
+                logout: async () => {
+                    await fetch('/api/logout', { method: 'POST' }).catch(() => {});
+                    state.session = { ...state.session, authenticated: false, user: null };
+                    state.serverHistory = [];
+                    state.historyCursor = null;
+                    state.models = [];
+                    render.session();
+                    render.controls();
+                    await render.gallery();
+                },
+                // 会话失效 (过期、访问码被修改) 时重新弹出登录框
+                requireLogin: () => {
+                    if (state.session) state.session.authenticated = false;
+                    render.session();
+                },
                 generate: async () => {
+                    if (state.mode === 'storyboard') return actions.generateStoryboard();
+                    if (state.batch.open) return actions.generateBatch();
                     const prompt = el('prompt-in').value.trim();
                     if (!prompt && state.files.length === 0) {
                         render.error("请输入提示词或上传参考文件");
                         return;
                     }
                     
-                    const code = localStorage.getItem('sora_access_code');
-                    if(!code) {
-                        el('pwd-modal').classList.remove('hidden');
+                    if (state.session && !state.session.authenticated) {
+                        render.session();
                         return;
                     }
     
+                    // 从模型目录中取与当前选项对应的模型
+                    const model = selectedModel();
+                    if (!model) {
+                        render.error(state.modelsError || '当前选项没有可用的模型');
+                        return;
+                    }
+                    const modelId = model.id;
+                    const params = collectParams([model]);
+
                     state.progress = 0;
                     state.loading = true;
                     render.loading();
                     render.error(null);
     
-                    // 构建 modelId
-                    let modelId = 'sora-image';
-                    if(state.mode === 'image') {
-                        if(state.ratio === 'landscape') modelId = 'sora-image-landscape';
-                        else if(state.ratio === 'portrait') modelId = 'sora-image-portrait';
-                    } else {
-                        let base = 'sora-video';
-                        if(state.ratio !== 'square') base += \`-\${state.ratio}\`;
-                        base += \`-\${state.duration}\`;
-                        modelId = base;
-                    }
+                    state.files.forEach(f => { f.error = null; });
+                    render.files();
     
                     try {
-                        const payload = {
-                            model: modelId,
-                            prompt: prompt,
-                            files: state.files.map(f => ({ mimeType: f.mimeType, data: f.data }))
-                        };
+                        // 以 multipart 直接上传原始文件, 避免 base64 膨胀
+                        const form = new FormData();
+                        form.append('model', modelId);
+                        form.append('prompt', prompt);
+                        if (params) form.append('params', JSON.stringify(params));
+                        if (el('force-in').checked) form.append('force', 'true');
+                        state.files.forEach(f => f.ref ? form.append('files', f.url) : form.append('files', f.file, f.file.name));
+                        const lineage = state.lineage;
+                        if (lineage) {
+                            form.append('parent_id', lineage.parentId);
+                            form.append('relation', lineage.relation);
+                        }
     
-                        const res = await fetch('/api/generate', {
+                        // 创建后台任务, 任务 id 存入 IndexedDB, 刷新页面后可继续跟踪
+                        const res = await fetch('/api/jobs', {
                             method: 'POST',
-                            headers: { 'Content-Type': 'application/json', 'x-access-code': code },
-                            body: JSON.stringify(payload)
+                            body: form
                         });
+                        const data = await res.json().catch(() => ({}));
+                        if (!res.ok) {
+                            if (res.status === 401) actions.requireLogin();
+                            // 模型目录已变化, 重新加载
+                            if (data.code === 'UNKNOWN_MODEL') actions.loadModels();
+                            const target = data.field === 'files' && state.files[data.index];
+                            if (target) {
+                                target.error = data.error;
+                                render.files();
+                            }
+                            if (String(data.field || '').startsWith('params')) el('advanced-block').open = true;
+                            throw new Error(describeError(data));
+                        }
     
-                        if (!res.ok && res.headers.get('Content-Type')?.includes('application/json')) {
-                            const err = await res.json();
-                            throw new Error(err.error || '请求失败');
+                        // 参考图随任务保存到本地, 导出 ZIP 时一并打包
+                        const inputs = state.files.map(f => f.ref
+                            ? { name: f.name, mimeType: f.mimeType, url: f.url }
+                            : { name: f.file.name, mimeType: f.mimeType, blob: f.file });
+                        const job = {
+                            id: data.id, prompt: prompt, model: modelId, type: state.mode, inputs, params,
+                            parentId: lineage ? lineage.parentId : null,
+                            relation: lineage ? lineage.relation : null,
+                            createdAt: Date.now()
+                        };
+                        await db.putJob(job);
+                        if (await actions.followJob(job) === 'succeeded') {
+                            el('prompt-in').value = '';
+                            actions.clearFiles();
                         }
     
-                        // SSE 流解析
-                        const reader = res.body.getReader();
-                        const decoder = new TextDecoder();
-                        let buffer = '';
-                        let finalUrl = null;
-    
-                        while (true) {
-                            const { done, value } = await reader.read();
-                            if (done) break;
-    
-                            buffer += decoder.decode(value, { stream: true });
-                            const parts = buffer.split('\\n\\n');
-                            buffer = parts.pop();
-    
-                            for (const part of parts) {
-                                const line = part.trim();
-                                if (!line.startsWith('data:')) continue;
-                                const dataStr = line.slice(5).trim();
-                                if (!dataStr) continue;
-    
-                                let evt;
-                                try {
-                                    evt = JSON.parse(dataStr);
-                                } catch (e) {
-                                    continue;
-                                }
+                    } catch (e) {
+                        render.error(e.message);
+                    } finally {
+                        actions.finishLoading();
+                    }
+                },
+                toggleBatch: () => {
+                    state.batch.open = !state.batch.open;
+                    render.controls();
+                },
+                toggleBatchOption: (key, value) => {
+                    const list = state.batch[key];
+                    // 至少保留一个选项
+                    if (list.includes(value)) {
+                        if (list.length > 1) list.splice(list.indexOf(value), 1);
+                    } else {
+                        list.push(value);
+                    }
+                    render.batchPanel();
+                    render.advanced();
+                },
+                updateBatchSummary: () => {
+                    if (state.batch.open) render.batchSummary();
+                },
+                // 导入提示词列表, 按扩展名识别格式, 由服务端解析
+                loadBatchList: async (input) => {
+                    const file = input.files[0];
+                    input.value = '';
+                    if (!file) return;
+                    state.batch.list = { name: file.name, text: await file.text(), format: batchListFormat(file.name) };
+                    render.batchPanel();
+                },
+                clearBatchList: () => {
+                    state.batch.list = null;
+                    render.batchPanel();
+                },
+                // 提交批量任务 (参考文件与来源对所有任务共用), 提交后不占用生成按钮, 在批次列表中跟踪进度
+                generateBatch: async () => {
+                    if (state.session && !state.session.authenticated) {
+                        render.session();
+                        return;
+                    }
+                    const batch = state.batch;
+                    const text = el('prompt-in').value.trim();
+                    if (!batch.list && !text) {
+                        render.error('请输入提示词或导入提示词列表');
+                        return;
+                    }
+                    render.error(null);
+
+                    const form = new FormData();
+                    if (batch.list) {
+                        form.append('list', batch.list.text);
+                        form.append('list_format', batch.list.format);
+                    } else if (el('batch-lines').checked) {
+                        form.append('list', text);
+                    } else {
+                        form.append('prompt', text);
+                    }
+                    form.append('mode', state.mode);
+                    form.append('ratios', batch.ratios.join(','));
+                    if (state.mode === 'video') form.append('durations', batch.durations.join(','));
+                    form.append('variants', el('batch-variants').value);
+                    form.append('parallel', el('batch-parallel').value);
+                    const params = collectParams(paramModels());
+                    if (params) form.append('params', JSON.stringify(params));
+                    if (el('force-in').checked) form.append('force', 'true');
+                    state.files.forEach(f => f.ref ? form.append('files', f.url) : form.append('files', f.file, f.file.name));
+                    const lineage = state.lineage;
+                    if (lineage) {
+                        form.append('parent_id', lineage.parentId);
+                        form.append('relation', lineage.relation);
+                    }
+                    const inputs = state.files.map(f => f.ref
+                        ? { name: f.name, mimeType: f.mimeType, url: f.url }
+                        : { name: f.file.name, mimeType: f.mimeType, blob: f.file });
+
+                    const btn = el('btn-generate');
+                    btn.disabled = true;
+                    try {
+                        const data = await actions.submitBatch(form);
+                        el('prompt-in').value = '';
+                        batch.list = null;
+                        actions.clearFiles();
+                        render.batchPanel();
+                        await actions.startBatch({
+                            id: data.id, type: state.mode, inputs, params,
+                            parentId: lineage ? lineage.parentId : null,
+                            relation: lineage ? lineage.relation : null,
+                            jobIds: data.jobs.map(job => job.id), jobs: data.jobs
+                        });
+                    } catch (e) {
+                        render.error(e.message);
+                    } finally {
+                        btn.disabled = state.loading;
+                    }
+                },
+                submitBatch: async (form) => {
+                    const res = await fetch('/api/batch', { method: 'POST', body: form });
+                    const data = await res.json().catch(() => ({}));
+                    if (!res.ok) {
+                        if (res.status === 401) actions.requireLogin();
+                        if (data.code === 'UNKNOWN_MODEL') actions.loadModels();
+                        const target = data.field === 'files' && state.files[data.index];
+                        if (target) {
+                            target.error = data.error;
+                            render.files();
+                        }
+                        if (String(data.field || '').startsWith('params')) el('advanced-block').open = true;
+                        throw new Error(describeError(data));
+                    }
+                    return data;
+                },
+                // 批次存入 IndexedDB (与单个任务同一个表), 刷新页面后继续跟踪
+                startBatch: async (batch) => {
+                    await db.putJob({ ...batch, kind: 'batch', createdAt: Date.now() });
+                    actions.watchBatch(batch);
+                },
+                // 轮询批次状态直到全部结束, 每个任务结束时写入本地记录
+                watchBatch: async (batch) => {
+                    if (state.batches.some(b => b.id === batch.id)) return;
+                    state.batches.push(batch);
+                    render.batches();
+                    while (true) {
+                        const res = await fetch(\`/api/batch/\${batch.id}\`).catch(() => null);
+                        // 批次已过期, 结果 (如有) 已在服务端历史中
+                        if (res && res.status === 404) break;
+                        if (res && res.ok) {
+                            const data = await res.json();
+                            batch.jobs = data.jobs.filter(job => batch.jobIds.includes(job.id));
+                            for (const job of batch.jobs.filter(isJobDone)) await actions.recordBatchJob(batch, job);
+                            render.batches();
+                            if (batch.jobs.every(isJobDone)) break;
+                        }
+                        await sleep(BATCH_POLL_MS);
+                    }
+                    await db.deleteJob(batch.id);
+                    setTimeout(() => {
+                        state.batches = state.batches.filter(b => b !== batch);
+                        render.batches();
+                    }, 3000);
+                },
+                recordBatchJob: async (batch, job) => {
+                    batch.recorded = batch.recorded || new Set();
+                    if (batch.recorded.has(job.id)) return;
+                    batch.recorded.add(job.id);
+                    if (await db.get(job.id)) return;
+                    const succeeded = job.status === 'succeeded';
+                    await db.add({
+                        id: job.id,
+                        ...(succeeded ? {} : { status: job.status, error: job.error ? describeError({ error: job.error, code: job.errorCode }) : null }),
+                        url: succeeded ? job.url : '',
+                        originalUrl: succeeded ? job.originalUrl : null,
+                        assets: succeeded ? job.assets : null,
+                        cached: job.cached === true,
+                        inputs: batch.inputs || [],
+                        parentId: batch.parentId || null,
+                        relation: batch.relation || null,
+                        batch: job.batch,
+                        params: job.params || null,
+                        prompt: job.prompt,
+                        model: job.model,
+                        type: batch.type,
+                        timestamp: Date.now()
+                    });
+                    await render.gallery();
+                },
+                cancelBatch: async (batch) => {
+                    await fetch(\`/api/batch/\${batch.id}\`, { method: 'DELETE' }).catch(() => {});
+                },
+                // 重新提交批次中失败 / 取消的任务 (沿用原来的参考文件和来源), 新任务追加到同一批次
+                retryBatch: async (id) => {
+                    const failed = (await mergedHistory()).filter(item => item.batch && item.batch.id === id && (item.status === 'failed' || item.status === 'cancelled'));
+                    if (!failed.length) return;
+                    const first = failed[0];
+                    const inputs = first.inputs || [];
+                    const form = new FormData();
+                    form.append('batch_id', id);
+                    form.append('items', JSON.stringify(failed.map(item => ({ prompt: item.prompt, model: item.model, variant: item.batch.variant }))));
+                    inputs.forEach(f => f.blob ? form.append('files', f.blob, f.name) : form.append('files', f.url));
+                    if (first.params) form.append('params', JSON.stringify(first.params));
+                    if (first.parentId) {
+                        form.append('parent_id', first.parentId);
+                        form.append('relation', first.relation || 'remix');
+                    }
+                    try {
+                        const data = await actions.submitBatch(form);
+                        // 已取消的任务可能同步到了服务端历史
+                        await Promise.all(failed.map(item => fetch(\`/api/history/\${encodeURIComponent(item.id)}\`, { method: 'DELETE' }).catch(() => {})));
+                        const ids = new Set(failed.map(item => String(item.id)));
+                        await db.delete(failed.map(item => item.id));
+                        state.serverHistory = state.serverHistory.filter(h => !ids.has(String(h.id)));
+                        await render.gallery();
+                        await actions.startBatch({
+                            id: data.id, type: first.type, inputs, params: first.params || null,
+                            parentId: first.parentId || null,
+                            relation: first.relation || null,
+                            jobIds: data.jobs.map(job => job.id), jobs: data.jobs
+                        });
+                    } catch (e) {
+                        alert(e.message);
+                    }
+                },
+                // 订阅任务进度直到结束; 连接中断时自动重连, 从服务端记录的进度继续
+                followJob: async (job) => {
+                    state.currentJob = job;
+                    state.abort = new AbortController();
+                    state.phase = null;
+                    state.queue = null;
+                    state.log = '';
+                    el('progress-log').textContent = '';
+                    render.loading();
+                    try {
+                        return await actions.trackJob(job, state.abort.signal);
+                    } finally {
+                        state.currentJob = null;
+                        state.abort = null;
+                    }
+                },
+                trackJob: async (job, signal) => {
+                    let finalUrl = null;
+                    let originalUrl = null;
+                    let assets = null;
+                    let cached = false;
+                    let jobError = null;
+                    let cancelled = false;
+                    // 已收到的最后一个事件 id, 重连时服务端只补发之后的事件
+                    let lastEventId = null;
     
-                                if (evt.type === 'progress') {
+                    for (let attempt = 0; attempt < 20 && !finalUrl && !jobError && !cancelled; attempt++) {
+                        if (attempt > 0) await sleep(2000);
+                        if (signal.aborted) break;
+                        const headers = {};
+                        if (lastEventId) headers['Last-Event-ID'] = lastEventId;
+                        let res;
+                        try {
+                            res = await fetch(\`/api/jobs/\${job.id}/events\`, { headers, signal });
+                        } catch (e) {
+                            continue;
+                        }
+    
+                        if (!res.ok) {
+                            const err = await res.json().catch(() => ({}));
+                            if (res.status === 404) await db.deleteJob(job.id);
+                            throw new Error(describeError(err));
+                        }
+    
+                        try {
+                            await readSSE(res, (evt, id) => {
+                                if (id) lastEventId = id;
+                                if (evt.type === 'queued') {
+                                    state.phase = 'queued';
+                                    state.queue = { position: evt.position, eta: evt.eta };
+                                    render.progress();
+                                } else if (evt.type === 'cache') {
+                                    state.phase = evt.status === 'hit' ? 'cached' : 'attached';
+                                    render.progress();
+                                } else if (evt.type === 'status') {
+                                    state.phase = evt.phase;
+                                    if (evt.phase !== 'queued') state.queue = null;
+                                    render.progress();
+                                } else if (evt.type === 'log') {
+                                    render.log(evt.text || '');
+                                } else if (evt.type === 'progress') {
                                     const p = Math.max(0, Math.min(100, Number(evt.percent || 0)));
                                     if (p > state.progress) {
                                         state.progress = p;
                                         render.progress();
                                     }
                                 } else if (evt.type === 'result') {
-                                    finalUrl = evt.url; // 现在是 Sora 的真实 URL
+                                    finalUrl = evt.url; // 已转存时为本站的稳定地址
+                                    originalUrl = evt.originalUrl || evt.url;
+                                    assets = evt.assets || null;
+                                    cached = evt.cached === true;
                                     state.progress = 100;
                                     render.progress();
                                 } else if (evt.type === 'error') {
-                                    throw new Error(evt.message || '生成失败');
+                                    jobError = describeError({ error: evt.message || '生成失败', code: evt.code });
+                                } else if (evt.type === 'cancelled') {
+                                    cancelled = true;
                                 }
-                            }
+                            });
+                        } catch (e) {
+                            // 连接中断, 稍后重连
                         }
+                    }
     
-                        if (!finalUrl) {
-                            throw new Error('生成完成但未返回视频地址');
-                        }
+                    if (cancelled || (signal.aborted && !finalUrl)) {
+                        await actions.recordCancelled(job);
+                        return 'cancelled';
+                    }
+                    if (jobError) {
+                        if (job.storyboard) await actions.saveShot(job.storyboard.id, job.storyboard.shot, { status: 'failed', error: jobError, jobId: job.id });
+                        await db.deleteJob(job.id);
+                        throw new Error(jobError);
+                    }
+                    if (!finalUrl) {
+                        throw new Error('暂时无法获取任务进度, 刷新页面可继续跟踪');
+                    }
     
-                        await db.add({
-                            id: crypto.randomUUID(),
-                            url: finalUrl,
-                            prompt: prompt,
-                            model: modelId,
-                            type: state.mode,
-                            timestamp: Date.now()
+                    // 分镜的镜头写回所属的分镜记录
+                    if (job.storyboard) {
+                        await actions.saveShot(job.storyboard.id, job.storyboard.shot, {
+                            status: 'succeeded', url: finalUrl, originalUrl, assets, cached, error: null, jobId: job.id
                         });
+                        await db.deleteJob(job.id);
+                        return 'succeeded';
+                    }
+                    await db.add({
+                        id: job.id,
+                        url: finalUrl,
+                        originalUrl: originalUrl,
+                        assets: assets,
+                        cached: cached,
+                        inputs: job.inputs || [],
+                        parentId: job.parentId || null,
+                        relation: job.relation || null,
+                        params: job.params || null,
+                        prompt: job.prompt,
+                        model: job.model,
+                        type: job.type,
+                        timestamp: Date.now()
+                    });
+                    await db.deleteJob(job.id);
+                    await render.gallery();
+                    return 'succeeded';
+                },
+                // 取消当前任务: 通知服务端中止上游, 并断开本地的进度订阅
+                cancel: async () => {
+                    const job = state.currentJob;
+                    if (!job) return;
+                    el('btn-cancel').disabled = true;
+                    await fetch(\`/api/jobs/\${job.id}\`, { method: 'DELETE' }).catch(() => {});
+                    if (state.abort) state.abort.abort();
+                },
+                recordCancelled: async (job) => {
+                    if (job.storyboard) {
+                        await actions.saveShot(job.storyboard.id, job.storyboard.shot, { status: 'cancelled', jobId: job.id });
+                        await db.deleteJob(job.id);
+                        return;
+                    }
+                    await db.add({
+                        id: job.id,
+                        status: 'cancelled',
+                        url: '',
+                        params: job.params || null,
+                        prompt: job.prompt,
+                        model: job.model,
+                        type: job.type,
+                        timestamp: Date.now()
+                    });
+                    await db.deleteJob(job.id);
+                    await render.gallery();
+                },
+                // 页面加载时继续跟踪未完成的任务
+                resumeJobs: async () => {
+                    const pending = await db.getJobs();
+                    // 批次在后台轮询, 不占用单个任务的进度条
+                    pending.filter(job => job.kind === 'batch').forEach(batch => actions.watchBatch(batch));
+                    const jobs = pending.filter(job => job.kind !== 'batch');
+                    if (jobs.length === 0 || state.loading) return;
     
-                        el('prompt-in').value = '';
-                        actions.clearFiles();
-                        await render.gallery();
-    
-                    } catch (e) {
-                        render.error(e.message);
-                    } finally {
-                        state.loading = false;
-                        render.loading();
-                        setTimeout(() => {
-                            if (!state.loading) {
-                                state.progress = 0;
-                                render.progress();
-                            }
-                        }, 800);
+                    state.progress = 0;
+                    state.loading = true;
+                    render.loading();
+                    for (const job of jobs) {
+                        try {
+                            await actions.followJob(job);
+                        } catch (e) {
+                            render.error(e.message);
+                        }
                     }
+                    actions.finishLoading();
+                },
+                finishLoading: () => {
+                    state.loading = false;
+                    render.loading();
+                    setTimeout(() => {
+                        if (!state.loading) {
+                            state.progress = 0;
+                            state.phase = null;
+                            state.queue = null;
+                            render.progress();
+                        }
+                    }, 800);
                 },
-                openLightbox: (item) => {
+                openLightbox: (item, index = 0) => {
+                    const assets = itemAssets(item);
+                    const current = assets[index] || assets[0];
                     state.currentItem = item;
+                    state.currentIndex = current.index || 0;
+                    const board = item.type === 'storyboard';
                     const box = el('lightbox-media');
-                    const isVideo = item.url.match(/\\.(mp4|webm)/) || item.model.includes('video');
-                    box.innerHTML = isVideo 
-                        ? \`<video src="\${item.url}" controls autoplay loop class="max-h-[80vh] w-auto rounded-lg shadow-2xl border border-zinc-800"></video>\`
-                        : \`<img src="\${item.url}" class="max-h-[80vh] object-contain rounded-lg shadow-2xl border border-zinc-800">\`;
-                    el('lightbox-text').textContent = item.prompt;
+                    box.innerHTML = '';
+                    if (board && !item.url) {
+                        box.innerHTML = '<div class="py-24 text-sm text-zinc-500">还没有完成的镜头</div>';
+                    } else if (isVideoItem(current)) {
+                        // 分镜按镜头顺序连续播放
+                        const video = mediaElement(current, 'max-h-[80vh] w-auto rounded-lg shadow-2xl border border-zinc-800', {
+                            poster: itemPoster(item),
+                            video: { controls: true, autoplay: true, loop: !board }
+                        });
+                        if (board) video.onended = () => { if (state.currentIndex + 1 < assets.length) app.openLightbox(item, state.currentIndex + 1); };
+                        box.appendChild(video);
+                    } else {
+                        box.appendChild(mediaElement(current, 'max-h-[80vh] object-contain rounded-lg shadow-2xl border border-zinc-800'));
+                    }
+
+                    // 组图: 缩略图条切换当前查看的一张
+                    const thumbs = el('lightbox-thumbs');
+                    thumbs.innerHTML = '';
+                    thumbs.classList.toggle('hidden', assets.length < 2);
+                    if (assets.length > 1) {
+                        assets.forEach((a, i) => {
+                            const thumb = mediaElement(a, \`w-16 h-16 object-cover rounded-md cursor-pointer border-2 \${i === state.currentIndex ? 'border-white' : 'border-transparent opacity-60 hover:opacity-100'}\`, { video: { muted: true } });
+                            thumb.onclick = () => app.openLightbox(item, i);
+                            thumbs.appendChild(thumb);
+                        });
+                    }
+                    const shotIndex = board ? doneShotIndexes(item)[state.currentIndex] : null;
+                    el('lightbox-text').textContent = board && shotIndex != null
+                        ? \`镜头 \${shotIndex + 1}/\${item.shots.length}: \${item.shots[shotIndex].prompt}\`
+                        : item.prompt;
+                    el('lightbox-params').textContent = formatParams(item.params);
+                    el('lightbox-params').classList.toggle('hidden', !item.params);
+                    renderTags(el('lightbox-tags'), item.tags);
+                    el('btn-remix').classList.toggle('hidden', board);
+                    el('btn-extend').classList.toggle('hidden', board || !isVideoItem(current) || item.status === 'cancelled');
+                    el('btn-retry-shots').classList.toggle('hidden', !board || item.status !== 'partial');
+                    render.shots(board ? item : null);
+                    render.lineage(item);
                     el('lightbox').classList.remove('hidden');
                 },
                 closeLightbox: () => {
                     el('lightbox').classList.add('hidden');
                     el('lightbox-media').innerHTML = '';
+                    el('lightbox-thumbs').innerHTML = '';
                     state.currentItem = null;
                 },
+                // 设置当前记录的标签 (逗号分隔), 保存在服务端历史中
+                editTags: async () => {
+                    const item = state.currentItem;
+                    if (!item) return;
+                    const input = prompt('标签 (逗号分隔)', (item.tags || []).join(', '));
+                    if (input === null) return;
+                    const tags = input.split(/[,，]/).map(t => t.trim()).filter(Boolean);
+                    const headers = { 'Content-Type': 'application/json' };
+                    let res = await fetch(\`/api/history/\${encodeURIComponent(item.id)}\`, {
+                        method: 'PATCH', headers, body: JSON.stringify({ tags })
+                    });
+                    // 本地记录尚未上传时先导入再设置
+                    if (res.status === 404) {
+                        await fetch('/api/history', { method: 'POST', headers, body: JSON.stringify({ items: [item] }) });
+                        res = await fetch(\`/api/history/\${encodeURIComponent(item.id)}\`, {
+                            method: 'PATCH', headers, body: JSON.stringify({ tags })
+                        });
+                    }
+                    const data = await res.json().catch(() => ({}));
+                    if (!res.ok) {
+                        alert(describeError(data));
+                        return;
+                    }
+                    state.serverHistory = state.serverHistory.filter(h => String(h.id) !== String(data.id)).concat(data);
+                    item.tags = data.tags;
+                    renderTags(el('lightbox-tags'), item.tags);
+                    await render.gallery();
+                },
                 downloadCurrent: () => {
                     if(!state.currentItem) return;
                     const link = document.createElement('a');
-                    link.href = state.currentItem.url;
-                    const isVideo = state.currentItem.url.match(/\\.(mp4|webm)/) || state.currentItem.model.includes('video');
-                    link.download = \`sora-\${state.currentItem.id}.\${isVideo ? 'mp4' : 'png'}\`;
+                    // 经代理下载, 由服务端 Content-Disposition 强制保存 (跨域链接上 download 属性无效)
+                    const current = itemAssets(state.currentItem)[state.currentIndex] || state.currentItem;
+                    link.href = mediaUrl(current, true);
+                    link.download = mediaFilename(current);
                     document.body.appendChild(link);
                     link.click();
                     document.body.removeChild(link);